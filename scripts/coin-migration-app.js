@@ -0,0 +1,221 @@
+/**
+ * @file Coin migration application
+ * @description Wizard shown after the currency settings change, to move the coins on character sheets onto the new denominations
+ */
+
+import VendorWalletSystem from './main.js';
+import {
+  COIN_MIGRATION_MODES,
+  findChangedCoins,
+  getDefaultMapping,
+  planActorMigration,
+  applyCoinMigration
+} from './coin-migration.js';
+
+/**
+ * @class CoinMigrationApplication
+ * @extends {foundry.applications.api.HandlebarsApplicationMixin}
+ * @description Application for mapping old coins to new ones and previewing each character's wealth before applying
+ */
+export default class CoinMigrationApplication extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {Object} options - Application options
+   * @param {Array<Object>} options.previousSystems - Currency systems before the change, from getCurrencySystems
+   * @param {Object} options.previousSettings - The currencyDenominations and currencySystems settings before the change
+   */
+  constructor(options = {}) {
+    super(options);
+    this.previousSystems = options.previousSystems ?? [];
+    this.previousSettings = options.previousSettings ?? {};
+    this.changes = findChangedCoins(this.previousSystems, VendorWalletSystem.getCurrencySystems());
+    this.mappings = Object.fromEntries(this.changes.map(change => [change.name, getDefaultMapping(change, VendorWalletSystem.getCurrencySystems())]));
+
+    /** Bind event handlers for later removal */
+    this._boundOnClickButton = this._onClickButton.bind(this);
+    this._boundOnChange = this._onChange.bind(this);
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'coin-migration',
+    tag: 'form',
+    window: {
+      title: 'Migrate Character Coins',
+      icon: 'fas fa-coins'
+    },
+    position: {
+      width: 560,
+    },
+    classes: ['gurps-instant-bazaar']
+  };
+
+  static PARTS = {
+    content: {
+      template: 'modules/gurps-instant-bazaar/templates/coin-migration.hbs'
+    }
+  };
+
+  /**
+   * Checks whether a settings change leaves coins to migrate
+   * @param {Array<Object>} previousSystems - Currency systems before the change
+   * @returns {boolean} True if a coin was renamed, removed or revalued
+   */
+  static hasChanges(previousSystems) {
+    return findChangedCoins(previousSystems, VendorWalletSystem.getCurrencySystems()).length > 0;
+  }
+
+  /**
+   * Gets every coin name before and after the change
+   * @returns {Array<string>} Coin names
+   * @private
+   */
+  _getCoinNames() {
+    const names = [...this.previousSystems, ...VendorWalletSystem.getCurrencySystems()]
+      .flatMap(system => (system.denominations || []).map(denomination => denomination.name));
+    return [...new Set(names)];
+  }
+
+  /**
+   * Works out every character's coins with the current mappings
+   * @returns {Object<string, Object>} Plans from planActorMigration by actor ID
+   * @private
+   */
+  _planMigration() {
+    const service = VendorWalletSystem.currencyManager.characterCurrencyService;
+    const newSystems = VendorWalletSystem.getCurrencySystems();
+    const names = this._getCoinNames();
+
+    const plans = {};
+    for (const actor of game.actors.filter(actor => actor.type === 'character')) {
+      const held = service?.getCoinCountsByName(actor.id, names) ?? {};
+      if (!Object.values(held).some(count => count > 0)) continue;
+      plans[actor.id] = planActorMigration(held, this.changes, this.mappings, this.previousSystems, newSystems, VendorWalletSystem.currencyManager);
+    }
+    return plans;
+  }
+
+  /**
+   * Prepares the context data for rendering the template
+   * @returns {Promise<Object>} Context object containing the changed coins and the per-character preview
+   */
+  async _prepareContext() {
+    await VendorWalletSystem.currencyManager.characterCurrencyServicePromise;
+    const newCoins = VendorWalletSystem.getCurrencySystems()
+      .flatMap(system => (system.denominations || []).map(denomination => ({ name: denomination.name, currency: system.name })));
+
+    const changes = this.changes.map(change => {
+      const mapping = this.mappings[change.name];
+      return {
+        name: change.name,
+        description: change.status === 'removed'
+          ? `removed (was worth ${VendorWalletSystem.formatCurrency(change.oldValue * change.rate)})`
+          : `revalued from ${change.oldValue} to ${change.newValue}`,
+        options: [
+          { value: COIN_MIGRATION_MODES.CONVERT, label: 'Convert its value into the new coins', selected: mapping === COIN_MIGRATION_MODES.CONVERT },
+          { value: COIN_MIGRATION_MODES.KEEP, label: change.status === 'removed' ? 'Leave on sheets (no longer counted)' : 'Keep the count', selected: mapping === COIN_MIGRATION_MODES.KEEP },
+          ...newCoins
+            .filter(coin => coin.name !== change.name)
+            .map(coin => {
+              const value = `${COIN_MIGRATION_MODES.RENAME}:${coin.name}`;
+              return { value, label: `Rename to ${coin.name} (${coin.currency})`, selected: mapping === value };
+            })
+        ]
+      };
+    });
+
+    const plans = this._planMigration();
+    const format = (amount) => VendorWalletSystem.formatCurrency(amount);
+    const actors = Object.entries(plans).map(([actorId, plan]) => ({
+      name: game.actors.get(actorId)?.name ?? actorId,
+      before: format(plan.before),
+      after: format(plan.after),
+      lost: plan.lost > 0 ? format(plan.lost) : null,
+      changed: Math.abs(plan.after - plan.before) > 1e-9,
+      coinChanges: Object.entries(plan.counts).map(([name, count]) => `${name}: ${count}`).join(', ')
+    }));
+
+    return {
+      changes,
+      actors,
+      hasActors: actors.length > 0
+    };
+  }
+
+  /**
+   * Handles rendering events by setting up event listeners
+   * @returns {void}
+   */
+  _onRender() {
+    this._cleanupListeners();
+    this.element.addEventListener('click', this._boundOnClickButton);
+    this.element.addEventListener('change', this._boundOnChange);
+  }
+
+  /**
+   * Cleans up event listeners to prevent duplicates
+   * @returns {void}
+   */
+  _cleanupListeners() {
+    if (!this.element) return;
+    this.element.removeEventListener('click', this._boundOnClickButton);
+    this.element.removeEventListener('change', this._boundOnChange);
+  }
+
+  /**
+   * Updates a coin's mapping and the preview
+   * @param {Event} event - The change event
+   * @returns {void}
+   */
+  _onChange(event) {
+    const coinName = event.target.dataset.coinName;
+    if (!coinName) return;
+    this.mappings[coinName] = event.target.value;
+    this.render();
+  }
+
+  /**
+   * Handles button clicks
+   * @param {Event} event - The click event
+   * @returns {Promise<void>}
+   */
+  async _onClickButton(event) {
+    const action = event.target.closest('[data-action]')?.dataset.action;
+
+    switch (action) {
+      case 'apply':
+        event.preventDefault();
+        await this._apply();
+        break;
+      case 'skip':
+        ui.notifications.warn('Coins were not migrated. Coins that no longer exist are no longer counted in wallets.');
+        this.close();
+        break;
+    }
+  }
+
+  /**
+   * Backs up and migrates every character's coins
+   * @returns {Promise<void>}
+   */
+  async _apply() {
+    const plans = this._planMigration();
+    const confirmed = await Dialog.confirm({
+      title: 'Migrate Character Coins',
+      content: '<p>Change the coins on every listed character? A backup is kept; undo it from Currency Settings.</p>'
+    });
+    if (!confirmed) return;
+
+    const migrated = await applyCoinMigration(VendorWalletSystem.ID, plans, this.previousSettings, this._getCoinNames());
+    ui.notifications.info(`Migrated the coins of ${migrated} character${migrated === 1 ? '' : 's'}.`);
+    this.close();
+  }
+
+  /**
+   * Closes the application and cleans up event listeners
+   * @param {Object} options - Close options
+   * @returns {Promise<any>} Result of the parent close method
+   */
+  async close(options) {
+    this._cleanupListeners();
+    return super.close(options);
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * @file Coin migration
+ * @description Moves the coins on character sheets over to new denominations after the currency settings change
+ */
+
+import { makeChange } from './currency.js';
+import { BASE_CURRENCY_ID } from './constants.js';
+
+/**
+ * What to do with a coin whose denomination was removed or revalued
+ * @readonly
+ * @enum {string}
+ */
+export const COIN_MIGRATION_MODES = {
+  /** Exchange the coins' value into the currency's new coins */
+  CONVERT: 'convert',
+  /** Leave the coins on the sheet as they are */
+  KEEP: 'keep',
+  /** Turn each coin into one coin of another denomination; the target name follows a colon */
+  RENAME: 'rename'
+};
+
+/**
+ * Lists every coin of a set of currency systems with its currency and exchange rate
+ * @param {Array<Object>} systems - Currency systems as returned by CurrencyManager.getCurrencySystems
+ * @returns {Array<{name: string, value: number, currencyId: string, rate: number}>} All coins
+ */
+function listCoins(systems) {
+  return systems.flatMap(system => (system.denominations || []).map(denomination => ({
+    name: denomination.name,
+    value: Number(denomination.value) || 0,
+    currencyId: system.id,
+    rate: Number(system.rate) || 0
+  })));
+}
+
+/**
+ * Finds the coins that need migrating: coins that no longer exist and coins whose value changed
+ * @param {Array<Object>} oldSystems - Currency systems before the change
+ * @param {Array<Object>} newSystems - Currency systems after the change
+ * @returns {Array<{name: string, currencyId: string, oldValue: number, rate: number, newValue: number|null, status: string}>}
+ *   Changed coins; status is "removed" or "revalued"
+ */
+export function findChangedCoins(oldSystems, newSystems) {
+  const newCoins = listCoins(newSystems);
+  const changes = [];
+  for (const coin of listCoins(oldSystems)) {
+    const current = newCoins.find(other => other.name === coin.name);
+    if (current && current.value === coin.value && current.currencyId === coin.currencyId) continue;
+    changes.push({
+      name: coin.name,
+      currencyId: coin.currencyId,
+      oldValue: coin.value,
+      rate: coin.rate,
+      newValue: current ? current.value : null,
+      status: current ? 'revalued' : 'removed'
+    });
+  }
+  return changes;
+}
+
+/**
+ * Picks the default mapping for a changed coin: revalued coins keep their count, removed coins become a new
+ * coin of the same worth when there is one and are converted by value otherwise
+ * @param {Object} change - A changed coin from findChangedCoins
+ * @param {Array<Object>} newSystems - Currency systems after the change
+ * @returns {string} A {@link COIN_MIGRATION_MODES} value, with the target name for renames
+ */
+export function getDefaultMapping(change, newSystems) {
+  if (change.status === 'revalued') return COIN_MIGRATION_MODES.KEEP;
+  const sameWorth = listCoins(newSystems).find(coin => coin.value * coin.rate === change.oldValue * change.rate);
+  return sameWorth ? `${COIN_MIGRATION_MODES.RENAME}:${sameWorth.name}` : COIN_MIGRATION_MODES.CONVERT;
+}
+
+/**
+ * Works out a character's coins after the migration
+ * @param {Object<string, number>} held - Coins the character carries by name, old and new names alike
+ * @param {Array<Object>} changes - Changed coins from findChangedCoins
+ * @param {Object<string, string>} mappings - Mapping by changed coin name (see getDefaultMapping)
+ * @param {Array<Object>} oldSystems - Currency systems before the change
+ * @param {Array<Object>} newSystems - Currency systems after the change
+ * @param {CurrencyManager} currencyManager - Already refreshed with the new settings
+ * @returns {{counts: Object<string, number>, before: number, after: number, lost: number}} Coin counts to write
+ *   (only those that change) and the character's wealth before and after, plus the value the new coins can't
+ *   make, all in main currency units
+ */
+export function planActorMigration(held, changes, mappings, oldSystems, newSystems, currencyManager) {
+  const newCoins = listCoins(newSystems);
+  const result = Object.fromEntries(newCoins.map(coin => [coin.name, held[coin.name] || 0]));
+  const pending = {};
+
+  for (const change of changes) {
+    const count = held[change.name] || 0;
+    const mapping = mappings[change.name] ?? COIN_MIGRATION_MODES.KEEP;
+    if (count === 0 || mapping === COIN_MIGRATION_MODES.KEEP) continue;
+
+    // The coins leave the sheet before they come back in their new form
+    if (change.status === 'revalued') result[change.name] -= count;
+    else result[change.name] = 0;
+
+    if (mapping.startsWith(`${COIN_MIGRATION_MODES.RENAME}:`)) {
+      const target = mapping.slice(COIN_MIGRATION_MODES.RENAME.length + 1);
+      if (target in result) result[target] += count;
+    } else {
+      // Coins of a removed currency are converted into the main currency
+      const targetId = newSystems.some(system => system.id === change.currencyId) ? change.currencyId : BASE_CURRENCY_ID;
+      pending[targetId] = (pending[targetId] || 0) + count * change.oldValue * change.rate;
+    }
+  }
+
+  // Rounded down so converting never creates money; whatever the new coins can't make is reported as lost
+  let lost = 0;
+  for (const [currencyId, worth] of Object.entries(pending)) {
+    const rate = currencyManager.getExchangeRate(currencyId);
+    const exact = worth / rate * currencyManager.getMinorUnitScale(currencyId);
+    const minor = Math.max(0, Math.floor(exact + 1e-9));
+    const { coins, remainder } = makeChange(minor, currencyManager.getMinorDenominations(currencyId));
+    for (const [name, count] of Object.entries(coins)) result[name] += count;
+    lost += Math.max(0, exact - minor + remainder) / currencyManager.getMinorUnitScale(currencyId) * rate;
+  }
+
+  const worthOf = (coins, counts) => coins.reduce((sum, coin) => sum + (counts[coin.name] || 0) * coin.value * coin.rate, 0);
+  const counts = Object.fromEntries(Object.entries(result).filter(([name, count]) => count !== (held[name] || 0)));
+  return {
+    counts,
+    before: worthOf(listCoins(oldSystems), held),
+    after: worthOf(newCoins, { ...held, ...result }),
+    lost
+  };
+}
+
+/**
+ * Writes the planned coins onto every character (GM only), after saving a backup of the coins it touches
+ * and of the currency settings before the change
+ * @param {string} moduleId - The module identifier
+ * @param {Object<string, Object>} plans - Plans from planActorMigration by actor ID
+ * @param {Object} previousSettings - Currency settings before the change
+ * @param {Array<Object>} previousSettings.currencyDenominations - Main currency coins
+ * @param {Array<Object>} previousSettings.currencySystems - Other currencies
+ * @param {Array<string>} coinNames - Every old and new coin name
+ * @returns {Promise<number>} Number of characters whose coins changed
+ */
+export async function applyCoinMigration(moduleId, plans, previousSettings, coinNames) {
+  if (!game.user.isGM) return 0;
+
+  const currencyManager = game.modules.get(moduleId)?.api?.system.currencyManager;
+  await currencyManager.characterCurrencyServicePromise;
+  const service = currencyManager.characterCurrencyService;
+
+  const changed = Object.entries(plans).filter(([_, plan]) => Object.keys(plan.counts).length > 0);
+  const actors = Object.fromEntries(changed.map(([actorId]) => [actorId, service.getCoinEntries(actorId, coinNames)]));
+  await game.settings.set(moduleId, 'coinMigrationBackup', {
+    takenAt: Date.now(),
+    coinNames,
+    currencyDenominations: previousSettings.currencyDenominations,
+    currencySystems: previousSettings.currencySystems,
+    actors
+  });
+
+  let migrated = 0;
+  for (const [actorId, plan] of changed) {
+    try {
+      await service.setCoinCounts(actorId, plan.counts);
+      migrated++;
+    } catch (error) {
+      console.error(`Error migrating coins of actor ${actorId}:`, error);
+      ui.notifications.error(`Failed to migrate the coins of ${game.actors.get(actorId)?.name ?? actorId}. Check console for details.`);
+    }
+  }
+  return migrated;
+}
+
+/**
+ * Checks whether a coin migration backup exists
+ * @param {string} moduleId - The module identifier
+ * @returns {boolean} True if the last migration can be undone
+ */
+export function hasCoinMigrationBackup(moduleId) {
+  return !!game.settings.get(moduleId, 'coinMigrationBackup')?.takenAt;
+}
+
+/**
+ * Undoes the last coin migration (GM only): puts back the currency settings and every character's coins
+ * as they were, then discards the backup
+ * @param {string} moduleId - The module identifier
+ * @returns {Promise<boolean>} True if a backup was restored
+ */
+export async function restoreCoinMigration(moduleId) {
+  if (!game.user.isGM) return false;
+
+  const backup = game.settings.get(moduleId, 'coinMigrationBackup');
+  if (!backup?.takenAt) return false;
+
+  const api = game.modules.get(moduleId)?.api;
+  await game.settings.set(moduleId, 'currencyDenominations', backup.currencyDenominations);
+  await game.settings.set(moduleId, 'currencySystems', backup.currencySystems);
+  await api.refreshCurrencySettings();
+
+  const currencyManager = api.system.currencyManager;
+  await currencyManager.characterCurrencyServicePromise;
+  for (const [actorId, entries] of Object.entries(backup.actors || {})) {
+    try {
+      await currencyManager.characterCurrencyService.restoreCoinEntries(actorId, entries, backup.coinNames || []);
+    } catch (error) {
+      console.error(`Error restoring coins of actor ${actorId}:`, error);
+      ui.notifications.error(`Failed to restore the coins of ${game.actors.get(actorId)?.name ?? actorId}. Check console for details.`);
+    }
+  }
+
+  await game.settings.set(moduleId, 'coinMigrationBackup', {});
+  return true;
+}
@@ -10,6 +10,13 @@
  * @property {string} name - The name of the currency denomination
  * @property {number} value - The value of the denomination in base currency units
  * @property {number} weight - The weight of a single coin in pounds
+ * @property {string} [abbreviation] - Short label for coin breakdowns (defaults to the name's initials)
+ * @property {string} [color] - Display color of the coin
+ * @property {string} [img] - Image of the coin item (defaults to the item bag icon)
+ * @property {string} [pageref] - Page reference of the coin item (defaults to "B264")
+ * @property {string|number} [techlevel] - Tech level of the coin item (defaults to 1)
+ * @property {string} [categories] - Categories of the coin item
+ * @property {string} [legalityclass] - Legality class of the coin item
  */
 export const DEFAULT_CURRENCY_DENOMINATIONS = [
   { name: "Gold Coin", value: 80, weight: 0.004 },
@@ -18,6 +25,20 @@ export const DEFAULT_CURRENCY_DENOMINATIONS = [
   { name: "Dime", value: 0.1, weight: 0.008 }
 ];
 
+/**
+ * ID of the main currency, the one configured by `currencyDenominations` and `currencySymbol`.
+ * Prices, vendor budgets and exchange rates are all expressed in its units.
+ * @type {string}
+ */
+export const BASE_CURRENCY_ID = 'base';
+
+/**
+ * Name of the carried equipment entry that stands in for a character's module wallets, so their coins
+ * count toward encumbrance (see the `carryMoneyPouch` setting)
+ * @type {string}
+ */
+export const MONEY_POUCH_ITEM_NAME = 'Money Pouch';
+
 /**
  * Default gem variations with their properties
  * @type {Array<Object>}
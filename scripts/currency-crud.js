@@ -3,7 +3,8 @@
  * @description Centralized service for managing currency items directly on character sheets (GURPS/GGA)
  */
 
-import { makeChange, _calculateBaseUnitMultiplier } from './currency.js';
+import { makeChange, makeChangeFromCoins, payFromCoins, _calculateBaseUnitMultiplier, getDenominationAbbreviation } from './currency.js';
+import { BASE_CURRENCY_ID, MONEY_POUCH_ITEM_NAME } from './constants.js';
 
 /**
  * (Optional) Builds complete currency data. Useful for direct initializations.
@@ -84,7 +85,8 @@ async function upsertCoinGGA(actor, denomination, count, path = CARRIED_PATH) {
   eq.count = Number(count) || 0;
   eq.cost = Number(denomination.value) || 0;
   eq.weight = Number(denomination.weight) || 0;
-  eq.notes = "";
+  eq.notes = denomination.notes || "";
+  eq.pageref = denomination.pageref || "B264";
   eq.equipped = false;
   eq.carried = true;
   eq.techlevel = denomination.techlevel ?? 1;
@@ -97,6 +99,9 @@ async function upsertCoinGGA(actor, denomination, count, path = CARRIED_PATH) {
     eq.save = true;
     if (keepData?.itemid) {
       eq.itemid = keepData.itemid;
+      // Keep the Foundry Item's image in step with the coin's settings
+      const item = actor.items.get(keepData.itemid);
+      if (item && item.img !== eq.img) await item.update({ img: eq.img });
     } else {
       const type = path.split(".")[2] || "carried";
       const [item] = await actor.createEmbeddedDocuments("Item", [eq.toItemData(actor, type)]);
@@ -120,6 +125,24 @@ async function upsertCoinGGA(actor, denomination, count, path = CARRIED_PATH) {
   if (actor.sheet?.rendered) actor.sheet.render(false);
 }
 
+/**
+ * Removes every entry of a coin from the list, along with its Foundry Items.
+ * @param {Actor} actor
+ * @param {string} name - Coin name
+ * @param {string} [path] - Path to the equipment list
+ * @returns {Promise<void>}
+ */
+async function removeCoinGGA(actor, name, path = CARRIED_PATH) {
+  const entries = Object.entries(readGGAList(actor, path)).filter(([_, it]) => it?.name === name);
+  for (const [key, it] of entries) {
+    if (game.settings.get("gurps", "use-foundry-items") && it?.itemid) {
+      await actor.items.get(it.itemid)?.delete();
+    }
+    await GURPS.removeKey(actor, `${path}.${key}`);
+  }
+  if (entries.length && actor.sheet?.rendered) actor.sheet.render(false);
+}
+
 /* ============================ MAIN SERVICE =========================== */
 
 /**
@@ -136,6 +159,20 @@ export default class CharacterCurrencyService {
     this.baseUnitMultiplier = Number(baseUnitMultiplier) || 0;
   }
 
+  /**
+   * Gets the configured denominations scaled to integer minor units, highest first
+   * @param {Array<Object>} denoms - Currency denominations
+   * @param {string|null} [currencyId=null] - Currency of the denominations; null for the main currency
+   * @returns {Array<Object>} Denominations with integer values
+   * @private
+   */
+  _getScaledDenominations(denoms, currencyId = null) {
+    const isBase = !currencyId || currencyId === BASE_CURRENCY_ID;
+    const mul = isBase && this.baseUnitMultiplier > 0 ? this.baseUnitMultiplier : _calculateBaseUnitMultiplier(denoms);
+    return denoms.map(d => ({ ...d, value: Math.round(Number(d.value) * mul) }))
+                 .sort((a, b) => b.value - a.value);
+  }
+
   /**
    * Calculates total currency in nominal value.
    * @param {string} actorId
@@ -148,18 +185,39 @@ export default class CharacterCurrencyService {
     return total;
   }
 
+  /**
+   * Calculates total currency in integer minor units.
+   * @param {string} actorId
+   * @param {string|null} [currencyId=null] - Currency to total; null for the main currency
+   * @returns {number} Total currency in minor units
+   */
+  getCharacterSheetMinor(actorId, currencyId = null) {
+    // Get API to avoid circular imports
+    const api = game.modules.get('gurps-instant-bazaar')?.api;
+    const scaled = this._getScaledDenominations(api?.system.getCurrencyDenominations(currencyId) || [], currencyId);
+
+    let total = 0;
+    for (const c of this.getCharacterSheetCoinBreakdown(actorId, currencyId)) {
+      const d = scaled.find(x => x.name === c.name);
+      if (d) total += (Number(c.count) || 0) * d.value;
+    }
+    return total;
+  }
+
   /**
    * Breaks down currency by denomination. Always returns all denominations.
    * @param {string} actorId
-   * @returns {Array<{name:string,count:number,value:number,itemIds:string[]}>} Array of denomination breakdowns
+   * @param {string|null} [currencyId=null] - Currency to break down; null for the main currency
+   * @returns {Array<{name:string,count:number,value:number,itemIds:string[],abbreviation:string,color:string,img:string}>}
+   *   Array of denomination breakdowns, with the coin's display details
    */
-  getCharacterSheetCoinBreakdown(actorId) {
+  getCharacterSheetCoinBreakdown(actorId, currencyId = null) {
     const actor = game.actors.get(actorId);
     if (!actor) return [];
 
     // Get API to avoid circular imports
     const api = game.modules.get('gurps-instant-bazaar')?.api;
-    const denoms = api?.system.getCurrencyDenominations() || [];
+    const denoms = api?.system.getCurrencyDenominations(currencyId) || [];
     const list = readGGAList(actor);
     const carriedEntries = Object.entries(list); // [id, data]
 
@@ -168,34 +226,124 @@ export default class CharacterCurrencyService {
       const matches = carriedEntries.filter(([_, it]) => it?.name === d.name);
       const count = matches.reduce((s, [_, it]) => s + (Number(it?.count) || 0), 0);
       const ids = matches.map(([id]) => id);
-      out.push({ name: d.name, count, value: Number(d.value) || 0, itemIds: ids });
+      out.push({
+        name: d.name,
+        count,
+        value: Number(d.value) || 0,
+        itemIds: ids,
+        abbreviation: getDenominationAbbreviation(d),
+        color: d.color || '',
+        img: d.img || ''
+      });
     }
     return out;
   }
 
   /**
-   * Sets the total currency amount. Distributes via makeChange. Preserves placeholder.
+   * Distributes an amount into coins, refusing amounts the coins can't pay exactly so no money is dropped.
+   * @param {number} target - Amount in integer minor units
+   * @param {Array<Object>} scaled - Denominations in minor units
+   * @param {string|null} [currencyId=null] - Currency of the amount, for messages
+   * @returns {Object<string, number>} Coin counts by name
+   * @throws {Error} If part of the amount can't be paid with the configured coins
+   * @private
+   */
+  _makeExactChange(target, scaled, currencyId = null) {
+    const { coins, remainder } = makeChange(target, scaled);
+    if (remainder > 0) {
+      const currencyManager = game.modules.get('gurps-instant-bazaar')?.api?.system.currencyManager;
+      const format = (minor) => currencyManager?.formatMinor(minor, currencyId) ?? String(minor);
+      throw new Error(`${format(target)} can't be paid exactly with the configured coins (${format(remainder)} left over).`);
+    }
+    return coins;
+  }
+
+  /**
+   * Counts the coins an actor carries, by denomination name.
+   * @param {Actor} actor
+   * @param {Array<Object>} scaled - Denominations in minor units
+   * @returns {Object<string, number>} Coin counts by name
+   * @private
+   */
+  _getHeldCoins(actor, scaled) {
+    const held = {};
+    for (const d of scaled) held[d.name] = 0;
+    for (const it of Object.values(readGGAList(actor))) {
+      if (it?.name in held) held[it.name] += Math.max(0, Math.round(Number(it.count) || 0));
+    }
+    return held;
+  }
+
+  /**
+   * Totals coin counts in minor units.
+   * @param {Object<string, number>} coins - Coin counts by name
+   * @param {Array<Object>} scaled - Denominations in minor units
+   * @returns {number} Total in integer minor units
+   * @private
+   */
+  _valueOfCoins(coins, scaled) {
+    return scaled.reduce((sum, d) => sum + (Number(coins[d.name]) || 0) * d.value, 0);
+  }
+
+  /**
+   * Works out the coins a character holds after their total changes.
+   * With optimizeOnConstruct on, every coin is swapped for the fewest coins worth the new total.
+   * With it off, the character keeps their coins: payments are made from the coins they hold,
+   * and change or income is added in the fewest coins.
+   * @param {Object<string, number>} held - Coin counts the character holds, by name
+   * @param {number} delta - Change in integer minor units; negative to pay
+   * @param {Array<Object>} scaled - Denominations in minor units
+   * @param {string|null} [currencyId=null] - Currency of the coins, for messages
+   * @returns {Object<string, number>} New coin counts by name
+   * @throws {Error} If the result can't be paid exactly with the configured coins, or the held coins don't cover a payment
+   * @private
+   */
+  _changeCoins(held, delta, scaled, currencyId = null) {
+    const api = game.modules.get('gurps-instant-bazaar')?.api;
+    if (api?.system.getOptimizeOnConstruct() ?? true) {
+      return this._makeExactChange(Math.max(0, this._valueOfCoins(held, scaled) + delta), scaled, currencyId);
+    }
+
+    const bag = { ...held };
+    let received = delta;
+    if (delta < 0) {
+      const payment = payFromCoins(-delta, held, scaled);
+      if (!payment) {
+        const currencyManager = api?.system.currencyManager;
+        throw new Error(`The coins carried don't cover ${currencyManager?.formatMinor(-delta, currencyId) ?? -delta}.`);
+      }
+      for (const [name, count] of Object.entries(payment.spent)) bag[name] -= count;
+      received = payment.overpay;
+    }
+
+    for (const [name, count] of Object.entries(this._makeExactChange(received, scaled, currencyId))) {
+      bag[name] = (bag[name] || 0) + count;
+    }
+    return bag;
+  }
+
+  /**
+   * Sets the total currency in minor units. Distributes via _changeCoins. Preserves placeholder.
    * @param {string} actorId
-   * @param {number} newAmount
+   * @param {number} minor - New total in integer minor units
+   * @param {string|null} [currencyId=null] - Currency to set; null for the main currency
    * @returns {Promise<boolean>} True if successful
    */
-  async setCharacterSheetCurrency(actorId, newAmount) {
+  async setCharacterSheetMinor(actorId, minor, currencyId = null) {
     const actor = game.actors.get(actorId);
     if (!actor) return false;
 
     // Get API to avoid circular imports
     const api = game.modules.get('gurps-instant-bazaar')?.api;
-    const denoms = (api?.system.getCurrencyDenominations() || []).slice();
+    const denoms = api?.system.getCurrencyDenominations(currencyId) || [];
     if (!denoms.length) return false;
 
-    denoms.sort((a, b) => Number(b.value) - Number(a.value));
-
-    const mul = this.baseUnitMultiplier > 0 ? this.baseUnitMultiplier : _calculateBaseUnitMultiplier(denoms);
-    const scaled = denoms.map(d => ({ ...d, value: Math.round(Number(d.value) * mul) }));
-    const target = Math.max(0, Math.round((Number(newAmount) || 0) * mul));
+    const scaled = this._getScaledDenominations(denoms, currencyId);
+    const target = Math.max(0, Math.round(Number(minor) || 0));
 
     try {
-      const bag = makeChange(target, scaled); // { [name]: count }
+      const held = this._getHeldCoins(actor, scaled);
+      const bag = this._changeCoins(held, target - this._valueOfCoins(held, scaled), scaled, currencyId); // { [name]: count }
       for (const d of denoms) {
         const cnt = Number(bag[d.name] || 0);
         await upsertCoinGGA(actor, d, cnt);
@@ -203,40 +351,34 @@ export default class CharacterCurrencyService {
       this.refreshWalletApplications();
       return true;
     } catch (e) {
-      console.error("setCharacterSheetCurrency error:", e);
+      console.error("setCharacterSheetMinor error:", e);
+      ui.notifications.warn(`${actor.name}'s coins were not changed: ${e.message}`);
       return false;
     }
   }
 
   /**
-   * Increments or decrements money and rewrites distribution.
+   * Increments or decrements money and rewrites distribution via _changeCoins.
    * @param {Actor} actor
-   * @param {number} amount
+   * @param {number} minor - Change in integer minor units
+   * @param {string|null} [currencyId=null] - Currency to change; null for the main currency
    * @returns {Promise<void>}
+   * @throws {Error} If the new total can't be paid exactly with the configured coins
    */
-  async addMoneyToCharacterCoins(actor, amount) {
+  async addMinorToCharacterCoins(actor, minor, currencyId = null) {
     // Get API to avoid circular imports
     const api = game.modules.get('gurps-instant-bazaar')?.api;
-    const denoms = api?.system.getCurrencyDenominations() || [];
+    const denoms = api?.system.getCurrencyDenominations(currencyId) || [];
     if (!denoms.length) return;
 
-    const list = readGGAList(actor);
-    const entries = Object.entries(list); // [id, data]
-
-    const mul = this.baseUnitMultiplier > 0 ? this.baseUnitMultiplier : _calculateBaseUnitMultiplier(denoms);
-    const scaled = denoms.map(d => ({ ...d, value: Math.round(Number(d.value) * mul) }))
-                         .sort((a, b) => b.value - a.value);
+    const scaled = this._getScaledDenominations(denoms, currencyId);
+    const held = this._getHeldCoins(actor, scaled);
 
-    // current scaled total
-    const currentScaled = entries.reduce((sum, [_, it]) => {
-      const d = scaled.find(x => x.name === it?.name);
-      return d ? sum + (Math.round(Number(it?.count) || 0) * Number(d.value)) : sum;
-    }, 0);
+    // never take more than the character holds
+    const currentScaled = this._valueOfCoins(held, scaled);
+    const delta = Math.max(-currentScaled, Math.round(Number(minor) || 0));
 
-    const delta = Math.round((Number(amount) || 0) * mul);
-    const nextScaled = Math.max(0, currentScaled + delta);
-
-    const bag = makeChange(nextScaled, scaled); // { [name]: count }
+    const bag = this._changeCoins(held, delta, scaled, currencyId); // { [name]: count }
 
     for (const d of denoms) {
       const cnt = Number(bag[d.name] || 0);
@@ -244,6 +386,194 @@ export default class CharacterCurrencyService {
     }
   }
 
+  /**
+   * Works out a payment made with specific coins: what is handed over, the change owed and the change the
+   * vendor can actually give. Without chosen coins, the coins that overpay the least are picked automatically.
+   * @param {string} actorId
+   * @param {Object<string, number>|null} tendered - Coin counts handed over, by name, or null to pick them
+   * @param {number} costMinor - Price in integer minor units
+   * @param {Object<string, number>|null} [coinFloat=null] - Coins the vendor can give as change; null for unlimited change
+   * @param {string|null} [currencyId=null] - Currency paid in; null for the main currency
+   * @returns {{tendered: Object<string, number>, tenderedMinor: number, change: Object<string, number>, changeMinor: number, shortMinor: number, currencyId: string|null}}
+   *   The coins handed over, the change given and the part of the change the vendor can't give
+   * @throws {Error} If the actor doesn't hold the coins or they don't cover the price
+   */
+  planCoinPayment(actorId, tendered, costMinor, coinFloat = null, currencyId = null) {
+    const actor = game.actors.get(actorId);
+    if (!actor) throw new Error('Character not found.');
+
+    // Get API to avoid circular imports
+    const api = game.modules.get('gurps-instant-bazaar')?.api;
+    const currencyManager = api?.system.currencyManager;
+    const format = (minor) => currencyManager?.formatMinor(minor, currencyId) ?? String(minor);
+    const scaled = this._getScaledDenominations(api?.system.getCurrencyDenominations(currencyId) || [], currencyId);
+    const held = this._getHeldCoins(actor, scaled);
+
+    let given = {};
+    if (tendered) {
+      for (const d of scaled) {
+        const count = Number(tendered[d.name]) || 0;
+        if (!Number.isInteger(count) || count < 0) throw new Error(`Invalid number of ${d.name}.`);
+        if (count > held[d.name]) throw new Error(`${actor.name} only has ${held[d.name]} ${d.name}.`);
+        given[d.name] = count;
+      }
+    } else {
+      const payment = payFromCoins(costMinor, held, scaled);
+      if (!payment) throw new Error(`${actor.name}'s coins don't cover ${format(costMinor)}.`);
+      given = payment.spent;
+    }
+
+    const tenderedMinor = this._valueOfCoins(given, scaled);
+    if (tenderedMinor < costMinor) {
+      throw new Error(`The coins handed over add up to ${format(tenderedMinor)}, but the price is ${format(costMinor)}.`);
+    }
+
+    // Unneeded coins that were just handed over can go straight back as change
+    const owed = tenderedMinor - costMinor;
+    const available = { ...given };
+    if (coinFloat) {
+      for (const [name, count] of Object.entries(coinFloat)) available[name] = (available[name] || 0) + (Number(count) || 0);
+    }
+    const { coins: change, remainder } = coinFloat ? makeChangeFromCoins(owed, available, scaled) : makeChange(owed, scaled);
+
+    return { tendered: given, tenderedMinor, change, changeMinor: owed - remainder, shortMinor: remainder, currencyId };
+  }
+
+  /**
+   * Hands over coins and takes change in one update, leaving every other coin untouched.
+   * @param {string} actorId
+   * @param {Object<string, number>} given - Coin counts removed, by name
+   * @param {Object<string, number>} received - Coin counts added, by name
+   * @param {string|null} [currencyId=null] - Currency of the coins; null for the main currency
+   * @returns {Promise<boolean>} True if successful
+   * @throws {Error} If the actor doesn't hold the coins to hand over
+   */
+  async exchangeCharacterCoins(actorId, given, received, currencyId = null) {
+    const actor = game.actors.get(actorId);
+    if (!actor) return false;
+
+    // Get API to avoid circular imports
+    const api = game.modules.get('gurps-instant-bazaar')?.api;
+    const denoms = api?.system.getCurrencyDenominations(currencyId) || [];
+    const held = this._getHeldCoins(actor, this._getScaledDenominations(denoms, currencyId));
+
+    const next = {};
+    for (const d of denoms) {
+      next[d.name] = held[d.name] - (Number(given[d.name]) || 0) + (Number(received[d.name]) || 0);
+      if (next[d.name] < 0) throw new Error(`${actor.name} doesn't have enough ${d.name}.`);
+    }
+
+    for (const d of denoms) {
+      if (next[d.name] !== held[d.name]) await upsertCoinGGA(actor, d, next[d.name]);
+    }
+    this.refreshWalletApplications();
+    return true;
+  }
+
+  /**
+   * Puts back exact coin counts taken from getCharacterSheetCoinBreakdown. Used to undo failed transactions.
+   * @param {string} actorId
+   * @param {Array<{name:string,count:number}>} coins - Coin counts to restore
+   * @param {string|null} [currencyId=null] - Currency of the coins; null for the main currency
+   * @returns {Promise<boolean>} True if successful
+   */
+  async restoreCharacterSheetCoins(actorId, coins, currencyId = null) {
+    const actor = game.actors.get(actorId);
+    if (!actor) return false;
+
+    // Get API to avoid circular imports
+    const api = game.modules.get('gurps-instant-bazaar')?.api;
+    const denoms = api?.system.getCurrencyDenominations(currencyId) || [];
+
+    for (const d of denoms) {
+      const saved = coins.find(c => c.name === d.name);
+      if (saved) await upsertCoinGGA(actor, d, Number(saved.count) || 0);
+    }
+    this.refreshWalletApplications();
+    return true;
+  }
+
+  /**
+   * Counts the coins a character carries by name, including coins no currency defines any more.
+   * @param {string} actorId
+   * @param {Array<string>} names - Coin names to count
+   * @returns {Object<string, number>} Coin counts by name (every name is listed)
+   */
+  getCoinCountsByName(actorId, names) {
+    const counts = Object.fromEntries(names.map(name => [name, 0]));
+    const actor = game.actors.get(actorId);
+    if (!actor) return counts;
+
+    for (const it of Object.values(readGGAList(actor))) {
+      if (it?.name in counts) counts[it.name] += Number(it.count) || 0;
+    }
+    return counts;
+  }
+
+  /**
+   * Sets exact coin counts by name. Coins a currency defines are written with its settings; coins no
+   * currency defines any more can only be removed, so they are taken off the sheet.
+   * @param {string} actorId
+   * @param {Object<string, number>} counts - Coin counts by name
+   * @returns {Promise<boolean>} True if successful
+   */
+  async setCoinCounts(actorId, counts) {
+    const actor = game.actors.get(actorId);
+    if (!actor) return false;
+
+    // Get API to avoid circular imports
+    const api = game.modules.get('gurps-instant-bazaar')?.api;
+    const denoms = (api?.system.getCurrencySystems() || []).flatMap(system => system.denominations || []);
+
+    for (const [name, count] of Object.entries(counts)) {
+      const d = denoms.find(x => x.name === name);
+      if (d) await upsertCoinGGA(actor, d, Math.max(0, Number(count) || 0));
+      else await removeCoinGGA(actor, name);
+    }
+    this.refreshWalletApplications();
+    return true;
+  }
+
+  /**
+   * Copies the raw sheet entries of the given coins, keyed by their list key, for a backup.
+   * @param {string} actorId
+   * @param {Array<string>} names - Coin names to copy
+   * @returns {Object<string, Object>} Coin entries by list key
+   */
+  getCoinEntries(actorId, names) {
+    const actor = game.actors.get(actorId);
+    if (!actor) return {};
+
+    const wanted = new Set(names);
+    return Object.fromEntries(Object.entries(readGGAList(actor))
+      .filter(([_, it]) => wanted.has(it?.name))
+      .map(([key, it]) => [key, foundry.utils.duplicate(it)]));
+  }
+
+  /**
+   * Puts back coin entries copied with getCoinEntries. Entries of those coins added since are removed;
+   * other items are left alone.
+   * @param {string} actorId
+   * @param {Object<string, Object>} entries - Coin entries by list key
+   * @param {Array<string>} names - Every coin name the backup covers
+   * @returns {Promise<boolean>} True if successful
+   */
+  async restoreCoinEntries(actorId, entries, names) {
+    const actor = game.actors.get(actorId);
+    if (!actor) return false;
+
+    const wanted = new Set(names);
+    for (const [key, it] of Object.entries(readGGAList(actor))) {
+      if (wanted.has(it?.name) && !(key in entries)) await GURPS.removeKey(actor, `${CARRIED_PATH}.${key}`);
+    }
+
+    const update = Object.fromEntries(Object.entries(entries).map(([key, it]) => [`${CARRIED_PATH}.${key}`, it]));
+    if (Object.keys(update).length) await actor.internalUpdate(update);
+    if (actor.sheet?.rendered) actor.sheet.render(false);
+    this.refreshWalletApplications();
+    return true;
+  }
+
   /**
    * Ensures placeholder (count=0) for every missing denomination in all player actors.
    * @returns {Promise<void>}
@@ -251,7 +581,7 @@ export default class CharacterCurrencyService {
   async initializeMissingActorCoins() {
     // Get API to avoid circular imports
     const api = game.modules.get('gurps-instant-bazaar')?.api;
-    const denoms = api?.system.getCurrencyDenominations() || [];
+    const denoms = (api?.system.getCurrencySystems() || []).flatMap(system => system.denominations || []);
     if (!denoms.length) {
       ui.notifications.warn('No currency denominations configured. Please configure currency denominations first.');
       return;
@@ -272,6 +602,70 @@ export default class CharacterCurrencyService {
     this.refreshWalletApplications();
   }
 
+  /**
+   * Rewrites the coin items every character already carries with the current settings of their
+   * denomination (value, weight, image, page reference, TL, LC and categories), keeping the counts.
+   * Coins a character doesn't carry are not added.
+   * @returns {Promise<number>} Number of characters whose coins were updated
+   */
+  async syncCoinItems() {
+    // Get API to avoid circular imports
+    const api = game.modules.get('gurps-instant-bazaar')?.api;
+    const denoms = (api?.system.getCurrencySystems() || []).flatMap(system => system.denominations || []);
+    if (!denoms.length) return 0;
+
+    let updated = 0;
+    for (const actor of game.actors.contents) {
+      if (actor.type !== 'character' || !actor.isOwner) continue;
+
+      const entries = Object.values(readGGAList(actor));
+      let touched = false;
+      for (const d of denoms) {
+        const matches = entries.filter(it => it?.name === d.name);
+        if (matches.length === 0) continue;
+        try {
+          await upsertCoinGGA(actor, d, matches.reduce((sum, it) => sum + (Number(it?.count) || 0), 0));
+          touched = true;
+        } catch (error) {
+          console.error(`Failed to update ${d.name} on ${actor.name}:`, error);
+        }
+      }
+      if (touched) updated++;
+    }
+    this.refreshWalletApplications();
+    return updated;
+  }
+
+  /**
+   * Writes the money pouch entry that stands in for a character's module wallets, carried with a count of 1
+   * and the total weight of their coins. Left alone when it already matches.
+   * @param {string} actorId - The actor ID
+   * @param {number} weight - Weight of the coins in pounds
+   * @param {string} notes - What the pouch holds
+   * @returns {Promise<boolean>} True if the character has an up-to-date pouch
+   */
+  async setMoneyPouch(actorId, weight, notes) {
+    const actor = game.actors.get(actorId);
+    if (!actor) return false;
+
+    const entries = Object.values(readGGAList(actor)).filter(it => it?.name === MONEY_POUCH_ITEM_NAME);
+    const [current] = entries;
+    if (entries.length === 1 && Number(current.weight) === weight && Number(current.count) === 1 && current.notes === notes) return true;
+
+    await upsertCoinGGA(actor, { name: MONEY_POUCH_ITEM_NAME, value: 0, weight, notes }, 1);
+    return true;
+  }
+
+  /**
+   * Removes a character's money pouch entry, if any
+   * @param {string} actorId - The actor ID
+   * @returns {Promise<void>}
+   */
+  async removeMoneyPouch(actorId) {
+    const actor = game.actors.get(actorId);
+    if (actor) await removeCoinGGA(actor, MONEY_POUCH_ITEM_NAME);
+  }
+
   /**
    * Refreshes related application windows.
    * @returns {void}
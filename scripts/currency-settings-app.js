@@ -1,10 +1,21 @@
 /**
  * @file Currency settings application for configuring the module's financial system
- * @description Allows GMs to define currency names and denominations for the module's wallet system
+ * @description Allows GMs to define currency names and denominations for the module's wallet system,
+ * plus any other currency systems with their own coins and exchange rates
  */
 
 import VendorWalletSystem from './main.js';
-import { DEFAULT_CURRENCY_DENOMINATIONS } from './constants.js';
+import FormUtilities from './form-utilities.js';
+import CoinMigrationApplication from './coin-migration-app.js';
+import WalletConversionApplication from './wallet-conversion-app.js';
+import { hasCoinMigrationBackup, restoreCoinMigration } from './coin-migration.js';
+import { BASE_CURRENCY_ID, DEFAULT_CURRENCY_DENOMINATIONS } from './constants.js';
+
+/**
+ * Optional coin fields copied onto the coin items of character sheets
+ * @type {Array<string>}
+ */
+const OPTIONAL_COIN_FIELDS = ['abbreviation', 'color', 'img', 'pageref', 'techlevel', 'categories', 'legalityclass'];
 
 /**
  * @class CurrencySettingsApplication
@@ -55,7 +66,9 @@ export default class CurrencySettingsApplication extends foundry.applications.ap
 
   
     return {
-      denominations: processedDenominations
+      denominations: processedDenominations,
+      isGM: game.user.isGM,
+      canUndoMigration: game.user.isGM && hasCoinMigrationBackup(VendorWalletSystem.ID)
     };
   }
 
@@ -79,6 +92,12 @@ export default class CurrencySettingsApplication extends foundry.applications.ap
     
     /** Populate denomination fields with saved data */
     this._populateDenominationFields();
+
+    /** Populate the other currency systems */
+    for (const system of VendorWalletSystem.getCurrencySystems()) {
+      if (system.id === BASE_CURRENCY_ID) continue;
+      this._addCurrencySystemField(system);
+    }
     
     /** Update warning visibility after initial render */
     this._updateWarningVisibility();
@@ -127,7 +146,7 @@ export default class CurrencySettingsApplication extends foundry.applications.ap
     
     /** Add fields for each saved denomination */
     processedDenominations.forEach(denom => {
-      this._addCoinDenominationField(denom.name, denom.value, denom.weight);
+      this._addCoinDenominationField(denom);
     });
 
     /** Update warning visibility */
@@ -140,17 +159,41 @@ export default class CurrencySettingsApplication extends foundry.applications.ap
    * @returns {Promise<void>}
    */
   async _onClickButton(event) {
-    const action = event.target.dataset.action || event.target.id;
+    const target = event.target.closest('button') ?? event.target;
+    const action = target.dataset.action || target.id;
+    const systemField = target.closest('.currency-system-item');
 
     switch (action) {
       case 'addCoinDenomination':
         this._addCoinDenominationField();
         this._updateWarningVisibility();
         break;
+      case 'addCurrencySystem':
+        this._addCurrencySystemField();
+        break;
+      case 'addSystemCoin':
+        this._addCoinDenominationField({}, systemField?.querySelector('.system-denominations'));
+        break;
+      case 'removeCurrencySystem':
+        systemField?.remove();
+        break;
+      case 'removeCoin':
+        /** Coins of the main currency are removed by the container listener */
+        if (systemField) target.closest('.coin-denomination-item')?.remove();
+        break;
+      case 'pickCoinImage':
+        await FormUtilities.handleFilePicker(event, this.element);
+        break;
       case 'apply':
         event.preventDefault();
         await this._saveCurrencySettings();
         break;
+      case 'convertWallets':
+        new WalletConversionApplication().render(true);
+        break;
+      case 'undoCoinMigration':
+        await this._undoCoinMigration();
+        break;
       case 'cancel':
         this.close();
         break;
@@ -169,14 +212,26 @@ export default class CurrencySettingsApplication extends foundry.applications.ap
 
   /**
    * Adds a new set of input fields for a coin denomination
-   * @param {string} [name=''] - Pre-fill name value
-   * @param {number} [value=0.01] - Pre-fill value
-   * @param {number} [weight=0] - Pre-fill weight value
+   * @param {Object} [denomination={}] - Pre-fill values
+   * @param {string} [denomination.name=''] - Coin name as it appears on character sheets
+   * @param {number} [denomination.value=0.01] - Value per coin
+   * @param {number} [denomination.weight=0] - Weight per coin
+   * @param {string} [denomination.abbreviation] - Short label for coin breakdowns, e.g. "gp"
+   * @param {string} [denomination.color] - Display color, e.g. "#d4af37"
+   * @param {string} [denomination.img] - Image of the coin item
+   * @param {string} [denomination.pageref] - Page reference of the coin item
+   * @param {string|number} [denomination.techlevel] - Tech level of the coin item
+   * @param {string} [denomination.categories] - Categories of the coin item
+   * @param {string} [denomination.legalityclass] - Legality class of the coin item
+   * @param {HTMLElement} [container] - Where to add the fields; defaults to the main currency's coins
    */
-  _addCoinDenominationField(name = '', value = 0.01, weight = 0) {
-    const container = this.element.querySelector('#coinDenominationsContainer');
+  _addCoinDenominationField(denomination = {}, container = this.element.querySelector('#coinDenominationsContainer')) {
     if (!container) return;
 
+    const { name = '', value = 0.01, weight = 0 } = denomination;
+    const optional = Object.fromEntries(OPTIONAL_COIN_FIELDS.map(field => [field, denomination[field] ?? '']));
+    const imageInputId = `coinImg-${foundry.utils.randomID()}`;
+
     const newField = document.createElement('div');
     newField.classList.add('form-group', 'coin-denomination-item');
     newField.innerHTML = `
@@ -193,10 +248,50 @@ export default class CurrencySettingsApplication extends foundry.applications.ap
           <label class="boi-destaque-forte">Weight per Coin:</label>
           <input type="number" name="coinWeight" placeholder="0.004" min="0" step="0.001" value="${weight || 0}" required class="boi-input">
         </div>
-        <button type="button" class="secondary boi-button-small" title="Remove Coin">
+        <button type="button" class="secondary boi-button-small remove-coin-denomination" data-action="removeCoin" title="Remove Coin">
           <i class="fas fa-trash "></i>
         </button>
       </div>
+      <details class="coin-denomination-details">
+        <summary>Display and item details</summary>
+        <div class="form-fields">
+          <div class="form-field">
+            <label>Abbreviation:</label>
+            <input type="text" name="coinAbbreviation" placeholder="e.g., gp" value="${optional.abbreviation}" class="boi-input">
+          </div>
+          <div class="form-field">
+            <label>Color:</label>
+            <color-picker name="coinColor" value="${optional.color}"></color-picker>
+          </div>
+        </div>
+        <div class="form-fields">
+          <div class="form-field">
+            <label>Image:</label>
+            <input type="text" id="${imageInputId}" name="coinImg" placeholder="icons/svg/item-bag.svg" value="${optional.img}" class="boi-input">
+            <button type="button" class="file-picker boi-button-small" data-action="pickCoinImage" data-type="image" data-target="${imageInputId}" title="Browse">
+              <i class="fas fa-file-import fa-fw"></i>
+            </button>
+          </div>
+        </div>
+        <div class="form-fields">
+          <div class="form-field">
+            <label>Page Ref:</label>
+            <input type="text" name="coinPageref" placeholder="B264" value="${optional.pageref}" class="boi-input">
+          </div>
+          <div class="form-field">
+            <label>TL:</label>
+            <input type="text" name="coinTechlevel" placeholder="1" value="${optional.techlevel}" class="boi-input">
+          </div>
+          <div class="form-field">
+            <label>LC:</label>
+            <input type="text" name="coinLegalityclass" value="${optional.legalityclass}" class="boi-input">
+          </div>
+          <div class="form-field">
+            <label>Categories:</label>
+            <input type="text" name="coinCategories" value="${optional.categories}" class="boi-input">
+          </div>
+        </div>
+      </details>
     `;
 
     /** Insert the new field at the end of the container */
@@ -206,6 +301,186 @@ export default class CurrencySettingsApplication extends foundry.applications.ap
     this._updateWarningVisibility();
   }
 
+  /**
+   * Reads the optional fields of a coin row. Blank fields are left out so the coin items keep their defaults.
+   * @param {HTMLElement} field - The coin row
+   * @returns {Object} Abbreviation, color, image, page reference, TL, LC and categories that were filled in
+   * @private
+   */
+  _readOptionalCoinFields(field) {
+    const values = {
+      abbreviation: field.querySelector('input[name="coinAbbreviation"]')?.value,
+      color: field.querySelector('[name="coinColor"]')?.value,
+      img: field.querySelector('input[name="coinImg"]')?.value,
+      pageref: field.querySelector('input[name="coinPageref"]')?.value,
+      techlevel: field.querySelector('input[name="coinTechlevel"]')?.value,
+      categories: field.querySelector('input[name="coinCategories"]')?.value,
+      legalityclass: field.querySelector('input[name="coinLegalityclass"]')?.value
+    };
+
+    const optional = {};
+    for (const [key, value] of Object.entries(values)) {
+      const trimmed = value?.trim();
+      if (trimmed) optional[key] = trimmed;
+    }
+    return optional;
+  }
+
+  /**
+   * Adds the fields for another currency system and its coins
+   * @param {Object} [system] - Pre-fill values
+   * @param {string} [system.id=''] - Existing currency ID; a new one is generated on save when blank
+   * @param {string} [system.name=''] - Currency name
+   * @param {string} [system.symbol=''] - Currency symbol
+   * @param {number} [system.rate=1] - Main currency units per unit of this currency
+   * @param {Array<{name: string, value: number, weight: number}>} [system.denominations=[]] - Coins of this currency
+   */
+  _addCurrencySystemField({ id = '', name = '', symbol = '', rate = 1, denominations = [] } = {}) {
+    const container = this.element.querySelector('#currencySystemsContainer');
+    if (!container) return;
+
+    const systemField = document.createElement('div');
+    systemField.classList.add('currency-system-item');
+    systemField.dataset.currencyId = id;
+    systemField.innerHTML = `
+      <div class="form-group">
+        <div class="form-fields">
+          <div class="form-field">
+            <label class="boi-destaque-forte">Currency Name:</label>
+            <input type="text" name="systemName" placeholder="e.g., Caithness crowns" value="${name}" required class="boi-input">
+          </div>
+          <div class="form-field">
+            <label class="boi-destaque-forte">Symbol:</label>
+            <input type="text" name="systemSymbol" placeholder="e.g., Ŧ" value="${symbol}" class="boi-input">
+          </div>
+          <div class="form-field">
+            <label class="boi-destaque-forte">Exchange Rate:</label>
+            <input type="number" name="systemRate" placeholder="e.g., 0.8" min="0" step="any" value="${rate}" required class="boi-input" title="Main currency per unit">
+          </div>
+          <button type="button" class="secondary boi-button-small" data-action="removeCurrencySystem" title="Remove Currency">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </div>
+      <div class="system-denominations"></div>
+      <div class="form-group">
+        <button type="button" class="secondary" data-action="addSystemCoin">
+          <i class="fas fa-plus"></i>Add Coin
+        </button>
+      </div>
+    `;
+    container.appendChild(systemField);
+
+    const coinContainer = systemField.querySelector('.system-denominations');
+    for (const denom of denominations) {
+      this._addCoinDenominationField(denom, coinContainer);
+    }
+  }
+
+  /**
+   * Reads and validates a list of coin denomination fields
+   * @param {NodeListOf<HTMLElement>} denominationFields - The coin rows to read
+   * @param {Set<string>} usedNames - Lowercased coin names already taken, shared across all currencies
+   * @returns {Array<{name: string, value: number, weight: number}>|null} Coins sorted from highest to lowest value, or null if invalid
+   */
+  _readDenominationFields(denominationFields, usedNames) {
+    const denominations = [];
+
+    for (const field of denominationFields) {
+      const nameInput = field.querySelector('input[name="coinName"]');
+      const valueInput = field.querySelector('input[name="coinValue"]');
+      const weightInput = field.querySelector('input[name="coinWeight"]');
+      
+      const name = nameInput?.value.trim();
+      const value = parseFloat(valueInput?.value);
+      const weight = parseFloat(weightInput?.value);
+
+      /** Validate name */
+      if (!name) {
+        ui.notifications.error('All denomination names must be filled in and be unique.');
+        return null;
+      }
+
+      if (usedNames.has(name.toLowerCase())) {
+        ui.notifications.error(`Duplicate coin name: "${name}". Each coin must have a unique name, across all currencies.`);
+        return null;
+      }
+      usedNames.add(name.toLowerCase());
+
+      /** Validate value */
+      if (isNaN(value) || value <= 0) {
+        ui.notifications.error(`Invalid value for "${name}". Values must be positive numbers and unique.`);
+        return null;
+      }
+
+      /** Validate weight */
+      if (isNaN(weight) || weight < 0) {
+        ui.notifications.error(`Invalid weight for "${name}". Weight must be a non-negative number.`);
+        return null;
+      }
+
+      denominations.push({ name, value, weight, ...this._readOptionalCoinFields(field) });
+    }
+
+    /** Validate that values are different */
+    const values = denominations.map(d => d.value);
+    if (new Set(values).size !== values.length) {
+      ui.notifications.error('Each currency denomination must have a unique value.');
+      return null;
+    }
+
+    return [...denominations].sort((a, b) => b.value - a.value);
+  }
+
+  /**
+   * Reads and validates the other currency systems
+   * @param {Set<string>} usedNames - Lowercased coin names already taken by the main currency
+   * @returns {Array<Object>|null} Currency systems to save, or null if invalid
+   */
+  _readCurrencySystems(usedNames) {
+    const systems = [];
+    const usedSymbols = new Set([VendorWalletSystem.currencyManager.getCurrencySystem(BASE_CURRENCY_ID)?.symbol]);
+
+    for (const systemField of this.element.querySelectorAll('.currency-system-item')) {
+      const name = systemField.querySelector('input[name="systemName"]')?.value.trim();
+      const symbol = systemField.querySelector('input[name="systemSymbol"]')?.value.trim() ?? '';
+      const rate = parseFloat(systemField.querySelector('input[name="systemRate"]')?.value);
+
+      if (!name) {
+        ui.notifications.error('Every currency needs a name.');
+        return null;
+      }
+      if (isNaN(rate) || rate <= 0) {
+        ui.notifications.error(`Invalid exchange rate for "${name}". Rates must be positive numbers.`);
+        return null;
+      }
+      if (symbol && usedSymbols.has(symbol)) {
+        ui.notifications.error(`Duplicate currency symbol: "${symbol}". Each currency needs its own symbol so amounts can be told apart.`);
+        return null;
+      }
+      usedSymbols.add(symbol);
+
+      const coinFields = systemField.querySelectorAll('.system-denominations .coin-denomination-item');
+      if (coinFields.length === 0) {
+        ui.notifications.error(`"${name}" needs at least one coin.`);
+        return null;
+      }
+      const denominations = this._readDenominationFields(coinFields, usedNames);
+      if (!denominations) return null;
+
+      const existingId = systemField.dataset.currencyId;
+      systems.push({
+        id: existingId && existingId !== BASE_CURRENCY_ID ? existingId : foundry.utils.randomID(),
+        name,
+        symbol,
+        rate,
+        denominations
+      });
+    }
+
+    return systems;
+  }
+
   /**
    * Updates the visibility of the warning message based on denomination count
    */
@@ -254,63 +529,39 @@ export default class CurrencySettingsApplication extends foundry.applications.ap
       return;
     }
 
-    const denominations = [];
     const usedNames = new Set();
+    const denominations = [...denominationFields].map(field => ({
+      name: field.querySelector('input[name="coinName"]')?.value.trim(),
+      value: parseFloat(field.querySelector('input[name="coinValue"]')?.value)
+    }));
 
-    /** Collect and validate denominations */
-    for (const field of denominationFields) {
-      const nameInput = field.querySelector('input[name="coinName"]');
-      const valueInput = field.querySelector('input[name="coinValue"]');
-      const weightInput = field.querySelector('input[name="coinWeight"]');
-      
-      const name = nameInput?.value.trim();
-      const value = parseFloat(valueInput?.value);
-      const weight = parseFloat(weightInput?.value);
-
-      /** Validate name */
-      if (!name) {
-        ui.notifications.error('All denomination names must be filled in and be unique.');
-        return;
-      }
-
-      if (usedNames.has(name.toLowerCase())) {
-        ui.notifications.error(`Duplicate coin name: "${name}". Each coin must have a unique name.`);
-        return;
-      }
-      usedNames.add(name.toLowerCase());
-
-      /** Validate value */
-      if (isNaN(value) || value <= 0) {
-        ui.notifications.error(`Invalid value for "${name}". Values must be positive numbers and unique.`);
-        return;
-      }
-
-      /** Validate weight */
-      if (isNaN(weight) || weight < 0) {
-        ui.notifications.error(`Invalid weight for "${name}". Weight must be a non-negative number.`);
-        return;
-      }
+    /** Collect and validate denominations (sorted by value descending) */
+    const sortedDenominations = this._readDenominationFields(denominationFields, usedNames);
+    if (!sortedDenominations) return;
 
-      denominations.push({ name, value, weight });
-    }
+    /** Coin names must be unique across every currency so sheet coins can be told apart */
+    const currencySystems = this._readCurrencySystems(usedNames);
+    if (!currencySystems) return;
 
-    /** Sort by value (descending) and validate order */
-    const sortedDenominations = [...denominations].sort((a, b) => b.value - a.value);
-
-    /** Validate that values are different */
-    const values = denominations.map(d => d.value);
-    const uniqueValues = new Set(values);
-    if (uniqueValues.size !== values.length) {
-      ui.notifications.error('Each currency denomination must have a unique value.');
-      return;
-    }
+    /** Kept so the coins on character sheets can be migrated and the change undone */
+    const previousSystems = foundry.utils.deepClone(VendorWalletSystem.getCurrencySystems());
+    const previousSettings = {
+      currencyDenominations: foundry.utils.deepClone(game.settings.get(VendorWalletSystem.ID, 'currencyDenominations')),
+      currencySystems: foundry.utils.deepClone(game.settings.get(VendorWalletSystem.ID, 'currencySystems'))
+    };
 
     try {
       /** Save the denominations (sorted by value descending) */
       await game.settings.set(VendorWalletSystem.ID, 'currencyDenominations', sortedDenominations);
+      await game.settings.set(VendorWalletSystem.ID, 'currencySystems', currencySystems);
       
       /** Refresh CurrencyManager settings after saving */
-      VendorWalletSystem.refreshCurrencySettings();
+      await VendorWalletSystem.refreshCurrencySettings();
+
+      /** Push the new coin details onto the coin items characters already carry */
+      await VendorWalletSystem.currencyManager.characterCurrencyServicePromise;
+      await VendorWalletSystem.currencyManager.characterCurrencyService?.syncCoinItems();
+      await VendorWalletSystem.currencyManager.syncMoneyPouches();
       
       /** Notify user if we had to reorder denominations */
       const wasReordered = !denominations.every((denom, index) => 
@@ -322,12 +573,39 @@ export default class CurrencySettingsApplication extends foundry.applications.ap
       
       ui.notifications.info('Currency settings saved successfully!');
       this.close();
+
+      /** Coins that were renamed, removed or revalued need moving onto the new denominations */
+      if (!VendorWalletSystem.getUseModuleCurrencySystem() && CoinMigrationApplication.hasChanges(previousSystems)) {
+        new CoinMigrationApplication({ previousSystems, previousSettings }).render(true);
+      }
     } catch (error) {
       console.error('Error saving currency settings:', error);
       ui.notifications.error('Failed to save currency settings. Please try again.');
     }
   }
 
+  /**
+   * Puts back the currency settings and character coins saved by the last coin migration
+   * @returns {Promise<void>}
+   */
+  async _undoCoinMigration() {
+    const confirmed = await Dialog.confirm({
+      title: 'Undo Coin Migration',
+      content: '<p>Restore the denominations and every migrated character\'s coins as they were before the last coin migration? Coins gained or spent since then are lost.</p>'
+    });
+    if (!confirmed) return;
+
+    try {
+      if (await restoreCoinMigration(VendorWalletSystem.ID)) {
+        ui.notifications.info('The last coin migration was undone.');
+      }
+      this.close();
+    } catch (error) {
+      console.error('Error undoing coin migration:', error);
+      ui.notifications.error('Failed to undo the coin migration. Check console for details.');
+    }
+  }
+
   /**
    * Closes the application and cleans up event listeners
    * @param {Object} options - Close options
@@ -4,6 +4,59 @@
  */
 
 import { flattenItemsFromObject } from './utils.js';
+import { BASE_CURRENCY_ID } from './constants.js';
+
+/**
+ * Rounding policies for converting amounts to whole minor units
+ * @readonly
+ * @enum {string}
+ */
+export const ROUNDING_POLICIES = {
+  UP: 'up',
+  NEAREST: 'nearest',
+  BANKERS: 'bankers'
+};
+
+/**
+ * Ways of displaying an amount of money
+ * @readonly
+ * @enum {string}
+ */
+export const CURRENCY_DISPLAY_STYLES = {
+  SYMBOL_PREFIX: 'symbolPrefix',
+  SYMBOL_SUFFIX: 'symbolSuffix',
+  DENOMINATIONS: 'denominations',
+  NAME: 'name'
+};
+
+/**
+ * Places an actor's money can be kept
+ * @readonly
+ * @enum {string}
+ */
+export const WALLET_STORES = {
+  /** Balances in actor flags, used with the module currency system */
+  MODULE: 'module',
+  /** Coin items on the GURPS character sheet */
+  SHEET: 'sheet'
+};
+
+/**
+ * Gets the short label of a coin used in coin breakdowns, e.g. "gp"
+ * @param {Object} denomination - Denomination with a name and an optional abbreviation
+ * @returns {string} The abbreviation, or the lowercased initials of the coin name when none is set
+ */
+export function getDenominationAbbreviation(denomination) {
+  const abbreviation = denomination?.abbreviation?.trim();
+  if (abbreviation) return abbreviation;
+  return String(denomination?.name ?? '').split(/\s+/).filter(Boolean).map(word => word[0]).join('').toLowerCase();
+}
+
+/**
+ * Legacy wallet flags stored a bare number of cents
+ * @type {number}
+ */
+const LEGACY_WALLET_SCALE = 100;
 
 /**
  * Validates if a number is a non-negative integer
@@ -31,6 +84,31 @@ export function _calculateBaseUnitMultiplier(denominations) {
   return Math.pow(10, maxDecimalPlaces);
 }
 
+/**
+ * Rounds a value to an integer using a rounding policy.
+ * Float noise (e.g. 0.1 * 3 * 10 = 3.0000000000000004) is removed first so it never rounds up a whole unit.
+ * @param {number} value - The value to round
+ * @param {string} [policy=ROUNDING_POLICIES.UP] - One of {@link ROUNDING_POLICIES}
+ * @returns {number} The rounded integer
+ */
+export function roundToInteger(value, policy = ROUNDING_POLICIES.UP) {
+  const cleaned = Math.round((Number(value) || 0) * 1e6) / 1e6;
+
+  switch (policy) {
+    case ROUNDING_POLICIES.NEAREST:
+      return Math.sign(cleaned) * Math.round(Math.abs(cleaned));
+    case ROUNDING_POLICIES.BANKERS: {
+      const floor = Math.floor(cleaned);
+      const diff = cleaned - floor;
+      if (diff > 0.5) return floor + 1;
+      if (diff < 0.5) return floor;
+      return floor % 2 === 0 ? floor : floor + 1;
+    }
+    default:
+      return Math.ceil(cleaned);
+  }
+}
+
 /**
  * Calculates the total value of coins based on denominations
  * @param {Object} coins - Object mapping coin names to quantities
@@ -56,10 +134,25 @@ export function valueFromCoins(coins = {}, denominations = null) {
 }
 
 /**
- * Makes change for a given total using optimal coin distribution
- * @param {number} total - The total amount to make change for
- * @param {Array} denominations - Array of denomination objects sorted by value (descending)
- * @returns {Object} Object mapping coin names to quantities
+ * Largest amount the change-making table is built for. Bigger tables would freeze the client;
+ * beyond it the greedy distribution is used instead.
+ * @type {number}
+ */
+const MAX_CHANGE_TABLE_SIZE = 5_000_000;
+
+/**
+ * Makes change for a given total with the fewest coins, for any set of integer denominations.
+ * Uses dynamic programming, so sets where greedy fails (e.g. 25/10/1 for 30) still get the minimal bag.
+ * When the total can't be paid exactly, the largest payable amount is used and the rest is reported
+ * as the remainder instead of being dropped.
+ *
+ * Large totals are first reduced with the largest coin: a minimal bag never holds d_max or more of a
+ * smaller coin d (d_max/gcd of them could be swapped for fewer large coins), so everything above
+ * d_max × (sum of the other values) is paid in the largest coin.
+ * @param {number} total - The total amount to make change for, in integer units
+ * @param {Array} denominations - Array of denomination objects with integer values
+ * @returns {{coins: Object<string, number>, remainder: number}} Coin counts by name (every denomination
+ *   is listed) and the part of the total that no combination of coins can pay
  * @throws {Error} If total is invalid or denominations array is missing
  */
 export function makeChange(total, denominations = null) {
@@ -67,31 +160,278 @@ export function makeChange(total, denominations = null) {
   if (!denominations || !Array.isArray(denominations)) {
     throw new Error("Denominations array is required");
   }
-  const denoms = [...denominations].sort((a, b) => b.value - a.value);
-  const out = {};
+
+  const coins = {};
+  for (const denomination of denominations) coins[denomination.name] = 0;
+
+  const denoms = denominations
+    .filter(denomination => isNonNegInt(denomination.value) && denomination.value > 0)
+    .sort((a, b) => b.value - a.value);
+  if (denoms.length === 0) return { coins, remainder: total };
+
+  const largest = denoms[0];
+  const bound = largest.value * denoms.slice(1).reduce((sum, denomination) => sum + denomination.value, 0);
+
+  // Pay everything above the bound in the largest coin, leaving bound < rest <= bound + largest
+  let largestCount = 0;
+  let rest = total;
+  if (rest > bound + largest.value) {
+    largestCount = Math.ceil((rest - bound) / largest.value) - 1;
+    rest -= largestCount * largest.value;
+  }
+
+  if (rest > MAX_CHANGE_TABLE_SIZE) {
+    console.warn(`Change for ${total} needs too large a table; using greedy distribution.`);
+    return makeGreedyChange(total, denoms, coins);
+  }
+
+  // fewest[a] = minimal coins for amount a (-1 if impossible), lastCoin[a] = index of the coin used last
+  const fewest = new Int32Array(rest + 1).fill(-1);
+  const lastCoin = new Int32Array(rest + 1).fill(-1);
+  fewest[0] = 0;
+  for (let amount = 1; amount <= rest; amount++) {
+    for (let i = 0; i < denoms.length; i++) {
+      const value = denoms[i].value;
+      if (value > amount || fewest[amount - value] < 0) continue;
+      const count = fewest[amount - value] + 1;
+      if (fewest[amount] < 0 || count < fewest[amount]) {
+        fewest[amount] = count;
+        lastCoin[amount] = i;
+      }
+    }
+  }
+
+  let payable = rest;
+  while (fewest[payable] < 0) payable--;
+
+  coins[largest.name] += largestCount;
+  for (let amount = payable; amount > 0; amount -= denoms[lastCoin[amount]].value) {
+    coins[denoms[lastCoin[amount]].name]++;
+  }
+
+  return { coins, remainder: rest - payable };
+}
+
+/**
+ * Greedy change-making, used only when the exact table would be too large
+ * @param {number} total - The total amount to make change for
+ * @param {Array} denoms - Denominations with positive integer values, highest first
+ * @param {Object<string, number>} coins - Coin counts initialized to 0 for every denomination
+ * @returns {{coins: Object<string, number>, remainder: number}} Coin counts and unpaid remainder
+ */
+function makeGreedyChange(total, denoms, coins) {
   let rest = total;
   for (const denomination of denoms) {
-    const count = Math.floor(rest / denomination.value);
-    out[denomination.name] = count;
+    coins[denomination.name] += Math.floor(rest / denomination.value);
     rest = rest % denomination.value;
   }
-  return out;
+  return { coins, remainder: rest };
+}
+
+/**
+ * Largest amount the coin-payment table is built for; bigger payments are first paid down with the largest coins
+ * @type {number}
+ */
+const MAX_PAYMENT_TABLE_SIZE = 100_000;
+
+/**
+ * Chooses which of the coins a character holds to hand over for a payment.
+ * Picks the combination that overpays the least, then the one using the fewest coins; the overpayment
+ * is what the seller has to give back as change.
+ * @param {number} amount - Amount to pay, in integer units
+ * @param {Object<string, number>} held - Coin counts the payer holds, by name
+ * @param {Array} denominations - Array of denomination objects with integer values
+ * @returns {{spent: Object<string, number>, overpay: number}|null} Coins to hand over and the overpayment,
+ *   or null if the held coins are worth less than the amount
+ * @throws {Error} If amount is invalid or denominations array is missing
+ */
+export function payFromCoins(amount, held = {}, denominations = null) {
+  if (!isNonNegInt(amount)) throw new Error(`Invalid amount: ${amount}`);
+  if (!denominations || !Array.isArray(denominations)) {
+    throw new Error("Denominations array is required");
+  }
+
+  const spent = {};
+  for (const denomination of denominations) spent[denomination.name] = 0;
+
+  const available = denominations
+    .filter(denomination => isNonNegInt(denomination.value) && denomination.value > 0)
+    .map(denomination => ({ name: denomination.name, value: denomination.value, count: Math.max(0, Math.floor(Number(held[denomination.name]) || 0)) }))
+    .filter(denomination => denomination.count > 0)
+    .sort((a, b) => b.value - a.value);
+
+  const heldValue = available.reduce((sum, denomination) => sum + denomination.count * denomination.value, 0);
+  if (heldValue < amount) return null;
+  if (amount === 0) return { spent, overpay: 0 };
+
+  let rest = amount;
+  const take = (denomination, count) => {
+    spent[denomination.name] += count;
+    denomination.count -= count;
+    rest -= count * denomination.value;
+  };
+
+  // Pay most of a large amount with the biggest coins so the table below stays small; smaller coins
+  // are only used once every bigger coin is spent
+  for (const denomination of available) {
+    if (rest <= MAX_PAYMENT_TABLE_SIZE / 2) break;
+    const count = Math.min(denomination.count, Math.floor((rest - MAX_PAYMENT_TABLE_SIZE / 2) / denomination.value));
+    if (count > 0) take(denomination, count);
+    if (denomination.count > 0) break;
+  }
+
+  // A minimal overpayment is always below rest + the largest coin, or removing a coin would still cover it
+  const remaining = available.filter(denomination => denomination.count > 0);
+  const remainingValue = remaining.reduce((sum, denomination) => sum + denomination.count * denomination.value, 0);
+  const limit = Math.min(remainingValue, rest + (remaining[0]?.value ?? 1) - 1);
+
+  if (limit > MAX_PAYMENT_TABLE_SIZE * 2) {
+    // A single coin is worth more than the table can cover: pay greedily, then top up with the smallest coin that covers the rest
+    for (const denomination of remaining) {
+      const count = Math.min(denomination.count, Math.floor(rest / denomination.value));
+      if (count > 0) take(denomination, count);
+    }
+    while (rest > 0) {
+      const coin = [...remaining].reverse().find(denomination => denomination.count > 0 && denomination.value >= rest)
+        ?? remaining.find(denomination => denomination.count > 0);
+      take(coin, 1);
+    }
+    return { spent, overpay: -rest };
+  }
+
+  const table = buildCoinTable(remaining, limit);
+  let paid = rest;
+  while (table.fewest[paid] < 0) paid++;
+
+  const due = rest;
+  table.collect(paid, take);
+  return { spent, overpay: paid - due };
+}
+
+/**
+ * Builds the fewest-coins table for every sum up to a limit using a limited supply of coins (bounded knapsack).
+ * Each coin count is split into 1, 2, 4, ... coin bundles so the table stays linear in the number of denominations.
+ * @param {Array<{value: number, count: number}>} piles - Available coins, one entry per denomination
+ * @param {number} limit - Largest sum to consider
+ * @returns {{fewest: Int32Array, collect: Function}} fewest[sum] is the minimal coin count for that sum
+ *   (-1 if it can't be formed); collect(sum, take) calls take(pile, count) for the coins forming the sum
+ */
+function buildCoinTable(piles, limit) {
+  const bundles = [];
+  for (const pile of piles) {
+    let count = Math.min(pile.count, Math.ceil(limit / pile.value));
+    for (let size = 1; count > 0; size *= 2) {
+      const bundle = Math.min(size, count);
+      bundles.push({ pile, count: bundle, value: bundle * pile.value });
+      count -= bundle;
+    }
+  }
+
+  const width = limit + 1;
+  const fewest = new Int32Array(width).fill(-1);
+  const used = new Uint8Array(bundles.length * width);
+  fewest[0] = 0;
+  bundles.forEach((bundle, b) => {
+    for (let sum = limit; sum >= bundle.value; sum--) {
+      const previous = fewest[sum - bundle.value];
+      if (previous < 0) continue;
+      const coins = previous + bundle.count;
+      if (fewest[sum] < 0 || coins < fewest[sum]) {
+        fewest[sum] = coins;
+        used[b * width + sum] = 1;
+      }
+    }
+  });
+
+  const collect = (sum, take) => {
+    for (let b = bundles.length - 1; b >= 0; b--) {
+      if (!used[b * width + sum]) continue;
+      take(bundles[b].pile, bundles[b].count);
+      sum -= bundles[b].value;
+    }
+  };
+  return { fewest, collect };
+}
+
+/**
+ * Makes change for an amount from a limited supply of coins, such as a vendor's coin float.
+ * Gives the largest amount the coins can form without going over, using the fewest coins; whatever
+ * can't be given is reported as the remainder, as in {@link makeChange}.
+ * @param {number} amount - Change owed, in integer units
+ * @param {Object<string, number>} available - Coin counts that can be handed out, by name
+ * @param {Array} denominations - Array of denomination objects with integer values
+ * @returns {{coins: Object<string, number>, remainder: number}} Coin counts by name (every denomination
+ *   is listed) and the part of the amount that couldn't be given
+ * @throws {Error} If amount is invalid or denominations array is missing
+ */
+export function makeChangeFromCoins(amount, available = {}, denominations = null) {
+  if (!isNonNegInt(amount)) throw new Error(`Invalid amount: ${amount}`);
+  if (!denominations || !Array.isArray(denominations)) {
+    throw new Error("Denominations array is required");
+  }
+
+  const coins = {};
+  for (const denomination of denominations) coins[denomination.name] = 0;
+
+  const piles = denominations
+    .filter(denomination => isNonNegInt(denomination.value) && denomination.value > 0)
+    .map(denomination => ({ name: denomination.name, value: denomination.value, count: Math.max(0, Math.floor(Number(available[denomination.name]) || 0)) }))
+    .filter(pile => pile.count > 0 && pile.value <= amount)
+    .sort((a, b) => b.value - a.value);
+
+  let rest = amount;
+  const take = (pile, count) => {
+    coins[pile.name] += count;
+    pile.count -= count;
+    rest -= count * pile.value;
+  };
+
+  // Hand out the biggest coins first until the rest fits the table
+  for (const pile of piles) {
+    if (rest <= MAX_PAYMENT_TABLE_SIZE) break;
+    const count = Math.min(pile.count, Math.floor((rest - MAX_PAYMENT_TABLE_SIZE) / pile.value) + 1);
+    take(pile, Math.min(count, Math.floor(rest / pile.value)));
+    if (pile.count > 0) break;
+  }
+
+  if (rest > MAX_PAYMENT_TABLE_SIZE) {
+    for (const pile of piles) take(pile, Math.min(pile.count, Math.floor(rest / pile.value)));
+    return { coins, remainder: rest };
+  }
+
+  const table = buildCoinTable(piles.filter(pile => pile.count > 0), rest);
+  let given = rest;
+  while (table.fewest[given] < 0) given--;
+  table.collect(given, take);
+  return { coins, remainder: rest };
 }
 
 /**
  * Normalizes coins to optimal distribution
  * @param {Object} coins - Object mapping coin names to quantities
  * @param {Array} denominations - Array of denomination objects
- * @returns {Object} Normalized coin distribution
+ * @returns {{coins: Object<string, number>, remainder: number}} Normalized coin distribution
  */
 function normalizeCoins(coins, denominations = null) {
   return makeChange(valueFromCoins(coins, denominations), denominations);
 }
 
 /**
- * Currency manager for integrating wallets with Foundry actors and settings
+ * Currency manager for integrating wallets with Foundry actors and settings.
+ * All money math is done in integer minor units: the smallest fraction any denomination uses
+ * (e.g. tenths with the default 0.1 "Dime"). Amounts in major units are only used at the edges
+ * (display, ledger, API) and are always converted with the configured rounding policy.
  */
 export default class CurrencyManager {
+  /** @type {string} Actor flag holding the module-currency wallet as {minor, scale} */
+  static WALLET_FLAG = 'wallet';
+
+  /** @type {string} User flag holding the out-of-character player purse as {minor, scale} */
+  static PURSE_FLAG = 'purse';
+
+  /** @type {string} Actor flag holding module-currency wallets of other currencies as {[currencyId]: {minor, scale}} */
+  static CURRENCY_WALLETS_FLAG = 'currencyWallets';
+
   /**
    * Creates a new CurrencyManager instance
    * @param {string} moduleId - Module identifier used for settings keys
@@ -99,6 +439,11 @@ export default class CurrencyManager {
    * @param {boolean} settings.useModuleCurrencySystem - Whether to use module currency system
    * @param {Array} settings.currencyDenominations - Array of currency denominations
    * @param {string} settings.currencySymbol - Currency symbol for formatting
+   * @param {string} settings.currencyName - Name of the main currency
+   * @param {Array<Object>} settings.currencySystems - Other currencies: {id, name, symbol, rate, denominations}
+   * @param {string} settings.roundingPolicy - One of {@link ROUNDING_POLICIES}
+   * @param {string} settings.currencyDisplayStyle - One of {@link CURRENCY_DISPLAY_STYLES}
+   * @param {string} settings.currencyLocale - Locale for number separators; blank for the user's Foundry language
    */
   constructor(moduleId, settings = {}) {
     this.moduleId = moduleId;
@@ -109,7 +454,6 @@ export default class CurrencyManager {
       game.settings.get(this.moduleId, "currencyDenominations") || [];
     
     this._baseUnitMultiplier = _calculateBaseUnitMultiplier(denominations);
-    this._moduleScale = 100; // cents in module mode (no physical coins)
 
     // Initialize character currency service promise
     this.characterCurrencyServicePromise = this._initializeCharacterCurrencyService();
@@ -131,68 +475,447 @@ export default class CurrencyManager {
   }
 
   /**
-   * Gets the appropriate scale based on currency system settings
-   * @returns {number} The scale to use for currency calculations
+   * Checks whether the module currency system is enabled
+   * @returns {boolean} True in module currency mode
    * @private
    */
-  _getScale() {
-    const useModuleCurrency = this._settings.useModuleCurrencySystem ?? false;
-    return useModuleCurrency ? this._moduleScale : this._baseUnitMultiplier;
+  _useModuleCurrency() {
+    return this._settings.useModuleCurrencySystem ?? false;
+  }
+
+  /**
+   * Checks whether a currency ID refers to the main currency
+   * @param {string|null} currencyId - Currency ID; null or undefined mean the main currency
+   * @returns {boolean} True for the main currency
+   */
+  isBaseCurrency(currencyId) {
+    return !currencyId || currencyId === BASE_CURRENCY_ID;
+  }
+
+  /**
+   * Gets every currency system, the main currency first
+   * @returns {Array<{id: string, name: string, symbol: string, rate: number, denominations: Array<Object>}>}
+   *   Currencies with their exchange rate in main currency units
+   */
+  getCurrencySystems() {
+    const base = {
+      id: BASE_CURRENCY_ID,
+      name: this._settings.currencyName || 'coins',
+      symbol: this._getCurrencySymbol(),
+      rate: 1,
+      denominations: this._settings.currencyDenominations || []
+    };
+    const others = (this._settings.currencySystems || []).filter(system => system?.id && system.id !== BASE_CURRENCY_ID);
+    return [base, ...others];
+  }
+
+  /**
+   * Gets a currency system
+   * @param {string|null} [currencyId=null] - Currency ID; null for the main currency
+   * @returns {Object|null} The currency system, or null if it doesn't exist
+   */
+  getCurrencySystem(currencyId = null) {
+    const id = this.isBaseCurrency(currencyId) ? BASE_CURRENCY_ID : currencyId;
+    return this.getCurrencySystems().find(system => system.id === id) ?? null;
+  }
+
+  /**
+   * Gets how many main currency units one unit of a currency is worth
+   * @param {string|null} [currencyId=null] - Currency ID; null for the main currency
+   * @returns {number} The exchange rate, or 0 for unknown currencies
+   */
+  getExchangeRate(currencyId = null) {
+    if (this.isBaseCurrency(currencyId)) return 1;
+    const rate = Number(this.getCurrencySystem(currencyId)?.rate);
+    return Number.isFinite(rate) && rate > 0 ? rate : 0;
+  }
+
+  /**
+   * Gets the number of minor units in one unit of currency
+   * @param {string|null} [currencyId=null] - Currency ID; null for the main currency
+   * @returns {number} The minor-unit scale (1 when every denomination is a whole number)
+   */
+  getMinorUnitScale(currencyId = null) {
+    if (this.isBaseCurrency(currencyId)) return this._baseUnitMultiplier;
+    return _calculateBaseUnitMultiplier(this.getCurrencySystem(currencyId)?.denominations || []);
+  }
+
+  /**
+   * Gets the configured rounding policy
+   * @returns {string} One of {@link ROUNDING_POLICIES}
+   */
+  getRoundingPolicy() {
+    return this._settings.roundingPolicy || ROUNDING_POLICIES.UP;
+  }
+
+  /**
+   * Rounds a fractional number of minor units to a whole number using the rounding policy
+   * @param {number} value - Minor units, possibly fractional
+   * @returns {number} Whole minor units
+   */
+  roundMinor(value) {
+    return roundToInteger(value, this.getRoundingPolicy());
+  }
+
+  /**
+   * Converts an amount to whole minor units using the rounding policy
+   * @param {number} amount - Amount in currency units
+   * @param {string|null} [currencyId=null] - Currency of the amount; null for the main currency
+   * @returns {number} Whole minor units
+   */
+  toMinor(amount, currencyId = null) {
+    return this.roundMinor((Number(amount) || 0) * this.getMinorUnitScale(currencyId));
+  }
+
+  /**
+   * Converts minor units back to an amount in currency units
+   * @param {number} minor - Whole minor units
+   * @param {string|null} [currencyId=null] - Currency of the amount; null for the main currency
+   * @returns {number} Amount in currency units
+   */
+  fromMinor(minor, currencyId = null) {
+    return (Number(minor) || 0) / this.getMinorUnitScale(currencyId);
+  }
+
+  /**
+   * Rounds an amount to what can actually be charged or paid
+   * @param {number} amount - Amount in currency units
+   * @param {string|null} [currencyId=null] - Currency of the amount; null for the main currency
+   * @returns {number} The amount rounded to whole minor units
+   */
+  roundAmount(amount, currencyId = null) {
+    return this.fromMinor(this.toMinor(amount, currencyId), currencyId);
+  }
+
+  /**
+   * Converts minor units of one currency into another, rounding with the rounding policy.
+   * Rates are main currency units per unit; pass a rate to override the configured one (e.g. a vendor's rate).
+   * @param {number} minor - Whole minor units of the source currency
+   * @param {string|null} fromCurrencyId - Source currency; null for the main currency
+   * @param {string|null} toCurrencyId - Target currency; null for the main currency
+   * @param {Object} [rates={}] - Rate overrides
+   * @param {number} [rates.fromRate] - Rate of the source currency
+   * @param {number} [rates.toRate] - Rate of the target currency
+   * @returns {number} Whole minor units of the target currency
+   * @throws {Error} If either currency has no usable exchange rate
+   */
+  convertMinor(minor, fromCurrencyId, toCurrencyId, { fromRate, toRate } = {}) {
+    const sourceRate = fromRate ?? this.getExchangeRate(fromCurrencyId);
+    const targetRate = toRate ?? this.getExchangeRate(toCurrencyId);
+    if (!(sourceRate > 0) || !(targetRate > 0)) {
+      throw new Error('Unknown currency or missing exchange rate.');
+    }
+    if (sourceRate === targetRate && this.getMinorUnitScale(fromCurrencyId) === this.getMinorUnitScale(toCurrencyId)) {
+      return Math.round(Number(minor) || 0);
+    }
+
+    const amount = this.fromMinor(minor, fromCurrencyId) * sourceRate / targetRate;
+    return this.toMinor(amount, toCurrencyId);
+  }
+
+  /**
+   * Converts an amount between currencies at the configured rates
+   * @param {number} amount - Amount in the source currency
+   * @param {string|null} fromCurrencyId - Source currency; null for the main currency
+   * @param {string|null} toCurrencyId - Target currency; null for the main currency
+   * @returns {number} Amount in the target currency, rounded to its minor units
+   * @throws {Error} If either currency has no usable exchange rate
+   */
+  convertCurrency(amount, fromCurrencyId, toCurrencyId) {
+    const minor = this.convertMinor(this.toMinor(amount, fromCurrencyId), fromCurrencyId, toCurrencyId);
+    return this.fromMinor(minor, toCurrencyId);
+  }
+
+  /**
+   * Totals priced items. Each unit price is rounded to minor units before multiplying,
+   * so the total always matches the sum of the prices shown.
+   * @param {Array<{price: number, quantity: number}>} items - Items with unit price and quantity
+   * @returns {number} Total in minor units
+   */
+  totalMinor(items) {
+    return items.reduce((sum, item) => sum + this.toMinor(item.price) * (Number(item.quantity) || 0), 0);
+  }
+
+  /**
+   * Takes a percentage of an amount in minor units using the rounding policy
+   * @param {number} minor - Whole minor units
+   * @param {number} percentage - Percentage (0-100)
+   * @returns {number} Whole minor units
+   */
+  percentOfMinor(minor, percentage) {
+    return this.roundMinor((minor * (Number(percentage) || 0)) / 100);
+  }
+
+  /**
+   * Reads a stored wallet or purse flag as minor units of the current scale.
+   * Flags hold {minor, scale}; older flags hold a bare number of cents.
+   * @param {Object|number|undefined} stored - The flag value
+   * @returns {number} Whole minor units
+   */
+  readStoredBalance(stored, currencyId = null) {
+    if (stored === undefined || stored === null) return 0;
+    const minor = typeof stored === 'object' ? Number(stored.minor) || 0 : Number(stored) || 0;
+    const scale = typeof stored === 'object' ? Number(stored.scale) || LEGACY_WALLET_SCALE : LEGACY_WALLET_SCALE;
+    const currentScale = this.getMinorUnitScale(currencyId);
+    if (scale === currentScale) return minor;
+    return this.roundMinor((minor * currentScale) / scale);
+  }
+
+  /**
+   * Builds the value stored in a wallet or purse flag
+   * @param {number} minor - Whole minor units
+   * @param {string|null} [currencyId=null] - Currency of the balance; null for the main currency
+   * @returns {{minor: number, scale: number}} Flag value
+   */
+  toStoredBalance(minor, currencyId = null) {
+    return { minor: Math.max(0, Math.round(Number(minor) || 0)), scale: this.getMinorUnitScale(currencyId) };
   }
 
   /**
    * Gets the currency symbol from settings
+   * @param {string|null} [currencyId=null] - Currency ID; null for the main currency
    * @returns {string} The currency symbol
    * @private
    */
-  _getCurrencySymbol() {
+  _getCurrencySymbol(currencyId = null) {
+    if (!this.isBaseCurrency(currencyId)) {
+      const system = (this._settings.currencySystems || []).find(other => other?.id === currencyId);
+      if (system) return system.symbol ?? '';
+    }
     return this._settings.currencySymbol || "$";
   }
 
   /**
-   * Formats a currency amount for display
+   * Gets the configured display style
+   * @returns {string} One of {@link CURRENCY_DISPLAY_STYLES}
+   */
+  getDisplayStyle() {
+    const style = this._settings.currencyDisplayStyle;
+    return Object.values(CURRENCY_DISPLAY_STYLES).includes(style) ? style : CURRENCY_DISPLAY_STYLES.SYMBOL_PREFIX;
+  }
+
+  /**
+   * Gets the locale used for number separators
+   * @returns {string} The configured locale, the user's Foundry language, or "en-US" if neither is supported
+   */
+  getLocale() {
+    for (const locale of [this._settings.currencyLocale, game.i18n?.lang]) {
+      if (!locale) continue;
+      try {
+        if (Intl.NumberFormat.supportedLocalesOf(locale).length > 0) return locale;
+      } catch (error) {
+        // Malformed locale tags throw; try the next one
+      }
+    }
+    return 'en-US';
+  }
+
+  /**
+   * Formats a currency amount for display. The amount is rounded to minor units with the rounding
+   * policy first, so the displayed value is exactly what will be charged.
    * @param {number} amount - The amount to format
+   * @param {string|null} [currencyId=null] - Currency of the amount; null for the main currency
+   * @param {string} [style] - One of {@link CURRENCY_DISPLAY_STYLES}; defaults to the configured style
    * @returns {string} Formatted currency string
    */
-  formatCurrency(amount) {
-    const currencySymbol = this._getCurrencySymbol();
+  formatCurrency(amount, currencyId = null, style = this.getDisplayStyle()) {
+    return this.formatMinor(this.toMinor(amount, currencyId), currencyId, style);
+  }
 
-    // Ensure we have a valid number
-    let finalAmount = Number(amount);
-    if (!Number.isFinite(finalAmount)) {
-      finalAmount = 0;
+  /**
+   * Formats an amount in minor units for display
+   * @param {number} minor - Whole minor units
+   * @param {string|null} [currencyId=null] - Currency of the amount; null for the main currency
+   * @param {string} [style] - One of {@link CURRENCY_DISPLAY_STYLES}; defaults to the configured style
+   * @returns {string} Formatted currency string
+   */
+  formatMinor(minor, currencyId = null, style = this.getDisplayStyle()) {
+    switch (style) {
+      case CURRENCY_DISPLAY_STYLES.DENOMINATIONS: {
+        // Amounts the coins can't show exactly fall back to the symbol
+        const breakdown = this._formatDenominations(minor, currencyId);
+        if (breakdown) return breakdown;
+        break;
+      }
+      case CURRENCY_DISPLAY_STYLES.NAME:
+        return `${this._formatNumber(minor, currencyId)} ${this.getCurrencySystem(currencyId)?.name ?? ''}`.trim();
+      case CURRENCY_DISPLAY_STYLES.SYMBOL_SUFFIX:
+        return `${this._formatNumber(minor, currencyId)} ${this._getCurrencySymbol(currencyId)}`.trim();
     }
+    return `${this._getCurrencySymbol(currencyId)}${this._formatNumber(minor, currencyId)}`;
+  }
 
-    // Ensure minimum value for display purposes (prevents showing $0.00 for very small amounts)
-    if (finalAmount > 0 && finalAmount < 0.01) finalAmount = 0.01;
-    
-    // Round to 2 decimal places
-    finalAmount = Math.round(finalAmount * 100) / 100;
-    
-    // Format with American standard (1,000.00) and configurable symbol
-    const formattedNumber = finalAmount.toLocaleString('en-US', {
+  /**
+   * Formats the number part of an amount with the locale's separators
+   * @param {number} minor - Whole minor units
+   * @param {string|null} currencyId - Currency of the amount; null for the main currency
+   * @returns {string} The formatted number, e.g. "1,000.50"
+   * @private
+   */
+  _formatNumber(minor, currencyId) {
+    const fractionDigits = Math.max(2, Math.round(Math.log10(this.getMinorUnitScale(currencyId))));
+    return this.fromMinor(minor, currencyId).toLocaleString(this.getLocale(), {
       minimumFractionDigits: 2,
-      maximumFractionDigits: 2
+      maximumFractionDigits: fractionDigits
     });
-    
-    return `${currencySymbol}${formattedNumber}`;
   }
 
   /**
-   * Parses a currency string into a numeric value
+   * Formats an amount as the fewest coins, e.g. "3 gp 4 sp 2 cp"
+   * @param {number} minor - Whole minor units
+   * @param {string|null} currencyId - Currency of the amount; null for the main currency
+   * @returns {string|null} The coin breakdown, or null if the coins can't make the amount exactly
+   * @private
+   */
+  _formatDenominations(minor, currencyId) {
+    const denominations = this.getMinorDenominations(currencyId);
+    if (denominations.length === 0) return null;
+
+    const total = Math.round(Number(minor) || 0);
+    const sign = total < 0 ? '-' : '';
+    if (total === 0) return `0 ${getDenominationAbbreviation(denominations[denominations.length - 1])}`;
+
+    const { coins, remainder } = makeChange(Math.abs(total), denominations);
+    if (remainder > 0) return null;
+
+    const parts = denominations
+      .filter(denomination => coins[denomination.name] > 0)
+      .map(denomination => `${coins[denomination.name].toLocaleString(this.getLocale())} ${getDenominationAbbreviation(denomination)}`);
+    return `${sign}${parts.join(' ')}`;
+  }
+
+  /**
+   * Finds the currency a formatted amount is written in, from its symbol
+   * @param {string} value - Formatted amount, e.g. "Ŧ12.50" or "12,50 Ŧ"
+   * @returns {string|null} ID of the currency whose symbol the amount starts or ends with, or null if none matches
+   */
+  identifyCurrency(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim();
+
+    // Longer symbols first, so "R$" wins over "$"
+    const bySymbol = this.getCurrencySystems()
+      .filter(system => system.symbol)
+      .sort((a, b) => b.symbol.length - a.symbol.length);
+    return bySymbol.find(system => text.startsWith(system.symbol) || text.endsWith(system.symbol))?.id ?? null;
+  }
+
+  /**
+   * Parses a currency string into a numeric value. Accepts every display style: "$12.50", "12,50 $",
+   * "12.50 coins" and coin breakdowns such as "2g 5s", where each coin may be given by its abbreviation,
+   * its name or the start of either. An amount written in another currency is converted into the
+   * requested currency at the configured rates.
    * @param {string|number} value - The value to parse
+   * @param {string|null} [currencyId=null] - Currency to return the amount in; null for the main currency
    * @returns {number} Parsed numeric value
    */
-  parseCurrency(value) {
+  parseCurrency(value, currencyId = null) {
     if (typeof value === "number") return value;
     if (typeof value !== "string") return 0;
+
+    const targetId = this.isBaseCurrency(currencyId) ? BASE_CURRENCY_ID : currencyId;
+    const parsed = this._parseUnits(value, targetId)
+      ?? { amount: this._parseNumber(value), currencyId: this.identifyCurrency(value) };
+    if (!parsed.currencyId || parsed.currencyId === targetId) return parsed.amount;
+    try {
+      return this.convertCurrency(parsed.amount, parsed.currencyId, currencyId);
+    } catch (error) {
+      return parsed.amount;
+    }
+  }
+
+  /**
+   * Reads amounts written as numbers followed by units: a coin breakdown ("2g 5s"), a currency
+   * name ("12.50 coins") or a trailing symbol ("12,50 Ŧ")
+   * @param {string} value - The value to parse
+   * @param {string} preferredId - Currency tried first when a coin abbreviation is shared
+   * @returns {{amount: number, currencyId: string}|null} The amount and its currency, or null if the
+   *   value isn't written that way
+   * @private
+   */
+  _parseUnits(value, preferredId) {
+    let text = value.trim();
+    const negative = text.startsWith('-');
+    if (negative) text = text.slice(1).trim();
+    if (!/^\d/.test(text)) return null;
+
+    const terms = [...text.matchAll(/(\d[\d.,]*)\s*([^\d]*)/g)].map(([, number, unit]) => ({
+      count: this._parseNumber(number),
+      unit: unit.replace(/[\s,;+&]+$/, '').trim().toLowerCase()
+    }));
+    if (terms.some(term => !term.unit)) return null;
+
+    const systems = this.getCurrencySystems()
+      .sort((a, b) => (b.id === preferredId) - (a.id === preferredId));
+    const sign = negative ? -1 : 1;
+
+    // A single amount followed by a currency's name or symbol
+    if (terms.length === 1) {
+      const [{ count, unit }] = terms;
+      const system = systems.find(other => other.name?.toLowerCase() === unit || other.symbol?.toLowerCase() === unit);
+      if (system) return { amount: sign * count, currencyId: system.id };
+    }
+
+    // A coin breakdown, read in the first currency whose coins match every unit
+    for (const system of systems) {
+      const denominations = this.getMinorDenominations(system.id);
+      const matched = terms.map(term => this._findDenomination(denominations, term.unit));
+      if (matched.some(denomination => !denomination)) continue;
+
+      const minor = terms.reduce((sum, term, index) => sum + term.count * matched[index].value, 0);
+      return { amount: sign * this.fromMinor(this.roundMinor(minor), system.id), currencyId: system.id };
+    }
+    return null;
+  }
+
+  /**
+   * Finds the coin a unit refers to: its abbreviation or name (singular or plural), or failing
+   * that the only coin whose abbreviation or name starts with the unit
+   * @param {Array<Object>} denominations - Coins of one currency
+   * @param {string} unit - Lowercased unit as typed
+   * @returns {Object|null} The matching coin, or null if there is none or several
+   * @private
+   */
+  _findDenomination(denominations, unit) {
+    const labels = denominations.map(denomination => ({
+      denomination,
+      abbreviation: getDenominationAbbreviation(denomination).toLowerCase(),
+      name: String(denomination.name).toLowerCase()
+    }));
+
+    const exact = labels.find(label => [label.abbreviation, label.name, `${label.name}s`].includes(unit));
+    if (exact) return exact.denomination;
+
+    const prefixed = labels.filter(label => label.abbreviation.startsWith(unit) || label.name.startsWith(unit));
+    return prefixed.length === 1 ? prefixed[0].denomination : null;
+  }
+
+  /**
+   * Reads the number in a currency string. When both "," and "." appear, the last one is the decimal
+   * separator; a lone separator is a decimal point unless it is followed by exactly three digits and
+   * is the locale's thousands separator.
+   * @param {string} value - The value to parse
+   * @returns {number} Parsed numeric value
+   * @private
+   */
+  _parseNumber(value) {
     let s = value.trim();
     s = s.replace(/\s/g, "");
     s = s.replace(/[^\d.,\-]/g, "");
     const lastComma = s.lastIndexOf(",");
     const lastDot = s.lastIndexOf(".");
-    let decSep = ".";
-    if (lastComma > lastDot) decSep = ",";
+    let decSep = lastComma > lastDot ? "," : ".";
+
+    if (lastComma < 0 || lastDot < 0) {
+      const separator = lastComma >= 0 ? "," : ".";
+      const occurrences = s.split(separator).length - 1;
+      const groupSeparator = new Intl.NumberFormat(this.getLocale()).formatToParts(1000)
+        .find(part => part.type === 'group')?.value;
+      const looksGrouped = occurrences > 1
+        || (occurrences === 1 && /^\d{3}$/.test(s.slice(s.indexOf(separator) + 1)) && groupSeparator === separator);
+      decSep = looksGrouped ? (separator === "." ? "," : ".") : separator;
+    }
+
     const thouSep = decSep === "." ? "," : ".";
     const reThou = new RegExp("\\" + thouSep, "g");
     s = s.replace(reThou, "");
@@ -202,64 +925,63 @@ export default class CurrencyManager {
   }
 
   /**
-   * Gets a user's wallet balance
+   * Gets a user's wallet balance: the wallet of the user's assigned character
    * @param {string} userId - The user ID
-   * @returns {number} The user's wallet balance
+   * @returns {Promise<number>} The user's wallet balance
    */
   async getUserWallet(userId) {
-    const useModuleCurrency = this._settings.useModuleCurrencySystem ?? false;
-    
-    if (!useModuleCurrency) {
-      await this.characterCurrencyServicePromise;
-      return this.characterCurrencyService?.getCharacterSheetCurrency(userId) || 0;
-    }
-    
-    const user = game.users.get(userId);
-    const scale = this._getScale();
-    const scaledAmount = Number(user?.getFlag(this.moduleId, "wallet")) || 0;
-    return scaledAmount / scale;
+    const character = game.users.get(userId)?.character;
+    return character ? this.getActorWallet(character.id) : 0;
   }
 
   /**
-   * Sets a user's wallet balance
+   * Sets a user's wallet balance: the wallet of the user's assigned character
    * @param {string} userId - The user ID
    * @param {number} amount - The new wallet amount
    * @returns {Promise<boolean>} True if successful
    */
   async setUserWallet(userId, amount) {
-    const useModuleCurrency = this._settings.useModuleCurrencySystem ?? false;
-    
-    if (!useModuleCurrency) {
-      await this.characterCurrencyServicePromise;
-      return await this.characterCurrencyService?.setCharacterSheetCurrency(userId, amount) || false;
-    }
-    
+    const character = game.users.get(userId)?.character;
+    return character ? this.setActorWallet(character.id, amount) : false;
+  }
+
+  /**
+   * Gets a user's player purse, an out-of-character balance kept on the user rather than on a character
+   * @param {string} userId - The user ID
+   * @returns {number} The purse balance
+   */
+  getPlayerPurse(userId) {
+    const user = game.users.get(userId);
+    return this.fromMinor(this.readStoredBalance(user?.getFlag(this.moduleId, CurrencyManager.PURSE_FLAG)));
+  }
+
+  /**
+   * Sets a user's player purse
+   * @param {string} userId - The user ID
+   * @param {number} amount - The new purse amount
+   * @returns {Promise<boolean>} True if successful
+   */
+  async setPlayerPurse(userId, amount) {
     const user = game.users.get(userId);
-    const scale = this._getScale();
-    const scaledAmount = Math.max(0, Math.round((Number(amount) || 0) * scale));
-    const result = await user?.setFlag(this.moduleId, "wallet", scaledAmount);
+    const result = await user?.setFlag(this.moduleId, CurrencyManager.PURSE_FLAG, this.toStoredBalance(this.toMinor(amount)));
     return !!result;
   }
 
   /**
    * Gets a breakdown of module currency by denomination
    * @param {string} userId - The user ID
-   * @returns {Array} Array of denomination breakdown objects
+   * @returns {Promise<{coins: Array<{name: string, count: number, value: number}>, remainder: number}>}
+   *   Coins needed for the balance and any amount no combination of coins can represent
    */
-  getModuleCurrencyBreakdown(userId) {
-    const unscaledTotalValue = this.getUserWallet(userId);
-    const scaledTotalValue = Math.round(unscaledTotalValue * this._getScale());
+  async getModuleCurrencyBreakdown(userId) {
+    const character = game.users.get(userId)?.character;
+    const totalMinor = character ? await this.getActorWalletMinor(character.id) : 0;
     
     const denominations = this._settings.currencyDenominations || [];
 
-    if (denominations.length === 0) return [];
+    if (denominations.length === 0) return { coins: [], remainder: this.fromMinor(totalMinor) };
 
-    const scaledDenominations = denominations.map((denom) => ({
-      ...denom,
-      value: denom.value * this._getScale()
-    }));
-
-    const coinBag = makeChange(scaledTotalValue, scaledDenominations);
+    const { coins: coinBag, remainder } = makeChange(totalMinor, this.getMinorDenominations());
     const breakdown = [];
     for (const denomination of denominations) {
       const count = coinBag[denomination.name] || 0;
@@ -271,7 +993,19 @@ export default class CurrencyManager {
         });
       }
     }
-    return breakdown;
+    return { coins: breakdown, remainder: this.fromMinor(remainder) };
+  }
+
+  /**
+   * Gets the configured denominations with their values in minor units
+   * @param {string|null} [currencyId=null] - Currency ID; null for the main currency
+   * @returns {Array<Object>} Denominations with integer values, highest first
+   */
+  getMinorDenominations(currencyId = null) {
+    const scale = this.getMinorUnitScale(currencyId);
+    return (this.getCurrencySystem(currencyId)?.denominations || [])
+      .map(denomination => ({ ...denomination, value: Math.round(Number(denomination.value) * scale) }))
+      .sort((a, b) => b.value - a.value);
   }
 
   /**
@@ -293,69 +1027,215 @@ export default class CurrencyManager {
   }
 
   /**
-   * Gets an actor's wallet balance
+   * Gets where wallets are currently kept
+   * @returns {string} One of {@link WALLET_STORES}
+   */
+  getWalletStore() {
+    return this._useModuleCurrency() ? WALLET_STORES.MODULE : WALLET_STORES.SHEET;
+  }
+
+  /**
+   * Gets an actor's wallet balance in minor units
    * @param {string} actorId - The actor ID
-   * @returns {number} The actor's wallet balance
+   * @param {string|null} [currencyId=null] - Currency of the wallet; null for the main currency
+   * @param {string} [store] - One of {@link WALLET_STORES}; defaults to where wallets are currently kept
+   * @returns {Promise<number>} Whole minor units
    */
-  async getActorWallet(actorId) {
-    const useModuleCurrency = this._settings.useModuleCurrencySystem ?? false;
-    
-    if (!useModuleCurrency) {
+  async getActorWalletMinor(actorId, currencyId = null, store = this.getWalletStore()) {
+    if (store === WALLET_STORES.SHEET) {
       await this.characterCurrencyServicePromise;
-      return this.characterCurrencyService?.getCharacterSheetCurrency(actorId) || 0;
+      return this.characterCurrencyService?.getCharacterSheetMinor(actorId, currencyId) || 0;
     }
     
-    // For module currency, we need to find the actor's owner and use their wallet
     const actor = game.actors.get(actorId);
-    if (!actor) return 0;
-    
-    // Find the primary owner of this actor
-    const ownerIds = Object.entries(actor.ownership || {})
-      .filter(([userId, level]) => level >= 3 && userId !== "default")
-      .map(([userId]) => userId);
-    
-    if (ownerIds.length === 0) return 0;
-    
-    // Use the first owner's wallet for module currency
-    const user = game.users.get(ownerIds[0]);
-    const scale = this._getScale();
-    const scaledAmount = Number(user?.getFlag(this.moduleId, "wallet")) || 0;
-    return scaledAmount / scale;
+    if (this.isBaseCurrency(currencyId)) {
+      return this.readStoredBalance(actor?.getFlag(this.moduleId, CurrencyManager.WALLET_FLAG));
+    }
+    const stored = actor?.getFlag(this.moduleId, CurrencyManager.CURRENCY_WALLETS_FLAG)?.[currencyId];
+    return this.readStoredBalance(stored, currencyId);
   }
 
   /**
-   * Sets an actor's wallet balance
+   * Sets an actor's wallet balance in minor units
    * @param {string} actorId - The actor ID
-   * @param {number} amount - The new wallet amount
+   * @param {number} minor - Whole minor units
+   * @param {string|null} [currencyId=null] - Currency of the wallet; null for the main currency
+   * @param {string} [store] - One of {@link WALLET_STORES}; defaults to where wallets are currently kept
    * @returns {Promise<boolean>} True if successful
    */
-  async setActorWallet(actorId, amount) {
-    const useModuleCurrency = this._settings.useModuleCurrencySystem ?? false;
-    
-    if (!useModuleCurrency) {
+  async setActorWalletMinor(actorId, minor, currencyId = null, store = this.getWalletStore()) {
+    if (store === WALLET_STORES.SHEET) {
       await this.characterCurrencyServicePromise;
-      return await this.characterCurrencyService?.setCharacterSheetCurrency(actorId, amount) || false;
+      return await this.characterCurrencyService?.setCharacterSheetMinor(actorId, minor, currencyId) || false;
     }
     
-    // For module currency, we need to find the actor's owner and update their wallet
     const actor = game.actors.get(actorId);
     if (!actor) return false;
+    if (!this.getCurrencySystem(currencyId)) return false;
     
-    // Find the primary owner of this actor
-    const ownerIds = Object.entries(actor.ownership || {})
-      .filter(([userId, level]) => level >= 3 && userId !== "default")
-      .map(([userId]) => userId);
-    
-    if (ownerIds.length === 0) return false;
-    
-    // Update the first owner's wallet for module currency
-    const user = game.users.get(ownerIds[0]);
-    const scale = this._getScale();
-    const scaledAmount = Math.max(0, Math.round((Number(amount) || 0) * scale));
-    const result = await user?.setFlag(this.moduleId, "wallet", scaledAmount);
+    const key = this.isBaseCurrency(currencyId)
+      ? CurrencyManager.WALLET_FLAG
+      : `${CurrencyManager.CURRENCY_WALLETS_FLAG}.${currencyId}`;
+    const result = await actor.setFlag(this.moduleId, key, this.toStoredBalance(minor, currencyId));
     return !!result;
   }
 
+  /**
+   * Gets an actor's wallet balance
+   * @param {string} actorId - The actor ID
+   * @param {string|null} [currencyId=null] - Currency of the wallet; null for the main currency
+   * @returns {Promise<number>} The actor's wallet balance
+   */
+  async getActorWallet(actorId, currencyId = null) {
+    return this.fromMinor(await this.getActorWalletMinor(actorId, currencyId), currencyId);
+  }
+
+  /**
+   * Sets an actor's wallet balance
+   * @param {string} actorId - The actor ID
+   * @param {number} amount - The new wallet amount
+   * @param {string|null} [currencyId=null] - Currency of the wallet; null for the main currency
+   * @returns {Promise<boolean>} True if successful
+   */
+  async setActorWallet(actorId, amount, currencyId = null) {
+    return this.setActorWalletMinor(actorId, this.toMinor(amount, currencyId), currencyId);
+  }
+
+  /**
+   * Gets an actor's balance in every currency other than the main one
+   * @param {string} actorId - The actor ID
+   * @returns {Promise<Array<{currencyId: string, name: string, amount: number}>>} Non-zero balances
+   */
+  async getActorCurrencyWallets(actorId) {
+    const wallets = [];
+    for (const system of this.getCurrencySystems()) {
+      if (this.isBaseCurrency(system.id)) continue;
+      const amount = await this.getActorWallet(actorId, system.id);
+      if (amount > 0) wallets.push({ currencyId: system.id, name: system.name, amount });
+    }
+    return wallets;
+  }
+
+  /**
+   * Gets the weight of an actor's module wallets, each balance counted as the fewest coins that make it
+   * @param {string} actorId - The actor ID
+   * @returns {Promise<number>} Weight in pounds
+   */
+  async getModuleWalletWeight(actorId) {
+    let weight = 0;
+    for (const system of this.getCurrencySystems()) {
+      const currencyId = this.isBaseCurrency(system.id) ? null : system.id;
+      const denominations = this.getMinorDenominations(currencyId);
+      const minor = await this.getActorWalletMinor(actorId, currencyId, WALLET_STORES.MODULE);
+      const { coins } = makeChange(minor, denominations);
+      weight += denominations.reduce((sum, denomination) => sum + (coins[denomination.name] || 0) * (Number(denomination.weight) || 0), 0);
+    }
+    return Math.round(weight * 10000) / 10000;
+  }
+
+  /**
+   * Brings an actor's money pouch in line with their module wallets: written when the module currency
+   * system and the carryMoneyPouch setting are both on, removed otherwise
+   * @param {string} actorId - The actor ID
+   * @returns {Promise<void>}
+   */
+  async syncMoneyPouch(actorId) {
+    await this.characterCurrencyServicePromise;
+    const service = this.characterCurrencyService;
+    if (!service) return;
+
+    if (!this._useModuleCurrency() || !this._settings.carryMoneyPouch) {
+      await service.removeMoneyPouch(actorId);
+      return;
+    }
+
+    const balances = [];
+    for (const system of this.getCurrencySystems()) {
+      const currencyId = this.isBaseCurrency(system.id) ? null : system.id;
+      const minor = await this.getActorWalletMinor(actorId, currencyId, WALLET_STORES.MODULE);
+      if (minor > 0) balances.push(this.formatMinor(minor, currencyId));
+    }
+    await service.setMoneyPouch(actorId, await this.getModuleWalletWeight(actorId), balances.join(', '));
+  }
+
+  /**
+   * Syncs the money pouch of every character the current user owns
+   * @returns {Promise<void>}
+   */
+  async syncMoneyPouches() {
+    for (const actor of game.actors.filter(actor => actor.type === 'character' && actor.isOwner)) {
+      try {
+        await this.syncMoneyPouch(actor.id);
+      } catch (error) {
+        console.error(`Failed to update the money pouch of ${actor.name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Captures an actor's wallet so it can be restored exactly if a transaction fails
+   * @param {string} actorId - The actor ID
+   * @param {string|null} [currencyId=null] - Currency of the wallet; null for the main currency
+   * @returns {Promise<{amount: number, minor: number, currencyId: string|null, coins?: Array<{name: string, count: number}>}>} Wallet snapshot
+   */
+  async snapshotActorWallet(actorId, currencyId = null) {
+    const minor = await this.getActorWalletMinor(actorId, currencyId);
+    const amount = this.fromMinor(minor, currencyId);
+    if (this._useModuleCurrency()) return { amount, minor, currencyId };
+
+    await this.characterCurrencyServicePromise;
+    const coins = (this.characterCurrencyService?.getCharacterSheetCoinBreakdown(actorId, currencyId) || [])
+      .map(({ name, count }) => ({ name, count }));
+    return { amount, minor, currencyId, coins };
+  }
+
+  /**
+   * Restores an actor's wallet from a snapshot taken with snapshotActorWallet
+   * @param {string} actorId - The actor ID
+   * @param {Object} snapshot - Snapshot returned by snapshotActorWallet
+   * @returns {Promise<boolean>} True if successful
+   */
+  async restoreActorWallet(actorId, snapshot) {
+    const currencyId = snapshot?.currencyId ?? null;
+    if (Array.isArray(snapshot?.coins)) {
+      await this.characterCurrencyServicePromise;
+      return await this.characterCurrencyService?.restoreCharacterSheetCoins(actorId, snapshot.coins, currencyId) || false;
+    }
+    if (Number.isInteger(snapshot?.minor)) return this.setActorWalletMinor(actorId, snapshot.minor, currencyId);
+    return this.setActorWallet(actorId, snapshot?.amount ?? 0, currencyId);
+  }
+
+  /**
+   * Works out a character sheet payment made with specific coins (character sheet currency only)
+   * @param {string} actorId - The actor ID
+   * @param {Object<string, number>|null} tendered - Coin counts handed over, or null to pick them automatically
+   * @param {number} costMinor - Price in integer minor units
+   * @param {Object<string, number>|null} [coinFloat=null] - Coins the vendor can give as change; null for unlimited change
+   * @param {string|null} [currencyId=null] - Currency paid in; null for the main currency
+   * @returns {Promise<Object>} Payment plan from CharacterCurrencyService.planCoinPayment
+   * @throws {Error} If the coins can't pay the price
+   */
+  async planCoinPayment(actorId, tendered, costMinor, coinFloat = null, currencyId = null) {
+    await this.characterCurrencyServicePromise;
+    if (!this.characterCurrencyService) {
+      throw new Error('Character currency service not initialized');
+    }
+    return this.characterCurrencyService.planCoinPayment(actorId, tendered, costMinor, coinFloat, currencyId);
+  }
+
+  /**
+   * Removes and adds specific coins on an actor's sheet (character sheet currency only)
+   * @param {string} actorId - The actor ID
+   * @param {Object<string, number>} given - Coin counts removed, by name
+   * @param {Object<string, number>} received - Coin counts added, by name
+   * @param {string|null} [currencyId=null] - Currency of the coins; null for the main currency
+   * @returns {Promise<boolean>} True if successful
+   */
+  async exchangeActorCoins(actorId, given, received, currencyId = null) {
+    await this.characterCurrencyServicePromise;
+    return await this.characterCurrencyService?.exchangeCharacterCoins(actorId, given, received, currencyId) || false;
+  }
+
   /**
    * Initializes missing currency denominations for all actors without affecting existing coins
    * @returns {Promise<void>}
@@ -369,4 +1249,4 @@ export default class CurrencyManager {
   }
 }
 
-export { isNonNegInt };
\ No newline at end of file
+export { isNonNegInt };
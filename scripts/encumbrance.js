@@ -0,0 +1,128 @@
+/**
+ * @file Encumbrance checks
+ * @description Works out how a purchase changes a character's carried weight and GURPS encumbrance level
+ */
+
+/**
+ * What happens when a purchase would leave the buyer more encumbered than the configured limit
+ * @readonly
+ * @enum {string}
+ */
+export const ENCUMBRANCE_POLICIES = {
+  /** Don't check */
+  ALLOW: 'allow',
+  /** Show the result to the player and the GM, but let the purchase through */
+  WARN: 'warn',
+  /** Refuse the purchase */
+  BLOCK: 'block'
+};
+
+/**
+ * GURPS encumbrance levels with the multiple of Basic Lift each allows (B17). Anything heavier than the
+ * last level is too much to move at all.
+ * @type {Array<{key: string, name: string, multiplier: number}>}
+ */
+export const ENCUMBRANCE_LEVELS = [
+  { key: 'none', name: 'None', multiplier: 1 },
+  { key: 'light', name: 'Light', multiplier: 2 },
+  { key: 'medium', name: 'Medium', multiplier: 3 },
+  { key: 'heavy', name: 'Heavy', multiplier: 6 },
+  { key: 'extraHeavy', name: 'Extra-Heavy', multiplier: 10 }
+];
+
+/**
+ * Reads a weight from sheet data, which may be a number or a string with units (e.g. "20 lb")
+ * @param {number|string} value - The stored weight
+ * @returns {number|null} The weight, or null if there is none
+ */
+function parseWeight(value) {
+  const weight = parseFloat(value);
+  return Number.isFinite(weight) ? weight : null;
+}
+
+/**
+ * Gets a character's Basic Lift from the GURPS sheet, or works it out from ST (ST×ST/5, B15)
+ * @param {Actor} actor - The character
+ * @returns {number|null} Basic Lift, or null if the sheet has neither
+ */
+export function getBasicLift(actor) {
+  const basicLift = parseWeight(actor?.system?.basiclift);
+  if (basicLift !== null && basicLift > 0) return basicLift;
+
+  const st = parseWeight(actor?.system?.attributes?.ST?.value);
+  if (st === null || st <= 0) return null;
+  const lift = st * st / 5;
+  return lift >= 10 ? Math.round(lift) : lift;
+}
+
+/**
+ * Gets the weight a character carries, from the GURPS sheet's equipment summary or else by adding up
+ * the carried list
+ * @param {Actor} actor - The character
+ * @returns {number} Carried weight
+ */
+export function getCarriedWeight(actor) {
+  const summary = parseWeight(actor?.system?.eqtsummary?.eqtlbs);
+  if (summary !== null) return summary;
+
+  return Object.values(actor?.system?.equipment?.carried || {}).reduce((sum, entry) => {
+    const weightsum = parseWeight(entry?.weightsum);
+    return sum + (weightsum ?? (Number(entry?.count) || 0) * (parseWeight(entry?.weight) || 0));
+  }, 0);
+}
+
+/**
+ * Adds up the weight of the items in a purchase
+ * @param {Array<{weight?: number, quantity?: number}>} items - Items with a per-unit weight and a quantity
+ * @returns {number} Total weight
+ */
+export function getItemsWeight(items) {
+  return (items || []).reduce((sum, item) => sum + (Number(item.weight) || 0) * (Number(item.quantity) || 1), 0);
+}
+
+/**
+ * Finds the encumbrance level of a load
+ * @param {number} weight - Carried weight
+ * @param {number} basicLift - Basic Lift
+ * @returns {number} Index into {@link ENCUMBRANCE_LEVELS}; ENCUMBRANCE_LEVELS.length when too heavy to move
+ */
+export function getEncumbranceLevel(weight, basicLift) {
+  const index = ENCUMBRANCE_LEVELS.findIndex(level => weight <= level.multiplier * basicLift + 1e-9);
+  return index === -1 ? ENCUMBRANCE_LEVELS.length : index;
+}
+
+/**
+ * Gets the name of an encumbrance level
+ * @param {number} level - Index from getEncumbranceLevel
+ * @returns {string} Level name
+ */
+export function getEncumbranceLevelName(level) {
+  return ENCUMBRANCE_LEVELS[level]?.name ?? 'Overloaded';
+}
+
+/**
+ * Works out a character's encumbrance after taking on extra weight
+ * @param {Actor} actor - The buyer
+ * @param {number} addedWeight - Weight of the items bought
+ * @param {string} limit - Key of the heaviest allowed level from {@link ENCUMBRANCE_LEVELS}
+ * @returns {Object|null} basicLift, before and after (carried weight), levelBefore and levelAfter (indexes),
+ *   levelName (after the purchase), exceedsLimit and a summary message; null if the character has no Basic Lift
+ */
+export function checkEncumbrance(actor, addedWeight, limit) {
+  const basicLift = getBasicLift(actor);
+  if (basicLift === null) return null;
+
+  const before = getCarriedWeight(actor);
+  const after = before + addedWeight;
+  const levelBefore = getEncumbranceLevel(before, basicLift);
+  const levelAfter = getEncumbranceLevel(after, basicLift);
+  const limitIndex = ENCUMBRANCE_LEVELS.findIndex(level => level.key === limit);
+  const exceedsLimit = addedWeight > 0 && levelAfter > (limitIndex === -1 ? ENCUMBRANCE_LEVELS.length - 1 : limitIndex);
+
+  const round = (weight) => Math.round(weight * 100) / 100;
+  const levelName = getEncumbranceLevelName(levelAfter);
+  const message = `${actor.name} would carry ${round(after)} lb (now ${round(before)} lb, Basic Lift ${round(basicLift)} lb): ` +
+    `${levelName} encumbrance${levelAfter > levelBefore ? `, up from ${getEncumbranceLevelName(levelBefore)}` : ''}.`;
+
+  return { basicLift, before, after, levelBefore, levelAfter, levelName, exceedsLimit, message };
+}
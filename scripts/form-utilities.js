@@ -57,11 +57,12 @@ export default class FormUtilities {
   /**
    * Validates price range values
    * @param {number} minValue - Minimum price value
-   * @param {number} maxValue - Maximum price value
+   * @param {number} maxValue - Maximum price value (0 for no upper limit)
    * @returns {boolean} True if valid, false otherwise
    */
   static validatePriceRange(minValue, maxValue) {
-    if (minValue > maxValue) {
+    /** A maximum of 0 means no upper limit */
+    if (maxValue > 0 && minValue > maxValue) {
       ui.notifications.error('Min Value must be less than or equal to Max Value');
       return false;
     }
@@ -93,15 +94,25 @@ export default class FormUtilities {
   }
 
   /**
-   * Generates random items for a vendor based on the provided criteria
+   * Gets the cost of a compendium item or index entry
+   * @param {Object} item - Item document or index entry
+   * @returns {number} The item's cost, or 0 if it has none
+   */
+  static getItemCost(item) {
+    return Number(item.system?.eqt?.cost || item.system?.cost) || 0;
+  }
+
+  /**
+   * Finds the compendium entries that match a vendor's generation criteria
    * @param {Object} vendorData - The vendor configuration data
-   * @returns {Promise<Array>} Array of generated vendor items
+   * @returns {Promise<{pack: CompendiumCollection|null, entries: Array<Object>}>} The vendor's compendium and its
+   *   matching index entries
    */
-  static async generateRandomItems(vendorData) {
+  static async getMatchingEntries(vendorData) {
     const pack = game.packs.get(vendorData.compendium);
-    if (!pack) return [];
+    if (!pack) return { pack: null, entries: [] };
 
-    const index = await pack.getIndex({ fields: ['name', 'img', 'system.eqt.techlevel', 'system.eqt.legalityclass'] });
+    const index = await pack.getIndex({ fields: ['name', 'img', 'system.eqt.techlevel', 'system.eqt.legalityclass', 'system.eqt.cost', 'system.cost'] });
     let filteredItems = Array.from(index);
 
     /** Apply TL filter if specified */
@@ -150,9 +161,47 @@ export default class FormUtilities {
       }
     }
 
+    /** Apply price range filter; a maximum of 0 means no upper limit */
+    const minValue = Number(vendorData.minValue) || 0;
+    const maxValue = Number(vendorData.maxValue) || 0;
+    if (minValue > 0 || maxValue > 0) {
+      if (VendorWalletSystem.getDebugMode()) {
+        console.log(`Applying price filter ${minValue}–${maxValue || '∞'} to ${filteredItems.length} items`);
+      }
+
+      filteredItems = filteredItems.filter(item => {
+        const cost = this.getItemCost(item);
+        return cost >= minValue && (maxValue <= 0 || cost <= maxValue);
+      });
+
+      if (VendorWalletSystem.getDebugMode()) {
+        console.log(`Items after price filter: ${filteredItems.length}`);
+      }
+    }
+
+    return { pack, entries: filteredItems };
+  }
+
+  /**
+   * Picks random compendium entries for a vendor and turns them into vendor items
+   * @param {Object} vendorData - The vendor configuration data
+   * @param {number} count - Number of items wanted
+   * @param {Array<string>} [excludeUuids=[]] - Compendium items the vendor already has
+   * @returns {Promise<Array>} Array of generated vendor items
+   * @private
+   */
+  static async _pickRandomItems(vendorData, count, excludeUuids = []) {
+    const { pack, entries } = await this.getMatchingEntries(vendorData);
+    if (!pack) return [];
+
+    const candidates = entries.filter(entry => !excludeUuids.includes(entry.uuid ?? pack.getUuid(entry._id)));
+    if (candidates.length < count) {
+      ui.notifications.warn(`Only ${candidates.length} item${candidates.length === 1 ? '' : 's'} in ${pack.title} match the filters for ${vendorData.name || 'this vendor'}; ${count} were requested.`);
+    }
+
     /** Randomly select items */
-    const shuffled = filteredItems.sort(() => 0.5 - Math.random());
-    const selectedItems = shuffled.slice(0, vendorData.quantity);
+    const shuffled = candidates.sort(() => 0.5 - Math.random());
+    const selectedItems = shuffled.slice(0, count);
 
     const items = [];
     for (const indexItem of selectedItems) {
@@ -161,7 +210,7 @@ export default class FormUtilities {
       const maxStock = Number.isInteger(vendorData.stockMax) ? vendorData.stockMax : minStock;
       const quantity = Math.floor(Math.random() * (maxStock - minStock + 1)) + minStock;
 
-      const price = item.system?.eqt?.cost || item.system?.cost || 0;
+      const price = this.getItemCost(item);
 
       items.push({
         id: foundry.utils.randomID(),
@@ -180,4 +229,59 @@ export default class FormUtilities {
 
     return items;
   }
+
+  /**
+   * Generates random items for a vendor based on the provided criteria
+   * @param {Object} vendorData - The vendor configuration data
+   * @returns {Promise<Array>} Array of generated vendor items
+   */
+  static async generateRandomItems(vendorData) {
+    return this._pickRandomItems(vendorData, vendorData.quantity);
+  }
+
+  /**
+   * Checks whether an item survives regeneration: items the GM pinned or edited by hand are kept
+   * @param {Object} item - The vendor item
+   * @returns {boolean} True if regenerating keeps the item
+   */
+  static isKeptOnRegenerate(item) {
+    return !!(item.pinned || item.edited);
+  }
+
+  /**
+   * Rolls a vendor's items again from its saved criteria. Pinned and hand-edited items keep their place;
+   * the other places get fresh items, up to the vendor's number of items.
+   * @param {Object} vendorData - The vendor, with its criteria and current items
+   * @returns {Promise<Array>} The vendor's new items
+   */
+  static async regenerateItems(vendorData) {
+    const current = vendorData.items || [];
+    const kept = current.filter(item => this.isKeptOnRegenerate(item));
+    const freshCount = Math.max(0, (Number(vendorData.quantity) || 0) - kept.length);
+    const fresh = await this._pickRandomItems(vendorData, freshCount, kept.map(item => item.uuid));
+
+    const items = [];
+    for (const item of current) {
+      if (this.isKeptOnRegenerate(item)) items.push(item);
+      else if (fresh.length > 0) items.push(fresh.shift());
+    }
+    return [...items, ...fresh];
+  }
+
+  /**
+   * Replaces one of a vendor's items with a fresh one matching its saved criteria
+   * @param {Object} vendorData - The vendor, with its criteria and current items
+   * @param {string} itemId - The vendor item to replace
+   * @returns {Promise<Array|null>} The vendor's new items, or null if no other item matches the criteria
+   */
+  static async rerollItem(vendorData, itemId) {
+    const items = [...(vendorData.items || [])];
+    const index = items.findIndex(item => item.id === itemId);
+    if (index === -1) return null;
+
+    const [replacement] = await this._pickRandomItems(vendorData, 1, items.map(item => item.uuid));
+    if (!replacement) return null;
+    items[index] = replacement;
+    return items;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,401 @@
+/**
+ * @file GM coordinator for player requests
+ * @description Elects a single active GM to process player socket requests, shares approval dialogs
+ * between GMs and hands pending requests over when the handling GM disconnects
+ */
+
+import { SOCKET_EVENTS } from './socket-events.js';
+import PurchaseApprovalDialog from './purchase-approval-dialog-app.js';
+import SellApprovalDialog from './sell-approval-dialog-app.js';
+
+/**
+ * Approval kinds and the dialog used for each
+ * @readonly
+ * @enum {string}
+ */
+export const APPROVAL_KINDS = {
+  PURCHASE: 'purchase',
+  SELL: 'sell'
+};
+
+/**
+ * @class GMCoordinator
+ * @description Makes sure exactly one active GM processes each player request
+ */
+export default class GMCoordinator {
+  /**
+   * @param {string} moduleId - The module identifier
+   * @param {string} socketId - The socket identifier for communication
+   * @param {TransactionLedger} transactionLedger - Ledger used to detect requests already completed before a failover
+   */
+  constructor(moduleId, socketId, transactionLedger) {
+    this.moduleId = moduleId;
+    this.socketId = socketId;
+    this.transactionLedger = transactionLedger;
+
+    /** @type {Map<string, Function>} Request processors keyed by socket event type */
+    this._handlers = new Map();
+
+    /** @type {Map<string, {type: string, data: Object, senderId: string, processing: boolean, cancelled?: boolean}>} Requests seen but not yet resolved */
+    this._requests = new Map();
+
+    /** @type {Map<string, {resolve: Function, kind: string, timer: number|null}>} Approvals this client is waiting on (handling GM only) */
+    this._approvals = new Map();
+
+    /** @type {Map<string, ApplicationV2>} Open approval dialogs keyed by request ID */
+    this._dialogs = new Map();
+  }
+
+  /**
+   * Generates a unique ID for a new player request
+   * @returns {string} Request ID
+   */
+  static generateRequestId() {
+    return foundry.utils.randomID();
+  }
+
+  /**
+   * Registers the function that processes a given request type on the handling GM
+   * @param {string} type - Socket event type (e.g. SOCKET_EVENTS.PLAYER_PURCHASE_REQUEST)
+   * @param {Function} handler - Async function receiving (data, senderId)
+   * @returns {void}
+   */
+  registerHandler(type, handler) {
+    this._handlers.set(type, handler);
+  }
+
+  /**
+   * Gets the GM responsible for processing player requests.
+   * Uses Foundry's designated active GM, falling back to the highest-role active GM with the lowest ID.
+   * @returns {User|null} The handling GM or null if no GM is connected
+   */
+  getHandlerGM() {
+    if (game.users.activeGM !== undefined) return game.users.activeGM ?? null;
+    const activeGMs = game.users.filter(user => user.active && user.isGM);
+    activeGMs.sort((a, b) => (b.role - a.role) || a.id.localeCompare(b.id));
+    return activeGMs[0] ?? null;
+  }
+
+  /**
+   * Checks whether the current user is the GM that processes player requests
+   * @returns {boolean} True if this client handles requests
+   */
+  isHandler() {
+    return game.user.isGM && this.getHandlerGM()?.id === game.user.id;
+  }
+
+  /**
+   * Receives a player request on a GM client. Every GM keeps track of it so another GM can take over,
+   * but only the handling GM processes it.
+   * @param {Object} data - Request data; must include type and should include requestId
+   * @param {string} [senderId] - User ID of the socket sender
+   * @returns {Promise<Object|null>} The handler's result, or null if this client did not process the request
+   */
+  async receiveRequest(data, senderId) {
+    if (!game.user.isGM) return null;
+
+    const requestId = data.requestId;
+    if (!requestId) {
+      // Requests without an ID can't be tracked across GMs; the handling GM still processes them
+      return this.isHandler() ? this._dispatch(data.type, data, senderId) : null;
+    }
+
+    if (this._requests.has(requestId)) return null;
+    this._requests.set(requestId, { type: data.type, data, senderId, processing: false });
+
+    return this.isHandler() ? this._process(requestId) : null;
+  }
+
+  /**
+   * Calls the registered handler for a request type
+   * @param {string} type - Socket event type
+   * @param {Object} data - Request data
+   * @param {string} [senderId] - User ID of the socket sender
+   * @returns {Promise<Object|null>} The handler's result
+   * @private
+   */
+  async _dispatch(type, data, senderId) {
+    const handler = this._handlers.get(type);
+    if (!handler) {
+      console.warn(`No handler registered for request type ${type}.`);
+      return null;
+    }
+    return (await handler(data, senderId)) ?? null;
+  }
+
+  /**
+   * Processes a tracked request and tells the other GMs when it is done
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object|null>} The handler's result
+   * @private
+   */
+  async _process(requestId) {
+    const request = this._requests.get(requestId);
+    if (!request || request.processing) return null;
+    request.processing = true;
+
+    try {
+      if (this._isAlreadyRecorded(requestId)) {
+        console.warn(`Request ${requestId} was already completed by another GM; skipping.`);
+        return null;
+      }
+      return await this._dispatch(request.type, request.data, request.senderId);
+    } catch (error) {
+      console.error(`Error processing request ${requestId}:`, error);
+      return null;
+    } finally {
+      this._requests.delete(requestId);
+      this._dismissDialog(requestId);
+      game.socket.emit(this.socketId, {
+        type: SOCKET_EVENTS.REQUEST_RESOLVED,
+        requestId
+      });
+    }
+  }
+
+  /**
+   * Checks the ledger for a transaction already recorded under a request ID
+   * @param {string} requestId - Request ID
+   * @returns {boolean} True if the request was already completed
+   * @private
+   */
+  _isAlreadyRecorded(requestId) {
+    return this.transactionLedger?.hasRequest(requestId) ?? false;
+  }
+
+  /**
+   * Works out when an approval asked for now is declined on its own, from the request timeout setting
+   * @returns {number|null} Time in milliseconds since epoch, or null if approvals never time out
+   */
+  getApprovalDeadline() {
+    const seconds = Number(game.settings.get(this.moduleId, 'requestTimeoutSeconds')) || 0;
+    return seconds > 0 ? Date.now() + seconds * 1000 : null;
+  }
+
+  /**
+   * Asks the GMs to approve a request. Every active GM sees the dialog; the first decision wins
+   * and closes the dialog everywhere else. Undecided requests are declined at the deadline, by which
+   * time the player has been told the request failed.
+   * @param {string} requestId - Request ID
+   * @param {string} kind - One of {@link APPROVAL_KINDS}
+   * @param {Object} payload - Dialog data (actor/user names, items, totals)
+   * @param {number|null} [expiresAt] - Deadline from getApprovalDeadline; defaults to one starting now
+   * @returns {Promise<{result: *, decidedBy: User|null}>} The decision returned by the dialog and the GM who made it
+   */
+  requestApproval(requestId, kind, payload, expiresAt = this.getApprovalDeadline()) {
+    return new Promise(resolve => {
+      const timer = expiresAt ? setTimeout(() => this._onApprovalExpired(requestId), Math.max(0, expiresAt - Date.now())) : null;
+      this._approvals.set(requestId, { resolve, kind, timer });
+
+      // The player gave up (e.g. timed out) before the request got this far
+      if (this._requests.get(requestId)?.cancelled) {
+        this._declineCancelled(requestId);
+        return;
+      }
+
+      game.socket.emit(this.socketId, {
+        type: SOCKET_EVENTS.APPROVAL_REQUESTED,
+        requestId,
+        kind,
+        payload
+      });
+
+      this._showApprovalDialog(requestId, kind, payload);
+    });
+  }
+
+  /**
+   * Declines an approval nobody decided before its deadline
+   * @param {string} requestId - Request ID
+   * @returns {void}
+   * @private
+   */
+  _onApprovalExpired(requestId) {
+    const request = this._requests.get(requestId);
+    if (!this._approvals.has(requestId) || !request) return;
+
+    console.warn(`Request ${requestId} was not approved in time; declining it.`);
+    request.cancelled = true;
+    this._declineCancelled(requestId);
+  }
+
+  /**
+   * Opens the approval dialog for a request unless one is already open
+   * @param {string} requestId - Request ID
+   * @param {string} kind - One of {@link APPROVAL_KINDS}
+   * @param {Object} payload - Dialog data
+   * @returns {void}
+   * @private
+   */
+  _showApprovalDialog(requestId, kind, payload) {
+    if (this._dialogs.has(requestId)) return;
+
+    const DialogClass = kind === APPROVAL_KINDS.SELL ? SellApprovalDialog : PurchaseApprovalDialog;
+    const dialog = new DialogClass({
+      ...payload,
+      resolve: result => this._onLocalDecision(requestId, result)
+    }, { id: `${kind}-approval-dialog-${requestId}` });
+
+    this._dialogs.set(requestId, dialog);
+    dialog.render(true);
+  }
+
+  /**
+   * Handles a decision made in this client's dialog
+   * @param {string} requestId - Request ID
+   * @param {*} result - The decision
+   * @returns {void}
+   * @private
+   */
+  _onLocalDecision(requestId, result) {
+    this._dialogs.delete(requestId);
+
+    if (this._approvals.has(requestId)) {
+      this._resolveApproval(requestId, result, game.user.id);
+      return;
+    }
+
+    game.socket.emit(this.socketId, {
+      type: SOCKET_EVENTS.APPROVAL_DECISION,
+      requestId,
+      result,
+      userId: game.user.id
+    });
+  }
+
+  /**
+   * Resolves a pending approval on the handling GM and closes the dialogs on the other GMs
+   * @param {string} requestId - Request ID
+   * @param {*} result - The decision
+   * @param {string} deciderId - ID of the GM who decided
+   * @returns {void}
+   * @private
+   */
+  _resolveApproval(requestId, result, deciderId) {
+    const approval = this._approvals.get(requestId);
+    if (!approval) return;
+
+    clearTimeout(approval.timer);
+    this._approvals.delete(requestId);
+    this._dismissDialog(requestId);
+    game.socket.emit(this.socketId, {
+      type: SOCKET_EVENTS.APPROVAL_RESOLVED,
+      requestId
+    });
+    approval.resolve({ result, decidedBy: game.users.get(deciderId) ?? null });
+  }
+
+  /**
+   * Closes this client's approval dialog for a request without deciding it
+   * @param {string} requestId - Request ID
+   * @returns {void}
+   * @private
+   */
+  _dismissDialog(requestId) {
+    const dialog = this._dialogs.get(requestId);
+    if (!dialog) return;
+    this._dialogs.delete(requestId);
+    dialog.dismiss();
+  }
+
+  /**
+   * Handles coordination socket events
+   * @param {Object} data - The socket event data
+   * @param {string} [senderId] - User ID of the socket sender
+   * @returns {void}
+   */
+  handleSocketEvent(data, senderId) {
+    if (!game.user.isGM) return;
+
+    // Only cancellations come from players; everything else must come from another GM
+    if (data.type !== SOCKET_EVENTS.CANCEL_REQUEST && !game.users.get(senderId)?.isGM) {
+      console.warn(`Ignored ${data.type} for request ${data.requestId}: not sent by a GM.`, { senderId });
+      return;
+    }
+
+    switch (data.type) {
+      case SOCKET_EVENTS.APPROVAL_REQUESTED:
+        this._showApprovalDialog(data.requestId, data.kind, data.payload);
+        break;
+      case SOCKET_EVENTS.APPROVAL_DECISION:
+        this._resolveApproval(data.requestId, data.result, senderId);
+        break;
+      case SOCKET_EVENTS.APPROVAL_RESOLVED:
+        this._dismissDialog(data.requestId);
+        break;
+      case SOCKET_EVENTS.REQUEST_RESOLVED:
+        this._requests.delete(data.requestId);
+        this._dismissDialog(data.requestId);
+        break;
+      case SOCKET_EVENTS.CANCEL_REQUEST:
+        this._cancelRequest(data, senderId);
+        break;
+    }
+  }
+
+  /**
+   * Cancels a player's request if it has not been approved yet (handling GM only).
+   * Requests that are already being applied can't be cancelled and finish normally.
+   * @param {Object} data - Cancel data with requestId and userId
+   * @param {string} [senderId] - User ID of the socket sender
+   * @returns {void}
+   * @private
+   */
+  _cancelRequest(data, senderId) {
+    if (!this.isHandler()) return;
+
+    const request = this._requests.get(data.requestId);
+    if (!request) return;
+
+    const requesterId = request.data.userId;
+    if (data.userId !== requesterId || (senderId && senderId !== requesterId)) {
+      console.warn(`Rejected cancellation of request ${data.requestId}: not sent by the requesting user.`, { senderId, userId: data.userId });
+      return;
+    }
+
+    // Not waiting for approval yet: remember the cancellation so the approval is declined as soon as it is asked for
+    request.cancelled = true;
+    if (this._approvals.has(data.requestId)) this._declineCancelled(data.requestId);
+  }
+
+  /**
+   * Declines the pending approval of a cancelled request (handling GM only)
+   * @param {string} requestId - Request ID
+   * @returns {void}
+   * @private
+   */
+  _declineCancelled(requestId) {
+    const approval = this._approvals.get(requestId);
+    const request = this._requests.get(requestId);
+    if (!approval || !request) return;
+
+    // Tell the player first so the decline that follows is recognised as part of the cancellation
+    game.socket.emit(this.socketId, {
+      type: SOCKET_EVENTS.REQUEST_CANCELLED,
+      requestId,
+      userId: request.data.userId
+    });
+
+    const declined = approval.kind === APPROVAL_KINDS.SELL ? { approved: false, percentage: 0 } : false;
+    this._resolveApproval(requestId, declined, game.user.id);
+  }
+
+  /**
+   * Takes over unresolved requests when the handling GM disconnects
+   * @param {User} user - The user whose connection changed
+   * @param {boolean} connected - Whether the user connected or disconnected
+   * @returns {void}
+   */
+  onUserConnected(user, connected) {
+    if (connected || !user.isGM || !this.isHandler()) return;
+
+    const api = game.modules.get(this.moduleId)?.api;
+    for (const [requestId, request] of this._requests) {
+      if (request.processing) continue;
+      if (api?.system.getDebugMode()) {
+        console.log(`GM ${user.name} disconnected; taking over request ${requestId}.`);
+      }
+      this._process(requestId);
+    }
+  }
+}
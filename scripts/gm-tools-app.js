@@ -8,6 +8,8 @@ import VendorCreationApplication from './vendor-creation-app.js';
 import VendorManagerApplication from './vendor-manager-app.js';
 import CurrencySettingsApplication from './currency-settings-app.js';
 import GemDistributionApplication from './gem-distribution-app.js';
+import RequestQueueApplication from './request-queue-app.js';
+import MoneyChangerApplication from './money-changer-app.js';
 
 /**
  * @class GMToolsApplication
@@ -68,6 +70,12 @@ export default class GMToolsApplication extends foundry.applications.api.Handleb
       case 'gem-distribution':
         new GemDistributionApplication().render(true);
         break;
+      case 'request-queue':
+        new RequestQueueApplication().render(true);
+        break;
+      case 'money-changer':
+        new MoneyChangerApplication().render(true);
+        break;
     }
   }
 }
\ No newline at end of file
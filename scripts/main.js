@@ -6,10 +6,20 @@
 /** Import dependencies */
 import CurrencyManager from './currency.js';
 import TransactionManager from './transaction-manager.js';
+import TransactionLedger from './transaction-ledger.js';
+import GMCoordinator from './gm-coordinator.js';
+import RequestQueue from './request-queue.js';
+import RequestQueueApplication from './request-queue-app.js';
+import PendingRequestTracker from './pending-requests.js';
 import VendorDataManager from './vendor-data-manager.js';
 import VendorDisplayApplication from './vendor-display-app.js';
 import VendorManagerApplication from './vendor-manager-app.js';
 import MoneyManagementApplication from './money-management-app.js';
+import { migrateWallets } from './wallet-migration.js';
+import { migrateVendors } from './vendor-migration.js';
+import VendorRestocker from './vendor-restock.js';
+import { restoreCoinMigration } from './coin-migration.js';
+import { isRestoringWalletConversion, restoreWalletConversion } from './wallet-conversion.js';
 import { initializeUIIntegrations } from './ui-integrations.js';
 import { initializeItemDropHandling } from './item-drop-handler.js';
 import { registerModuleSettings } from './settings.js';
@@ -22,8 +32,13 @@ import VendorItemEditApplication from './vendor-item-edit-app.js';
 import CurrencySettingsApplication from './currency-settings-app.js';
 import GemDistributionApplication from './gem-distribution-app.js';
 import GemManager from './gem-manager.js';
+import MoneyChanger from './money-changer.js';
+import MoneyChangerApplication from './money-changer-app.js';
+import CoinMigrationApplication from './coin-migration-app.js';
+import WalletConversionApplication from './wallet-conversion-app.js';
 import * as Utils from './utils.js';
 import { SOCKET_EVENTS } from './socket-events.js';
+import { BASE_CURRENCY_ID } from './constants.js';
 import PurchaseApprovalDialog from './purchase-approval-dialog-app.js';
 import SellApprovalDialog from './sell-approval-dialog-app.js';
 
@@ -50,18 +65,41 @@ export default class VendorWalletSystem {
   /** @type {TransactionManager} Transaction manager instance */
   static transactionManager = null;
 
+  /** @type {TransactionLedger} Transaction ledger instance */
+  static transactionLedger = null;
+
+  /** @type {GMCoordinator} Coordinator that picks the GM processing player requests */
+  static gmCoordinator = null;
+
+  /** @type {RequestQueue} Queue for player requests made while no GM is online */
+  static requestQueue = null;
+
+  /** @type {PendingRequestTracker} This client's requests waiting for a GM answer */
+  static pendingRequests = null;
+
   /** @type {GemManager} Gem manager instance */
   static gemManager = null;
 
+  /** @type {MoneyChanger} Money changer instance */
+  static moneyChanger = null;
+
   /** Static getters for centralized settings access */
   static getUseModuleCurrencySystem() {
     return game.settings.get(this.ID, 'useModuleCurrencySystem');
   }
 
-  static getCurrencyDenominations() {
+  static getCurrencyDenominations(currencyId = null) {
+    if (currencyId && currencyId !== BASE_CURRENCY_ID) {
+      const system = (game.settings.get(this.ID, 'currencySystems') || []).find(other => other?.id === currencyId);
+      return system?.denominations || [];
+    }
     return game.settings.get(this.ID, 'currencyDenominations') || [];
   }
 
+  static getCurrencySystems() {
+    return this.currencyManager?.getCurrencySystems() || [];
+  }
+
   static getCurrencySymbol() {
     return game.settings.get(this.ID, 'currencySymbol') || '$';
   }
@@ -74,6 +112,22 @@ export default class VendorWalletSystem {
     return game.settings.get(this.ID, 'automaticSellPercentage');
   }
 
+  static getEnablePlayerPurse() {
+    return game.settings.get(this.ID, 'enablePlayerPurse');
+  }
+
+  static getEncumbrancePolicy() {
+    return game.settings.get(this.ID, 'encumbrancePolicy');
+  }
+
+  static getEncumbranceLimit() {
+    return game.settings.get(this.ID, 'encumbranceLimit');
+  }
+
+  static getOptimizeOnConstruct() {
+    return game.settings.get(this.ID, 'optimizeOnConstruct');
+  }
+
   static getDebugMode() {
     return game.settings.get(this.ID, 'debugMode');
   }
@@ -90,23 +144,50 @@ export default class VendorWalletSystem {
     const currencySettings = {
       useModuleCurrencySystem: game.settings.get(this.ID, 'useModuleCurrencySystem'),
       currencyDenominations: game.settings.get(this.ID, 'currencyDenominations'),
-      currencySymbol: game.settings.get(this.ID, 'currencySymbol')
+      currencySymbol: game.settings.get(this.ID, 'currencySymbol'),
+      currencyName: game.settings.get(this.ID, 'currencyName'),
+      currencySystems: game.settings.get(this.ID, 'currencySystems'),
+      roundingPolicy: game.settings.get(this.ID, 'roundingPolicy'),
+      currencyDisplayStyle: game.settings.get(this.ID, 'currencyDisplayStyle'),
+      currencyLocale: game.settings.get(this.ID, 'currencyLocale'),
+      carryMoneyPouch: game.settings.get(this.ID, 'carryMoneyPouch')
     };
     this.currencyManager = new CurrencyManager(this.ID, currencySettings);
     
     /** Initialize vendor data manager */
     this.vendorDataManager = new VendorDataManager(this.ID, this.SOCKET);
+
+    /** Initialize vendor restocker */
+    this.vendorRestocker = new VendorRestocker(this.ID, this.vendorDataManager);
     
+    /** Initialize transaction ledger */
+    this.transactionLedger = new TransactionLedger(this.ID);
+
+    /** Initialize GM coordinator */
+    this.gmCoordinator = new GMCoordinator(this.ID, this.SOCKET, this.transactionLedger);
+
+    /** Initialize offline request queue */
+    this.requestQueue = new RequestQueue(this.ID, this.SOCKET, this.gmCoordinator);
+
+    /** Initialize pending request tracker */
+    this.pendingRequests = new PendingRequestTracker(this.ID, this.SOCKET);
+
     /** Initialize transaction manager */
-    this.transactionManager = new TransactionManager(this.ID, this.SOCKET, this.currencyManager, this.vendorDataManager);
+    this.transactionManager = new TransactionManager(this.ID, this.SOCKET, this.currencyManager, this.vendorDataManager, this.transactionLedger, this.gmCoordinator);
+    this.gmCoordinator.registerHandler(SOCKET_EVENTS.PLAYER_PURCHASE_REQUEST, (data, senderId) => this.transactionManager.processPlayerPurchaseRequest(data, senderId));
+    this.gmCoordinator.registerHandler(SOCKET_EVENTS.PLAYER_SELL_REQUEST, (data, senderId) => this.transactionManager.processPlayerSellRequest(data, senderId));
+
+    /** Initialize money changer */
+    this.moneyChanger = new MoneyChanger(this.ID, this.SOCKET, this.currencyManager, this.vendorDataManager, this.transactionLedger);
+    this.gmCoordinator.registerHandler(SOCKET_EVENTS.PLAYER_EXCHANGE_REQUEST, (data, senderId) => this.moneyChanger.processPlayerExchangeRequest(data, senderId));
     
     /** Initialize gem manager */
     this.gemManager = new GemManager(this.ID);
     
     if (typeof Handlebars !== 'undefined') {
-      /** Register the formatCurrency helper to ensure it's always available */
-      Handlebars.registerHelper('formatCurrency', (amount) => {
-        return this.currencyManager.formatCurrency(amount);
+      /** Register the formatCurrency helper to ensure it's always available; {{formatCurrency amount currencyId}} */
+      Handlebars.registerHelper('formatCurrency', (amount, currencyId) => {
+        return this.currencyManager.formatCurrency(amount, typeof currencyId === 'string' ? currencyId : null);
       });
       Handlebars.registerHelper('join', (arr, sep) => Array.isArray(arr) ? arr.join(sep) : '');
     }
@@ -132,11 +213,15 @@ export default class VendorWalletSystem {
         VendorCreationApplication,
         VendorEditApplication,
         VendorItemEditApplication,
+        RequestQueueApplication,
         CurrencySettingsApplication,
         VendorDisplayApplication,
         VendorManagerApplication,
         MoneyManagementApplication,
         GemDistributionApplication,
+        MoneyChangerApplication,
+        CoinMigrationApplication,
+        WalletConversionApplication,
         PurchaseApprovalDialog,
         SellApprovalDialog,
       },
@@ -149,17 +234,39 @@ export default class VendorWalletSystem {
       },
       
       /** Convenience methods for common operations */
-      formatCurrency: (amount) => VendorWalletSystem.formatCurrency(amount),
-      parseCurrency: (value) => VendorWalletSystem.parseCurrency(value),
+      formatCurrency: (amount, currencyId = null, style = undefined) => VendorWalletSystem.formatCurrency(amount, currencyId, style),
+      parseCurrency: (value, currencyId = null) => VendorWalletSystem.parseCurrency(value, currencyId),
       getVendors: () => VendorWalletSystem.getVendors(),
       getVendor: (vendorId) => VendorWalletSystem.getVendor(vendorId),
       updateVendor: (vendorId, vendorData) => VendorWalletSystem.updateVendor(vendorId, vendorData),
       deleteVendor: (vendorId) => VendorWalletSystem.deleteVendor(vendorId),
       updateItemQuantityInVendor: (vendorId, vendorItemId, change) => VendorWalletSystem.updateItemQuantityInVendor(vendorId, vendorItemId, change),
       findVendorByItemUuid: (itemUuid) => VendorWalletSystem.findVendorByItemUuid(itemUuid),
+      restockVendor: (vendorId) => VendorWalletSystem.vendorRestocker.restockVendor(vendorId, { manual: true }),
       openAllAvailableVendors: () => VendorWalletSystem.openAllAvailableVendors(),
       initializeMissingActorCoins: () => VendorWalletSystem.initializeMissingActorCoins(),
+      restoreCoinMigration: () => restoreCoinMigration(VendorWalletSystem.ID),
+      restoreWalletConversion: () => restoreWalletConversion(VendorWalletSystem.ID),
+      onWalletStoreChanged: () => VendorWalletSystem.onWalletStoreChanged(),
+      syncMoneyPouches: () => VendorWalletSystem.syncMoneyPouches(),
       refreshCurrencySettings: () => VendorWalletSystem.refreshCurrencySettings(),
+
+      /** Currency system methods */
+      getCurrencySystems: () => VendorWalletSystem.getCurrencySystems(),
+      convertCurrency: (amount, fromCurrencyId, toCurrencyId) => VendorWalletSystem.currencyManager.convertCurrency(amount, fromCurrencyId, toCurrencyId),
+
+      /** Wallet methods */
+      getActorWallet: (actorId, currencyId = null) => VendorWalletSystem.currencyManager.getActorWallet(actorId, currencyId),
+      setActorWallet: (actorId, amount, currencyId = null) => VendorWalletSystem.currencyManager.setActorWallet(actorId, amount, currencyId),
+      getPlayerPurse: (userId) => VendorWalletSystem.currencyManager.getPlayerPurse(userId),
+      setPlayerPurse: (userId, amount) => VendorWalletSystem.currencyManager.setPlayerPurse(userId, amount),
+
+      /** Money changer methods */
+      exchangeCoins: (actorId, giveCoins, targetName, vendorId = null) => VendorWalletSystem.moneyChanger.requestExchange(game.actors.get(actorId), giveCoins, targetName, vendorId),
+
+      /** Transaction ledger methods */
+      getLedgerEntries: (filter) => VendorWalletSystem.transactionLedger.getEntries(filter),
+      clearLedger: () => VendorWalletSystem.transactionLedger.clear(),
       
       /** Gem management methods (old) */
       // TODO: Remove distributeGems and getCurrentGemsSummary after new gem system is implemented
@@ -183,8 +290,8 @@ export default class VendorWalletSystem {
   }
 
   /** Convenience methods for accessing manager functionality */
-  static formatCurrency(amount) { return this.currencyManager?.formatCurrency(amount) || '$0.00'; }
-  static parseCurrency(value) { return this.currencyManager?.parseCurrency(value) || 0; }
+  static formatCurrency(amount, currencyId = null, style = undefined) { return this.currencyManager?.formatCurrency(amount, currencyId, style) || '$0.00'; }
+  static parseCurrency(value, currencyId = null) { return this.currencyManager?.parseCurrency(value, currencyId) || 0; }
   static getVendors() { return this.vendorDataManager.getVendors(); }
   static getVendor(vendorId) { return this.vendorDataManager.getVendor(vendorId); }
   static async updateVendor(vendorId, vendorData) { return this.vendorDataManager.updateVendor(vendorId, vendorData); }
@@ -195,9 +302,10 @@ export default class VendorWalletSystem {
   /**
    * Handles socket events from other clients
    * @param {Object} data - The socket event data
+   * @param {string} [senderId] - ID of the user who emitted the event
    * @returns {void}
    */
-  static handleSocketEvent(data) {
+  static handleSocketEvent(data, senderId) {
     switch (data.type) {
       case SOCKET_EVENTS.VENDOR_UPDATED:
         VendorDisplayApplication?.refreshDisplays(data.vendorId);
@@ -207,19 +315,83 @@ export default class VendorWalletSystem {
         VendorDisplayApplication?.refreshDisplays(data.vendorId);
         VendorManagerApplication?.refreshVendors();
         break;
-      case SOCKET_EVENTS.PLAYER_PURCHASE_REQUEST:
-        if (game.user.isGM) {
-          this.transactionManager.processPlayerPurchaseRequest(data);
-        }
+      case SOCKET_EVENTS.STOCK_HOLDS_CHANGED:
+        VendorDisplayApplication?.refreshDisplays(data.vendorId);
+        this.refreshPlayerWindows();
+        break;
+      case SOCKET_EVENTS.VENDOR_WRITE_REQUEST:
+        this.vendorDataManager.writeQueue.handleSocketEvent(data, senderId).then(result => {
+          // The change was broadcast from here, so this client's own windows are refreshed directly
+          if (result?.success) this.handleSocketEvent({ type: SOCKET_EVENTS.VENDOR_UPDATED, vendorId: data.operation.vendorId });
+        });
+        break;
+      case SOCKET_EVENTS.VENDOR_WRITE_RESULT:
+        this.vendorDataManager.writeQueue.handleSocketEvent(data, senderId);
         break;
+      case SOCKET_EVENTS.PLAYER_PURCHASE_REQUEST:
       case SOCKET_EVENTS.PLAYER_SELL_REQUEST:
+      case SOCKET_EVENTS.PLAYER_EXCHANGE_REQUEST:
         if (game.user.isGM) {
-          this.transactionManager.processPlayerSellRequest(data);
+          this.gmCoordinator.receiveRequest(data, senderId);
         }
         break;
+      case SOCKET_EVENTS.APPROVAL_REQUESTED:
+      case SOCKET_EVENTS.APPROVAL_DECISION:
+      case SOCKET_EVENTS.APPROVAL_RESOLVED:
+      case SOCKET_EVENTS.REQUEST_RESOLVED:
+      case SOCKET_EVENTS.CANCEL_REQUEST:
+        this.gmCoordinator.handleSocketEvent(data, senderId);
+        break;
+      case SOCKET_EVENTS.PURCHASE_COMPLETED:
+      case SOCKET_EVENTS.PURCHASE_FAILED:
+      case SOCKET_EVENTS.SELL_COMPLETED:
+      case SOCKET_EVENTS.SELL_FAILED:
+      case SOCKET_EVENTS.EXCHANGE_COMPLETED:
+      case SOCKET_EVENTS.EXCHANGE_FAILED:
+        this.pendingRequests.handleResult(data);
+        break;
+      case SOCKET_EVENTS.REQUEST_CANCELLED:
+        this.pendingRequests.handleCancelled(data);
+        break;
     }
   }
 
+  /**
+   * Re-renders open player wallet and sell windows
+   * @returns {void}
+   */
+  static refreshPlayerWindows() {
+    for (const app of foundry.applications.instances.values()) {
+      if (app instanceof PlayerWalletApplication || app instanceof SellItemsApplication || app instanceof MoneyChangerApplication) {
+        app.render(false);
+      }
+    }
+  }
+
+  /**
+   * Picks up a switch between the module currency and character sheet coins, and offers the handling GM to
+   * move every character's money to where it is now kept
+   * @returns {Promise<void>}
+   */
+  static async onWalletStoreChanged() {
+    await this.refreshCurrencySettings();
+    this.refreshPlayerWindows();
+    if (!game.user.isGM || !this.gmCoordinator?.isHandler()) return;
+    await this.currencyManager.syncMoneyPouches();
+    if (!isRestoringWalletConversion()) new WalletConversionApplication().render(true);
+  }
+
+  /**
+   * Adds, updates or removes every character's money pouch after the carryMoneyPouch setting changes
+   * (handling GM only)
+   * @returns {Promise<void>}
+   */
+  static async syncMoneyPouches() {
+    await this.refreshCurrencySettings();
+    if (!game.user.isGM || !this.gmCoordinator?.isHandler()) return;
+    await this.currencyManager.syncMoneyPouches();
+  }
+
   /**
    * Opens the player wallet application showing all available vendors
    * @returns {void}
@@ -264,7 +436,13 @@ export default class VendorWalletSystem {
       const newSettings = {
         useModuleCurrencySystem: game.settings.get(this.ID, 'useModuleCurrencySystem'),
         currencyDenominations: game.settings.get(this.ID, 'currencyDenominations'),
-        currencySymbol: game.settings.get(this.ID, 'currencySymbol')
+        currencySymbol: game.settings.get(this.ID, 'currencySymbol'),
+        currencyName: game.settings.get(this.ID, 'currencyName'),
+        currencySystems: game.settings.get(this.ID, 'currencySystems'),
+        roundingPolicy: game.settings.get(this.ID, 'roundingPolicy'),
+        currencyDisplayStyle: game.settings.get(this.ID, 'currencyDisplayStyle'),
+        currencyLocale: game.settings.get(this.ID, 'currencyLocale'),
+        carryMoneyPouch: game.settings.get(this.ID, 'carryMoneyPouch')
       };
       await this.currencyManager.refreshSettings(newSettings);
     }
@@ -290,6 +468,59 @@ Hooks.once('init', () => {
   initializeItemDropHandling();
 });
 
+/** Migrate stored wallets and vendors and show the handling GM any requests queued while no GM was online */
+Hooks.once('ready', async () => {
+  if (!game.user.isGM) return;
+  if (VendorWalletSystem.gmCoordinator.isHandler()) {
+    await migrateWallets(VendorWalletSystem.ID, VendorWalletSystem.currencyManager);
+    await migrateVendors(VendorWalletSystem.ID, VendorWalletSystem.vendorDataManager);
+
+    // With no other GM around, no purchase can still be waiting for approval from a previous session
+    if (game.users.filter(user => user.active && user.isGM).length === 1) {
+      await VendorWalletSystem.vendorDataManager.releaseHolds();
+    }
+  }
+  RequestQueueApplication.showIfPending();
+});
+
+/** Refresh queued request displays when a user's queue changes */
+Hooks.on('updateUser', (user, changes) => {
+  if (!foundry.utils.hasProperty(changes, `flags.${VendorWalletSystem.ID}`)) return;
+
+  if (game.user.isGM) {
+    RequestQueueApplication.refreshQueues();
+  } else if (user.id === game.user.id) {
+    VendorWalletSystem.refreshPlayerWindows();
+  }
+});
+
+/** Refresh wallet displays when a character's wallet changes, and reweigh their money pouch if this user changed it */
+Hooks.on('updateActor', (actor, changes, options, userId) => {
+  if (!foundry.utils.hasProperty(changes, `flags.${VendorWalletSystem.ID}`)) return;
+  if (actor.isOwner) VendorWalletSystem.refreshPlayerWindows();
+
+  const walletChanged = Object.keys(changes.flags[VendorWalletSystem.ID])
+    .some(key => [CurrencyManager.WALLET_FLAG, CurrencyManager.CURRENCY_WALLETS_FLAG].includes(key.replace(/^-=/, '')));
+  if (walletChanged && userId === game.user.id && game.settings.get(VendorWalletSystem.ID, 'carryMoneyPouch')) {
+    VendorWalletSystem.currencyManager.syncMoneyPouch(actor.id);
+  }
+});
+
+/** Restock vendors whose restock interval has passed as game time moves on */
+Hooks.on('updateWorldTime', (worldTime) => {
+  if (VendorWalletSystem.gmCoordinator?.isHandler()) VendorWalletSystem.vendorRestocker.restockDueVendors(worldTime);
+});
+
+/** Hand pending player requests to another GM when the handling GM disconnects */
+Hooks.on('userConnected', (user, connected) => {
+  VendorWalletSystem.gmCoordinator?.onUserConnected(user, connected);
+
+  // A player who leaves gives up the stock held for their pending purchases
+  if (!connected && !user.isGM && VendorWalletSystem.gmCoordinator?.isHandler()) {
+    VendorWalletSystem.vendorDataManager.releaseHolds({ userId: user.id });
+  }
+});
+
 /** /shop command without dependencies (Foundry v13 core) */
 Hooks.on("chatMessage", (chatLog, message, chatData) => {
   const txt = String(message).trim();
@@ -0,0 +1,227 @@
+/**
+ * @file Money changer application
+ * @description Lets characters swap coins between denominations for a fee, at a vendor or through the GM tools
+ */
+
+import VendorWalletSystem from './main.js';
+import { getOwnedPlayerActors } from './utils.js';
+
+/**
+ * @class MoneyChangerApplication
+ * @extends {foundry.applications.api.HandlebarsApplicationMixin}
+ * @description Application for exchanging a character's coins into another denomination
+ */
+export default class MoneyChangerApplication extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {Object} options - Application options
+   * @param {string} [options.vendorId] - Vendor offering the exchange; omit for the standalone GM tool
+   * @param {string} [options.actorId] - Character preselected for the exchange
+   */
+  constructor(options = {}) {
+    super(options);
+    this.vendorId = options.vendorId ?? null;
+    this.selectedActorId = options.actorId ?? null;
+
+    /** Bind event handlers for later removal */
+    this._boundOnClickButton = this._onClickButton.bind(this);
+    this._boundOnChange = this._onChange.bind(this);
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'money-changer',
+    tag: 'form',
+    window: {
+      title: 'Money Changer',
+      icon: 'fas fa-exchange-alt'
+    },
+    position: {
+      width: 420,
+    },
+    classes: ['gurps-instant-bazaar']
+  };
+
+  static PARTS = {
+    content: {
+      template: 'modules/gurps-instant-bazaar/templates/money-changer.hbs'
+    }
+  };
+
+  /**
+   * Gets the characters that can use the changer: every player character for GMs, owned characters for players
+   * @returns {Array<Actor>} Available characters
+   * @private
+   */
+  _getAvailableActors() {
+    return game.user.isGM ? game.actors.filter(actor => actor.hasPlayerOwner) : getOwnedPlayerActors();
+  }
+
+  /**
+   * Prepares the context data for rendering the template
+   * @returns {Promise<Object>} Context object containing characters, coins and the fee
+   */
+  async _prepareContext() {
+    const useModuleCurrency = VendorWalletSystem.getUseModuleCurrencySystem();
+    const actors = this._getAvailableActors();
+    if (!actors.some(actor => actor.id === this.selectedActorId)) {
+      this.selectedActorId = actors[0]?.id ?? null;
+    }
+
+    await VendorWalletSystem.currencyManager.characterCurrencyServicePromise;
+    const breakdown = this.selectedActorId && !useModuleCurrency
+      ? VendorWalletSystem.currencyManager.characterCurrencyService?.getCharacterSheetCoinBreakdown(this.selectedActorId) || []
+      : [];
+
+    const coins = VendorWalletSystem.getCurrencyDenominations().map(denomination => ({
+      name: denomination.name,
+      value: denomination.value,
+      color: denomination.color || '',
+      img: denomination.img || '',
+      held: breakdown.find(coin => coin.name === denomination.name)?.count || 0
+    }));
+
+    return {
+      useModuleCurrency,
+      vendorName: this.vendorId ? VendorWalletSystem.getVendor(this.vendorId)?.name : null,
+      actors: actors.map(actor => ({ id: actor.id, name: actor.name, selected: actor.id === this.selectedActorId })),
+      hasActors: actors.length > 0,
+      coins,
+      feePercentage: VendorWalletSystem.moneyChanger.getFeePercentage(this.vendorId)
+    };
+  }
+
+  /**
+   * Handles rendering events by setting up event listeners
+   * @returns {void}
+   */
+  _onRender() {
+    this._cleanupListeners();
+    this.element.addEventListener('click', this._boundOnClickButton);
+    this.element.addEventListener('change', this._boundOnChange);
+    this._updateQuote();
+  }
+
+  /**
+   * Cleans up event listeners to prevent duplicates
+   * @returns {void}
+   */
+  _cleanupListeners() {
+    if (!this.element) return;
+    this.element.removeEventListener('click', this._boundOnClickButton);
+    this.element.removeEventListener('change', this._boundOnChange);
+  }
+
+  /**
+   * Handles character changes and coin inputs
+   * @param {Event} event - The change event
+   * @returns {void}
+   */
+  _onChange(event) {
+    if (event.target.name === 'selectedActor') {
+      this.selectedActorId = event.target.value;
+      this.render();
+      return;
+    }
+    this._updateQuote();
+  }
+
+  /**
+   * Handles button clicks
+   * @param {Event} event - The click event
+   * @returns {Promise<void>}
+   */
+  async _onClickButton(event) {
+    const action = event.target.closest('[data-action]')?.dataset.action;
+
+    switch (action) {
+      case 'exchange':
+        event.preventDefault();
+        await this._exchange();
+        break;
+      case 'cancel':
+        this.close();
+        break;
+    }
+  }
+
+  /**
+   * Reads the coins to hand over and the target denomination from the form
+   * @returns {{giveCoins: Object<string, number>, targetName: string}} Form values
+   * @private
+   */
+  _readForm() {
+    const giveCoins = {};
+    for (const input of this.element.querySelectorAll('.exchange-coin-input')) {
+      let count = parseInt(input.value, 10) || 0;
+      const max = parseInt(input.max, 10);
+      if (count < 0) count = 0;
+      if (!isNaN(max) && count > max) count = max;
+      input.value = count;
+      giveCoins[input.dataset.coinName] = count;
+    }
+    const targetName = this.element.querySelector('select[name="targetCoin"]')?.value ?? '';
+    return { giveCoins, targetName };
+  }
+
+  /**
+   * Shows what the character would receive for the coins currently entered
+   * @returns {void}
+   */
+  _updateQuote() {
+    const quoteElement = this.element.querySelector('#exchangeQuote');
+    if (!quoteElement || !this.selectedActorId) return;
+
+    const { giveCoins, targetName } = this._readForm();
+    if (!Object.values(giveCoins).some(count => count > 0)) {
+      quoteElement.textContent = 'Choose the coins to exchange.';
+      return;
+    }
+
+    const moneyChanger = VendorWalletSystem.moneyChanger;
+    const currencyManager = VendorWalletSystem.currencyManager;
+    try {
+      const quote = moneyChanger.quote(this.selectedActorId, giveCoins, targetName, moneyChanger.getFeePercentage(this.vendorId));
+      const received = Object.entries(quote.receiveCoins)
+        .filter(([, count]) => count > 0)
+        .map(([name, count]) => `${count} ${name}`)
+        .join(', ');
+      quoteElement.textContent = `${currencyManager.formatMinor(quote.valueMinor)} in, ${received} out. ` +
+        `Fee: ${currencyManager.formatMinor(quote.feeMinor + quote.keptMinor)}.`;
+    } catch (error) {
+      quoteElement.textContent = error.message;
+    }
+  }
+
+  /**
+   * Exchanges the coins entered in the form
+   * @returns {Promise<void>}
+   */
+  async _exchange() {
+    const actor = game.actors.get(this.selectedActorId);
+    if (!actor) {
+      ui.notifications.warn('Please select a character.');
+      return;
+    }
+
+    const { giveCoins, targetName } = this._readForm();
+    const moneyChanger = VendorWalletSystem.moneyChanger;
+    try {
+      moneyChanger.quote(actor.id, giveCoins, targetName, moneyChanger.getFeePercentage(this.vendorId));
+    } catch (error) {
+      ui.notifications.warn(error.message);
+      return;
+    }
+
+    const done = await moneyChanger.requestExchange(actor, giveCoins, targetName, this.vendorId);
+    if (done && game.user.isGM) this.render();
+  }
+
+  /**
+   * Closes the application and cleans up event listeners
+   * @param {Object} options - Close options
+   * @returns {Promise<any>} Result of the parent close method
+   */
+  async close(options) {
+    this._cleanupListeners();
+    return super.close(options);
+  }
+}
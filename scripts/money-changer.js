@@ -0,0 +1,234 @@
+/**
+ * @file Money changer for swapping coins between denominations
+ * @description Breaks coins into smaller ones or consolidates them into larger ones on character sheets, for a fee
+ */
+
+import { makeChange } from './currency.js';
+import { SOCKET_EVENTS } from './socket-events.js';
+import { LEDGER_ENTRY_TYPES } from './transaction-ledger.js';
+import GMCoordinator from './gm-coordinator.js';
+
+/**
+ * @class MoneyChanger
+ * @description Quotes and carries out coin exchanges. Players exchange at vendors that offer the service;
+ * the exchange itself is always applied by a GM.
+ */
+export default class MoneyChanger {
+  /**
+   * @param {string} moduleId - The module identifier
+   * @param {string} socketId - The socket identifier for communication
+   * @param {CurrencyManager} currencyManager - The currency manager instance
+   * @param {VendorDataManager} vendorDataManager - The vendor data manager instance
+   * @param {TransactionLedger} transactionLedger - The transaction ledger instance
+   */
+  constructor(moduleId, socketId, currencyManager, vendorDataManager, transactionLedger) {
+    this.moduleId = moduleId;
+    this.socketId = socketId;
+    this.currencyManager = currencyManager;
+    this.vendorDataManager = vendorDataManager;
+    this.transactionLedger = transactionLedger;
+  }
+
+  /**
+   * Checks whether a vendor offers money changing
+   * @param {string} vendorId - The vendor ID
+   * @returns {boolean} True if players can exchange coins at the vendor
+   */
+  isOfferedBy(vendorId) {
+    return !!this.vendorDataManager.getVendor(vendorId)?.moneyChanger?.enabled;
+  }
+
+  /**
+   * Gets the fee charged for an exchange
+   * @param {string|null} [vendorId=null] - Vendor offering the exchange; null for the standalone GM tool
+   * @returns {number} Fee as a percentage of the coins handed over
+   */
+  getFeePercentage(vendorId = null) {
+    const vendorFee = vendorId ? this.vendorDataManager.getVendor(vendorId)?.moneyChanger?.fee : undefined;
+    const fee = Number(vendorFee ?? game.settings.get(this.moduleId, 'moneyChangerFee'));
+    return Number.isFinite(fee) ? Math.min(100, Math.max(0, fee)) : 0;
+  }
+
+  /**
+   * Works out an exchange without changing anything. The fee is taken from the value handed over; the rest is
+   * paid in as many target coins as it covers, and what's left comes back in the fewest smaller coins.
+   * @param {string} actorId - The actor exchanging coins
+   * @param {Object<string, number>} giveCoins - Coin counts handed over, by name
+   * @param {string} targetName - Denomination to exchange into
+   * @param {number} feePercentage - Fee as a percentage of the value handed over
+   * @returns {{giveCoins: Object<string, number>, receiveCoins: Object<string, number>, valueMinor: number, feeMinor: number, keptMinor: number}}
+   *   The coins handed over and received, their value, the fee and any amount too small to pay back in coins
+   * @throws {Error} If the exchange isn't possible
+   */
+  quote(actorId, giveCoins, targetName, feePercentage) {
+    const actor = game.actors.get(actorId);
+    if (!actor) throw new Error('Character not found.');
+
+    const denominations = this.currencyManager.getMinorDenominations();
+    const target = denominations.find(denomination => denomination.name === targetName);
+    if (!target) throw new Error('Choose a coin to exchange into.');
+
+    const held = this.currencyManager.characterCurrencyService?.getCharacterSheetCoinBreakdown(actorId) || [];
+    const given = {};
+    let valueMinor = 0;
+    for (const denomination of denominations) {
+      const count = Number(giveCoins?.[denomination.name]) || 0;
+      if (!Number.isInteger(count) || count < 0) throw new Error(`Invalid number of ${denomination.name}.`);
+      const heldCount = held.find(coin => coin.name === denomination.name)?.count || 0;
+      if (count > heldCount) throw new Error(`${actor.name} only has ${heldCount} ${denomination.name}.`);
+      given[denomination.name] = count;
+      valueMinor += count * denomination.value;
+    }
+
+    if (valueMinor === 0) throw new Error('Choose the coins to exchange.');
+    if (valueMinor === given[target.name] * target.value) throw new Error(`Those coins are already ${target.name}.`);
+
+    const feeMinor = Math.min(valueMinor, this.currencyManager.percentOfMinor(valueMinor, feePercentage));
+    const netMinor = valueMinor - feeMinor;
+    const targetCount = Math.floor(netMinor / target.value);
+    if (targetCount === 0) {
+      throw new Error(`After the fee, ${this.currencyManager.formatMinor(netMinor)} isn't enough for one ${target.name}.`);
+    }
+
+    // The changer keeps whatever is too small to pay back in coins
+    const { coins: receiveCoins, remainder } = makeChange(netMinor - targetCount * target.value, denominations);
+    receiveCoins[target.name] += targetCount;
+
+    return { giveCoins: given, receiveCoins, valueMinor, feeMinor, keptMinor: remainder };
+  }
+
+  /**
+   * Carries out an exchange on a character sheet and records it in the ledger (GM only)
+   * @param {Actor} actor - The actor exchanging coins
+   * @param {Object<string, number>} giveCoins - Coin counts handed over, by name
+   * @param {string} targetName - Denomination to exchange into
+   * @param {Object} [options]
+   * @param {string|null} [options.vendorId=null] - Vendor offering the exchange
+   * @param {string} [options.userId=game.user.id] - User who asked for the exchange
+   * @param {User|null} [options.approvedBy=null] - GM who carried out the exchange
+   * @param {string|null} [options.requestId=null] - Request ID for player requests
+   * @returns {Promise<{success: boolean, message: string}>} The outcome
+   */
+  async exchange(actor, giveCoins, targetName, { vendorId = null, userId = game.user.id, approvedBy = null, requestId = null } = {}) {
+    if (!game.user.isGM) return { success: false, message: 'Only a GM can exchange coins.' };
+
+    const api = game.modules.get(this.moduleId)?.api;
+    if (api?.system.getUseModuleCurrencySystem()) {
+      return { success: false, message: 'Money changing is only available with character sheet currency.' };
+    }
+
+    await this.currencyManager.characterCurrencyServicePromise;
+    const feePercentage = this.getFeePercentage(vendorId);
+    let quote;
+    try {
+      quote = this.quote(actor.id, giveCoins, targetName, feePercentage);
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+
+    const walletSnapshot = await this.currencyManager.snapshotActorWallet(actor.id);
+    try {
+      const exchanged = await this.currencyManager.exchangeActorCoins(actor.id, quote.giveCoins, quote.receiveCoins);
+      if (!exchanged) throw new Error(`Could not update ${actor.name}'s coins.`);
+    } catch (error) {
+      console.error('Error exchanging coins:', error);
+      await this.currencyManager.restoreActorWallet(actor.id, walletSnapshot);
+      return { success: false, message: `Exchange failed: ${error.message} No changes were made.` };
+    }
+
+    const costMinor = quote.feeMinor + quote.keptMinor;
+    await this.transactionLedger?.record({
+      type: LEDGER_ENTRY_TYPES.EXCHANGE,
+      actorId: actor.id,
+      userId,
+      vendorId,
+      total: -this.currencyManager.fromMinor(costMinor),
+      balanceBefore: walletSnapshot.amount,
+      balanceAfter: this.currencyManager.fromMinor(walletSnapshot.minor - costMinor),
+      approvedBy,
+      details: {
+        requestId,
+        feePercentage,
+        givenCoins: quote.giveCoins,
+        receivedCoins: quote.receiveCoins
+      }
+    });
+
+    const received = Object.entries(quote.receiveCoins)
+      .filter(([, count]) => count > 0)
+      .map(([name, count]) => `${count} ${name}`)
+      .join(', ');
+    return {
+      success: true,
+      message: `${actor.name} exchanged ${this.currencyManager.formatMinor(quote.valueMinor)} for ${received} (fee ${this.currencyManager.formatMinor(costMinor)}).`
+    };
+  }
+
+  /**
+   * Asks for an exchange at a vendor. GMs exchange directly; players send the request to the handling GM.
+   * Exchanges are not queued while no GM is online.
+   * @param {Actor} actor - The actor exchanging coins
+   * @param {Object<string, number>} giveCoins - Coin counts handed over, by name
+   * @param {string} targetName - Denomination to exchange into
+   * @param {string|null} vendorId - Vendor offering the exchange; null for the standalone GM tool
+   * @returns {Promise<boolean>} True if the exchange was carried out or sent
+   */
+  async requestExchange(actor, giveCoins, targetName, vendorId) {
+    if (game.user.isGM) {
+      const result = await this.exchange(actor, giveCoins, targetName, { vendorId, approvedBy: game.user });
+      if (result.success) ui.notifications.info(result.message);
+      else ui.notifications.warn(result.message);
+      return result.success;
+    }
+
+    const api = game.modules.get(this.moduleId)?.api;
+    if (!api?.system.gmCoordinator.getHandlerGM()) {
+      ui.notifications.warn('A GM must be online to exchange coins.');
+      return false;
+    }
+
+    const request = {
+      type: SOCKET_EVENTS.PLAYER_EXCHANGE_REQUEST,
+      requestId: GMCoordinator.generateRequestId(),
+      userId: game.user.id,
+      actorId: actor.id,
+      vendorId,
+      giveCoins,
+      targetName
+    };
+    game.socket.emit(this.socketId, request);
+    api.system.pendingRequests.track(request);
+    ui.notifications.info('Exchange request sent to GM for processing...');
+    return true;
+  }
+
+  /**
+   * Processes a player's exchange request (GM only)
+   * @param {Object} data - Exchange request data containing userId, actorId, vendorId, giveCoins and targetName
+   * @param {string} [senderId] - User ID of the socket sender
+   * @returns {Promise<{success: boolean, message: string}>} The result sent to the player
+   */
+  async processPlayerExchangeRequest(data, senderId) {
+    const { userId, actorId, vendorId, giveCoins, targetName, requestId } = data;
+    const actor = game.actors.get(actorId);
+    const user = game.users.get(userId);
+
+    let result;
+    if (!user || (senderId && senderId !== userId) || !actor?.testUserPermission(user, 'OWNER')) {
+      console.warn('Rejected exchange request: not sent by the owner of the character.', { userId, senderId, actorId });
+      result = { success: false, message: "Exchange rejected: you don't own that character." };
+    } else if (!this.isOfferedBy(vendorId)) {
+      result = { success: false, message: 'This vendor does not change money.' };
+    } else {
+      result = await this.exchange(actor, giveCoins, targetName, { vendorId, userId, requestId });
+    }
+
+    game.socket.emit(this.socketId, {
+      type: result.success ? SOCKET_EVENTS.EXCHANGE_COMPLETED : SOCKET_EVENTS.EXCHANGE_FAILED,
+      userId,
+      requestId,
+      message: result.message
+    });
+    return result;
+  }
+}
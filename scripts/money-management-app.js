@@ -4,6 +4,8 @@
  */
 
 import VendorWalletSystem from './main.js';
+import { LEDGER_ENTRY_TYPES } from './transaction-ledger.js';
+import { BASE_CURRENCY_ID } from './constants.js';
 
 /**
  * @class MoneyManagementApplication
@@ -13,8 +15,11 @@ import VendorWalletSystem from './main.js';
 export default class MoneyManagementApplication extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
   constructor(options = {}) {
     super(options);
-    /** Bind event handler for later removal */
+    /** Currency being managed; null for the main currency */
+    this.currencyId = null;
+    /** Bind event handlers for later removal */
     this._boundOnClickButton = this._onClickButton.bind(this);
+    this._boundOnChangeCurrency = this._onChangeCurrency.bind(this);
   }
 
   static DEFAULT_OPTIONS = {
@@ -49,7 +54,7 @@ export default class MoneyManagementApplication extends foundry.applications.api
     const actors = [];
     
     for (const actor of actorList) {
-      const wallet = await VendorWalletSystem.currencyManager.getActorWallet(actor.id);
+      const wallet = await VendorWalletSystem.currencyManager.getActorWallet(actor.id, this.currencyId);
       actors.push({
         id: actor.id,
         name: actor.name,
@@ -57,8 +62,30 @@ export default class MoneyManagementApplication extends foundry.applications.api
       });
     }
 
+    /** Player purses only exist alongside module-managed wallets */
+    const showPlayerPurses = useModuleCurrency && VendorWalletSystem.getEnablePlayerPurse();
+    const players = showPlayerPurses
+      ? game.users.filter(user => !user.isGM).map(user => ({
+        id: user.id,
+        name: user.name,
+        purse: VendorWalletSystem.currencyManager.getPlayerPurse(user.id)
+      }))
+      : [];
+
+    /** Purses only hold the main currency */
+    const currencies = VendorWalletSystem.getCurrencySystems().map(system => ({
+      id: system.id,
+      name: system.name,
+      selected: system.id === (this.currencyId ?? BASE_CURRENCY_ID)
+    }));
+
     return { 
       actors,
+      players,
+      currencies,
+      currencyId: this.currencyId,
+      showCurrencyChoice: currencies.length > 1,
+      showPlayerPurses: showPlayerPurses && !this.currencyId,
       useModuleCurrency,
       hasDenominations: denominations.length > 0
     };
@@ -72,8 +99,20 @@ export default class MoneyManagementApplication extends foundry.applications.api
     /** Clean up any existing listeners first */
     this._cleanupListeners();
     
-    /** Add the event listener using the bound function */
+    /** Add the event listeners using the bound functions */
     this.element.addEventListener('click', this._boundOnClickButton);
+    this.element.querySelector('#moneyCurrency')?.addEventListener('change', this._boundOnChangeCurrency);
+  }
+
+  /**
+   * Switches the currency being managed
+   * @param {Event} event - The change event
+   * @returns {void}
+   */
+  _onChangeCurrency(event) {
+    const currencyId = event.target.value;
+    this.currencyId = currencyId === BASE_CURRENCY_ID ? null : currencyId;
+    this.render(false);
   }
 
   /**
@@ -135,7 +174,7 @@ export default class MoneyManagementApplication extends foundry.applications.api
     event.stopPropagation();
     
     const allMoneyInput = this.element.querySelector('#allMoneyInput');
-    const amountChange = parseInt(allMoneyInput?.value) || 0;
+    const amountChange = VendorWalletSystem.parseCurrency(allMoneyInput?.value ?? '', this.currencyId);
     
     if (amountChange === 0) {
       ui.notifications.warn('Please enter a non-zero amount to apply to all actors.');
@@ -146,9 +185,7 @@ export default class MoneyManagementApplication extends foundry.applications.api
     let updatedCount = 0;
     
     for (const actor of actors) {
-      const currentWallet = await VendorWalletSystem.currencyManager.getActorWallet(actor.id);
-      const newAmount = Math.max(0, currentWallet + amountChange);
-      const success = await VendorWalletSystem.currencyManager.setActorWallet(actor.id, newAmount);
+      const success = await this._adjustActorWallet(actor, amountChange);
       
       if (success) {
         updatedCount++;
@@ -161,7 +198,7 @@ export default class MoneyManagementApplication extends foundry.applications.api
     }
 
     const actionText = amountChange > 0 ? 'added to' : 'removed from';
-    ui.notifications.info(`${VendorWalletSystem.formatCurrency(Math.abs(amountChange))} ${actionText} ${updatedCount} actor wallets!`);
+    ui.notifications.info(`${VendorWalletSystem.formatCurrency(Math.abs(amountChange), this.currencyId)} ${actionText} ${updatedCount} actor wallets!`);
     
     /** Re-render the application to show updated values */
     this.render(false);
@@ -198,12 +235,10 @@ export default class MoneyManagementApplication extends foundry.applications.api
     
     for (const actor of actors) {
       const input = this.element.querySelector(`input[name="amount-${actor.id}"]`);
-      const amountChange = parseInt(input?.value) || 0;
+      const amountChange = VendorWalletSystem.parseCurrency(input?.value ?? '', this.currencyId);
       
       if (amountChange !== 0) {
-        const currentWallet = await VendorWalletSystem.currencyManager.getActorWallet(actor.id);
-        const newAmount = Math.max(0, currentWallet + amountChange);
-        const success = await VendorWalletSystem.currencyManager.setActorWallet(actor.id, newAmount);
+        const success = await this._adjustActorWallet(actor, amountChange);
         
         if (success) {
           updatedCount++;
@@ -211,15 +246,91 @@ export default class MoneyManagementApplication extends foundry.applications.api
       }
     }
 
+    let updatedPurses = 0;
+    if (useModuleCurrency && VendorWalletSystem.getEnablePlayerPurse() && !this.currencyId) {
+      for (const user of game.users.filter(u => !u.isGM)) {
+        const input = this.element.querySelector(`input[name="purse-${user.id}"]`);
+        const amountChange = VendorWalletSystem.parseCurrency(input?.value ?? '');
+
+        if (amountChange !== 0 && await this._adjustPlayerPurse(user, amountChange)) {
+          updatedPurses++;
+        }
+      }
+    }
+
+    if (updatedPurses > 0) {
+      ui.notifications.info(`${updatedPurses} player purse${updatedPurses > 1 ? 's' : ''} updated successfully!`);
+    }
+
     if (updatedCount > 0) {
       ui.notifications.info(`${updatedCount} actor wallet${updatedCount > 1 ? 's' : ''} updated successfully!`);
       /** Re-render the application to show updated values and reset input fields */
       this.render(false);
+    } else if (updatedPurses > 0) {
+      this.render(false);
     } else {
       ui.notifications.info('No changes were made to actor wallets.');
     }
   }
 
+  /**
+   * Adds or removes money from an actor's wallet, in the currency being managed, and records the change in the ledger
+   * @param {Actor} actor - The actor whose wallet changes
+   * @param {number} amountChange - Amount to add (positive) or remove (negative)
+   * @returns {Promise<boolean>} True if the wallet was updated
+   * @private
+   */
+  async _adjustActorWallet(actor, amountChange) {
+    const currencyManager = VendorWalletSystem.currencyManager;
+    const currencyId = this.currencyId;
+    const currentMinor = await currencyManager.getActorWalletMinor(actor.id, currencyId);
+    const newMinor = Math.max(0, currentMinor + currencyManager.toMinor(amountChange, currencyId));
+    const success = await currencyManager.setActorWalletMinor(actor.id, newMinor, currencyId);
+    if (!success) return false;
+
+    const currentWallet = currencyManager.fromMinor(currentMinor, currencyId);
+    const balanceAfter = await currencyManager.getActorWallet(actor.id, currencyId);
+    await VendorWalletSystem.transactionLedger?.record({
+      type: LEDGER_ENTRY_TYPES.WALLET_ADJUSTMENT,
+      actorId: actor.id,
+      userId: game.user.id,
+      currencyId: currencyId ?? BASE_CURRENCY_ID,
+      total: balanceAfter - currentWallet,
+      balanceBefore: currentWallet,
+      balanceAfter,
+      approvedBy: game.user,
+      details: { requestedChange: amountChange }
+    });
+    return true;
+  }
+
+  /**
+   * Adds or removes money from a user's player purse and records the change in the ledger
+   * @param {User} user - The user whose purse changes
+   * @param {number} amountChange - Amount to add (positive) or remove (negative)
+   * @returns {Promise<boolean>} True if the purse was updated
+   * @private
+   */
+  async _adjustPlayerPurse(user, amountChange) {
+    const currencyManager = VendorWalletSystem.currencyManager;
+    const currentPurse = currencyManager.getPlayerPurse(user.id);
+    const success = await currencyManager.setPlayerPurse(user.id, Math.max(0, currentPurse + amountChange));
+    if (!success) return false;
+
+    const balanceAfter = currencyManager.getPlayerPurse(user.id);
+    await VendorWalletSystem.transactionLedger?.record({
+      type: LEDGER_ENTRY_TYPES.WALLET_ADJUSTMENT,
+      actorId: null,
+      userId: user.id,
+      total: balanceAfter - currentPurse,
+      balanceBefore: currentPurse,
+      balanceAfter,
+      approvedBy: game.user,
+      details: { requestedChange: amountChange, playerPurse: true }
+    });
+    return true;
+  }
+
   /**
    * Closes the application and cleans up event listeners
    * @param {Object} options - Close options
@@ -0,0 +1,242 @@
+/**
+ * @file Pending request tracker
+ * @description Tracks a player's purchase and sell requests until the GM answers, matching results by request ID
+ */
+
+import { SOCKET_EVENTS } from './socket-events.js';
+import RequestQueue from './request-queue.js';
+
+/**
+ * Display states for a player's request
+ * @readonly
+ * @enum {string}
+ */
+export const PENDING_STATUS = {
+  QUEUED: 'queued',
+  PENDING: 'pending',
+  CANCELLING: 'cancelling',
+  FAILED: 'failed'
+};
+
+/** Result events and the request type they answer */
+const RESULT_REQUEST_TYPES = {
+  [SOCKET_EVENTS.PURCHASE_COMPLETED]: SOCKET_EVENTS.PLAYER_PURCHASE_REQUEST,
+  [SOCKET_EVENTS.PURCHASE_FAILED]: SOCKET_EVENTS.PLAYER_PURCHASE_REQUEST,
+  [SOCKET_EVENTS.SELL_COMPLETED]: SOCKET_EVENTS.PLAYER_SELL_REQUEST,
+  [SOCKET_EVENTS.SELL_FAILED]: SOCKET_EVENTS.PLAYER_SELL_REQUEST,
+  [SOCKET_EVENTS.EXCHANGE_COMPLETED]: SOCKET_EVENTS.PLAYER_EXCHANGE_REQUEST,
+  [SOCKET_EVENTS.EXCHANGE_FAILED]: SOCKET_EVENTS.PLAYER_EXCHANGE_REQUEST
+};
+
+/** Result events that report success */
+const SUCCESS_EVENTS = new Set([
+  SOCKET_EVENTS.PURCHASE_COMPLETED,
+  SOCKET_EVENTS.SELL_COMPLETED,
+  SOCKET_EVENTS.EXCHANGE_COMPLETED
+]);
+
+/**
+ * @class PendingRequestTracker
+ * @description Client-side list of requests sent to the GM that have not been answered yet
+ */
+export default class PendingRequestTracker {
+  /**
+   * @param {string} moduleId - The module identifier
+   * @param {string} socketId - The socket identifier for communication
+   */
+  constructor(moduleId, socketId) {
+    this.moduleId = moduleId;
+    this.socketId = socketId;
+
+    /** @type {Map<string, Object>} Requests waiting for an answer, keyed by request ID */
+    this._requests = new Map();
+
+    /** @type {Set<string>} Requests the GM confirmed as cancelled; late results for them are ignored */
+    this._cancelled = new Set();
+  }
+
+  /**
+   * Gets the configured response timeout
+   * @returns {number} Timeout in milliseconds, or 0 if requests never time out
+   * @private
+   */
+  _getTimeoutMs() {
+    const seconds = Number(game.settings.get(this.moduleId, 'requestTimeoutSeconds')) || 0;
+    return Math.max(0, seconds) * 1000;
+  }
+
+  /**
+   * Starts tracking a request that was just sent to the GM
+   * @param {Object} data - The request payload (must include type and requestId)
+   * @returns {void}
+   */
+  track(data) {
+    const entry = {
+      requestId: data.requestId,
+      type: data.type,
+      label: RequestQueue.describeRequest(data),
+      sentAt: Date.now(),
+      status: PENDING_STATUS.PENDING,
+      message: null,
+      timer: null
+    };
+
+    const timeoutMs = this._getTimeoutMs();
+    if (timeoutMs > 0) {
+      entry.timer = setTimeout(() => this._onTimeout(entry.requestId), timeoutMs);
+    }
+
+    this._requests.set(entry.requestId, entry);
+    this._refresh();
+  }
+
+  /**
+   * Gets the requests to show in a window: queued requests first, then requests sent to the GM
+   * @param {string} type - Request type (SOCKET_EVENTS.PLAYER_PURCHASE_REQUEST or PLAYER_SELL_REQUEST)
+   * @returns {Array<Object>} Display entries with requestId, label, status and message
+   */
+  getDisplayList(type) {
+    const queueManager = game.modules.get(this.moduleId)?.api?.system.requestQueue;
+    const queued = (queueManager?.getQueuedRequests() ?? [])
+      .filter(entry => entry.type === type)
+      .map(entry => ({
+        requestId: entry.requestId,
+        label: RequestQueue.describeRequest(entry),
+        status: PENDING_STATUS.QUEUED,
+        message: null
+      }));
+
+    const inFlight = [...this._requests.values()]
+      .filter(entry => entry.type === type)
+      .sort((a, b) => a.sentAt - b.sentAt)
+      .map(({ requestId, label, status, message }) => ({ requestId, label, status, message }));
+
+    return [...queued, ...inFlight].map(entry => ({
+      ...entry,
+      isQueued: entry.status === PENDING_STATUS.QUEUED,
+      isPending: entry.status === PENDING_STATUS.PENDING,
+      isCancelling: entry.status === PENDING_STATUS.CANCELLING,
+      isFailed: entry.status === PENDING_STATUS.FAILED
+    }));
+  }
+
+  /**
+   * Handles a purchase or sell result for the current user
+   * @param {Object} data - The socket event data
+   * @returns {void}
+   */
+  handleResult(data) {
+    if (data.userId !== game.user.id || !RESULT_REQUEST_TYPES[data.type]) return;
+
+    if (data.requestId && this._cancelled.has(data.requestId)) {
+      this._cancelled.delete(data.requestId);
+      return;
+    }
+
+    this._forget(data.requestId);
+
+    if (SUCCESS_EVENTS.has(data.type)) {
+      ui.notifications.info(data.message);
+    } else {
+      ui.notifications.warn(data.message);
+    }
+  }
+
+  /**
+   * Handles the GM's confirmation that a request was cancelled
+   * @param {Object} data - The socket event data
+   * @returns {void}
+   */
+  handleCancelled(data) {
+    if (data.userId !== game.user.id) return;
+
+    const entry = this._requests.get(data.requestId);
+    this._cancelled.add(data.requestId);
+    // A timed-out request was cancelled on its own; it stays listed as failed until dismissed
+    if (entry?.status === PENDING_STATUS.FAILED) return;
+    this._forget(data.requestId);
+    ui.notifications.info(`Request cancelled${entry ? `: ${entry.label}` : '.'}`);
+  }
+
+  /**
+   * Asks the GM to cancel a request. Only requests still waiting for approval can be cancelled;
+   * otherwise the GM's result arrives as usual.
+   * @param {string} requestId - Request ID
+   * @returns {void}
+   */
+  cancel(requestId) {
+    const entry = this._requests.get(requestId);
+    if (!entry || entry.status !== PENDING_STATUS.PENDING) return;
+
+    entry.status = PENDING_STATUS.CANCELLING;
+    this._emitCancel(requestId);
+    this._refresh();
+  }
+
+  /**
+   * Sends the GM a cancellation for a request
+   * @param {string} requestId - Request ID
+   * @returns {void}
+   * @private
+   */
+  _emitCancel(requestId) {
+    game.socket.emit(this.socketId, {
+      type: SOCKET_EVENTS.CANCEL_REQUEST,
+      requestId,
+      userId: game.user.id
+    });
+  }
+
+  /**
+   * Removes a failed request from the list
+   * @param {string} requestId - Request ID
+   * @returns {void}
+   */
+  dismiss(requestId) {
+    this._forget(requestId);
+  }
+
+  /**
+   * Marks a request as failed when the GM did not answer in time, and cancels it on the GM's side so a late
+   * approval can't still go through
+   * @param {string} requestId - Request ID
+   * @returns {void}
+   * @private
+   */
+  _onTimeout(requestId) {
+    const entry = this._requests.get(requestId);
+    if (!entry) return;
+
+    this._emitCancel(requestId);
+    const seconds = Math.round(this._getTimeoutMs() / 1000);
+    entry.timer = null;
+    entry.status = PENDING_STATUS.FAILED;
+    entry.message = `No response from the GM within ${seconds} seconds.`;
+    ui.notifications.warn(`${entry.label} — ${entry.message}`);
+    this._refresh();
+  }
+
+  /**
+   * Stops tracking a request
+   * @param {string} requestId - Request ID
+   * @returns {void}
+   * @private
+   */
+  _forget(requestId) {
+    const entry = this._requests.get(requestId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this._requests.delete(requestId);
+    this._refresh();
+  }
+
+  /**
+   * Re-renders the player windows that show pending requests
+   * @returns {void}
+   * @private
+   */
+  _refresh() {
+    game.modules.get(this.moduleId)?.api?.system.refreshPlayerWindows();
+  }
+}
@@ -2,6 +2,9 @@ import VendorWalletSystem from './main.js';
 
 import { getOwnedPlayerActors, getProcessedPlayerActorsData } from './utils.js';
 import { SOCKET_EVENTS } from './socket-events.js';
+import MoneyChangerApplication from './money-changer-app.js';
+import { ENCUMBRANCE_POLICIES } from './encumbrance.js';
+import { getAvailableQuantity, withStockHolds } from './stock-holds.js';
 
 /**
  * @class PlayerWalletApplication
@@ -18,6 +21,7 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
     this.vendorId = options.vendorId;
     this.searchTerm = '';
     this.selectedActorId = null;
+    this.paymentCurrencyId = null;
 
     /** @description Bind event handlers for later removal */
     this._boundOnSocketEvent = this._onSocketEvent.bind(this);
@@ -29,6 +33,7 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
     this._boundOnBackToVendors = this._onBackToVendors.bind(this);
     this._boundOnActorSelection = this._onActorSelection.bind(this);
     this._boundOnDocumentClick = this._onDocumentClick.bind(this);
+    this._boundOnPendingAction = this._onPendingAction.bind(this);
     this._socketRegistered = false;
     this._documentClickListenerAdded = false;
   }
@@ -71,12 +76,13 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
   async _prepareContext() {
     /** @description Get processed actors data using the utility function */
     const actorsData = await getProcessedPlayerActorsData(this.selectedActorId);
-    const { processedActors, selectedActor, selectedActorId, useModuleCurrency } = actorsData;
+    const { processedActors, selectedActor, selectedActorId, useModuleCurrency, playerPurse } = actorsData;
     
     /** @description Update the internal selectedActorId */
     this.selectedActorId = selectedActorId;
 
     /** @description Check if we're displaying a specific vendor or all vendors */
+    let context;
     if (this.vendorId) {
       const vendor = VendorWalletSystem.getVendor(this.vendorId);
       
@@ -84,13 +90,15 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
       if (!vendor) {
         console.warn(`Vendor ${this.vendorId} not found, showing all vendors`);
         this.vendorId = null;
-        return this._prepareAllVendorsContext(selectedActor, useModuleCurrency, processedActors);
+        context = this._prepareAllVendorsContext(selectedActor, useModuleCurrency, processedActors);
+      } else {
+        context = this._prepareSingleVendorContext(vendor, selectedActor, useModuleCurrency, processedActors);
       }
-      
-      return this._prepareSingleVendorContext(vendor, selectedActor, useModuleCurrency, processedActors);
     } else {
-      return this._prepareAllVendorsContext(selectedActor, useModuleCurrency, processedActors);
+      context = this._prepareAllVendorsContext(selectedActor, useModuleCurrency, processedActors);
     }
+
+    return { ...context, playerPurse, showPlayerPurse: playerPurse !== null };
   }
 
   /**
@@ -102,8 +110,8 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
    * @returns {Object} Context object for single vendor display
    */
   _prepareSingleVendorContext(vendor, selectedActor, useModuleCurrency, userActors) {
-    /** @description Start with a shallow copy to avoid mutating the original vendor */
-    let filteredVendor = { ...vendor, items: [...(vendor.items || [])] };
+    /** @description Start with a copy showing the stock on hold, to avoid mutating the original vendor */
+    let filteredVendor = withStockHolds(vendor);
 
     /** @description Filter items based on search term */
     if (this.searchTerm && this.searchTerm.trim() !== '') {
@@ -118,6 +126,18 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
       ...item
     }));
 
+    /** @description Currencies the vendor takes; the main currency is picked first when it is one of them */
+    const currencyManager = VendorWalletSystem.currencyManager;
+    const paymentCurrencies = VendorWalletSystem.vendorDataManager.getAcceptedCurrencies(this.vendorId);
+    const paymentCurrency = this._getPaymentCurrency(paymentCurrencies);
+    const paysInBase = !paymentCurrency || currencyManager.isBaseCurrency(paymentCurrency.currencyId);
+
+    /** @description Coins the character can hand over at checkout (character sheet currency only) */
+    const heldCoins = paysInBase
+      ? selectedActor?.coinBreakdown
+      : currencyManager.characterCurrencyService?.getCharacterSheetCoinBreakdown(selectedActor?.id, paymentCurrency.currencyId);
+    const tenderCoins = useModuleCurrency ? [] : (heldCoins || []).filter(coin => coin.count > 0);
+
     return {
       isVendorSelected: true,
       vendor: filteredVendor,
@@ -126,7 +146,18 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
       useModuleCurrency,
       userActors,
       isGM: game.user.isGM,
-      searchTerm: this.searchTerm
+      canPayWithCoins: !game.user.isGM && tenderCoins.length > 0,
+      canChangeMoney: !game.user.isGM && !useModuleCurrency && !!vendor.moneyChanger?.enabled,
+      tenderCoins,
+      paymentCurrencies: paymentCurrencies.map(currency => ({
+        ...currency,
+        selected: currency.currencyId === paymentCurrency?.currencyId,
+        rateLabel: currencyManager.isBaseCurrency(currency.currencyId) ? '' : `1 ${currency.symbol} = ${currencyManager.formatCurrency(currency.rate)}`
+      })),
+      showCurrencyChoice: paymentCurrencies.length > 1 || !paysInBase,
+      showEncumbrance: VendorWalletSystem.getEncumbrancePolicy() !== ENCUMBRANCE_POLICIES.ALLOW,
+      searchTerm: this.searchTerm,
+      pendingRequests: VendorWalletSystem.pendingRequests.getDisplayList(SOCKET_EVENTS.PLAYER_PURCHASE_REQUEST)
     };
   }
 
@@ -155,7 +186,8 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
       selectedActorId: this.selectedActorId,
       useModuleCurrency,
       userActors,
-      isGM: game.user.isGM
+      isGM: game.user.isGM,
+      pendingRequests: VendorWalletSystem.pendingRequests.getDisplayList(SOCKET_EVENTS.PLAYER_PURCHASE_REQUEST)
     };
   }
 
@@ -211,6 +243,9 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
       radio.addEventListener('change', this._boundOnActorSelection);
     });
 
+    /** @description Add cancel/dismiss listeners for pending requests */
+    this.element.querySelector('.pending-requests')?.addEventListener('click', this._boundOnPendingAction);
+
     /** @description Check if we're displaying a specific vendor or all vendors */
     if (this.vendorId) {
       /** @description Single vendor display - add item-specific listeners */
@@ -359,6 +394,8 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
       actorRadios.forEach(radio => {
         radio.removeEventListener('change', this._boundOnActorSelection);
       });
+
+      this.element.querySelector('.pending-requests')?.removeEventListener('click', this._boundOnPendingAction);
       
       /** @description Clear any pending search timeout */
       clearTimeout(this._searchTimeout);
@@ -423,9 +460,9 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
       console.log('💰 DEBUG: Socket event received:', data.type, data);
     }
     
+    /** @description Notifications are shown by VendorWalletSystem.pendingRequests; this only refreshes the window */
     switch (data.type) {
       case SOCKET_EVENTS.PURCHASE_COMPLETED:
-        ui.notifications.info(data.message);
         if (VendorWalletSystem.getDebugMode()) {
           console.log('💰 DEBUG: Purchase completed, refreshing wallet display');
         }
@@ -439,7 +476,6 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
         }
         break;
       case SOCKET_EVENTS.PURCHASE_FAILED:
-        ui.notifications.warn(data.message);
         if (VendorWalletSystem.getDebugMode()) {
           console.log('💰 DEBUG: Purchase failed:', data.message);
         }
@@ -447,13 +483,43 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
     }
   }
 
+  /**
+   * Handles cancel and dismiss buttons in the pending requests list
+   * @param {Event} event - The click event
+   * @returns {Promise<void>}
+   */
+  async _onPendingAction(event) {
+    const button = event.target.closest('[data-pending-action]');
+    if (!button) return;
+
+    const requestId = button.closest('[data-request-id]')?.dataset.requestId;
+    switch (button.dataset.pendingAction) {
+      case 'cancel-queued':
+        await VendorWalletSystem.requestQueue.cancel(requestId);
+        break;
+      case 'cancel':
+        VendorWalletSystem.pendingRequests.cancel(requestId);
+        break;
+      case 'dismiss':
+        VendorWalletSystem.pendingRequests.dismiss(requestId);
+        break;
+    }
+  }
+
   /**
    * Handles item selection changes for purchase calculation
    * @param {Event} event - The change event
    * @returns {void}
    */
   _onItemSelection(event) {
-    if (!event.target.classList.contains('item-checkbox') && !event.target.classList.contains('item-quantity-input')) return;
+    if (event.target.id === 'paymentCurrency') {
+      this.paymentCurrencyId = event.target.value;
+      this.render();
+      return;
+    }
+
+    const classList = event.target.classList;
+    if (!classList.contains('item-checkbox') && !classList.contains('item-quantity-input') && !classList.contains('tender-coin-input')) return;
     
     this._updatePurchaseDisplay();
   }
@@ -477,7 +543,7 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
           const quantityInput = this.element.querySelector(`.item-quantity-input[data-item-id="${itemId}"]`);
           const quantity = parseInt(quantityInput?.value) || 1;
           const vendorItem = vendor.items.find(item => item.id === itemId);
-          const stock = vendorItem?.quantity;
+          const stock = getAvailableQuantity(vendor, vendorItem);
 
           if (stock !== undefined && quantity > stock) {
             ui.notifications.warn(`${vendorItem?.name || 'Item'} is out of stock.`);
@@ -495,9 +561,25 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
       case 'clearSelection':
         this._clearSelection();
         break;
+      case 'changeMoney':
+        new MoneyChangerApplication({ vendorId: this.vendorId, actorId: this.selectedActorId }).render(true);
+        break;
     }
   }
 
+  /**
+   * Picks the currency to pay with from the ones the vendor accepts
+   * @param {Array<Object>} [paymentCurrencies] - Accepted currencies from VendorDataManager.getAcceptedCurrencies
+   * @returns {Object|null} The chosen currency, or null if the vendor accepts none
+   */
+  _getPaymentCurrency(paymentCurrencies = VendorWalletSystem.vendorDataManager.getAcceptedCurrencies(this.vendorId)) {
+    const currencyManager = VendorWalletSystem.currencyManager;
+    return paymentCurrencies.find(currency => currency.currencyId === this.paymentCurrencyId)
+      ?? paymentCurrencies.find(currency => currencyManager.isBaseCurrency(currency.currencyId))
+      ?? paymentCurrencies[0]
+      ?? null;
+  }
+
   /**
    * Updates the purchase display with selected items count and total price
    * @returns {void}
@@ -514,8 +596,10 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
     }
     
     const checkboxes = this.element.querySelectorAll('.item-checkbox:checked');
+    const currencyManager = VendorWalletSystem.currencyManager;
     let selectedCount = 0;
-    let totalPrice = 0;
+    let totalPriceMinor = 0;
+    const selectedItems = [];
 
     for (const checkbox of checkboxes) {
       const itemId = checkbox.dataset.itemId;
@@ -531,17 +615,95 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
       quantityInput.value = quantity;
 
       const price = VendorWalletSystem.parseCurrency(checkbox.dataset.price) || 0;
-      totalPrice += price * quantity;
+      totalPriceMinor += currencyManager.totalMinor([{ price, quantity }]);
       selectedCount += quantity;
+      selectedItems.push({ weight: Number(checkbox.dataset.weight) || 0, quantity });
     }
 
-    /** @description Round up the total price */
-    totalPrice = Math.ceil(totalPrice);
-
     selectedCountElement.textContent = selectedCount;
-    totalPriceElement.textContent = VendorWalletSystem.currencyManager.formatCurrency(totalPrice);
+    totalPriceElement.textContent = currencyManager.formatMinor(totalPriceMinor);
+
+    /** @description Show what the total comes to in another currency */
+    const currency = this._getPaymentCurrency();
+    let totalDueMinor = totalPriceMinor;
+    if (currency && !currencyManager.isBaseCurrency(currency.currencyId)) {
+      totalDueMinor = currencyManager.convertMinor(totalPriceMinor, null, currency.currencyId, { toRate: currency.rate });
+      totalPriceElement.textContent += ` (${currencyManager.formatMinor(totalDueMinor, currency.currencyId)})`;
+    }
+
+    const encumbrance = this._updateEncumbranceDisplay(selectedItems);
+    purchaseButton.disabled = selectedCount === 0 || !!encumbrance?.blocked;
+
+    this._updateTenderDisplay(totalDueMinor, currency?.currencyId ?? null);
+  }
+
+  /**
+   * Shows the selected character's encumbrance after buying the selected items
+   * @param {Array<{weight: number, quantity: number}>} selectedItems - Selected items with their per-unit weight
+   * @returns {Object|null} Result of TransactionManager.checkPurchaseEncumbrance, or null when nothing is checked
+   */
+  _updateEncumbranceDisplay(selectedItems) {
+    const summaryElement = this.element.querySelector('#encumbranceSummary');
+    const actor = game.actors.get(this.selectedActorId);
+    if (!summaryElement) return null;
+
+    const encumbrance = actor && selectedItems.length > 0
+      ? VendorWalletSystem.transactionManager.checkPurchaseEncumbrance(actor, selectedItems)
+      : null;
+    summaryElement.textContent = encumbrance
+      ? (encumbrance.blocked ? `Too heavy to buy. ${encumbrance.message}` : encumbrance.message)
+      : '';
+    summaryElement.classList.toggle('warning-message', !!encumbrance?.exceedsLimit);
+    return encumbrance;
+  }
 
-    purchaseButton.disabled = selectedCount === 0;
+  /**
+   * Shows the value of the coins chosen at checkout and the change owed
+   * @param {number} totalPriceMinor - Price of the selected items in minor units of the currency paid with
+   * @param {string|null} [currencyId=null] - Currency paid with; null for the main currency
+   * @returns {void}
+   */
+  _updateTenderDisplay(totalPriceMinor, currencyId = null) {
+    const summaryElement = this.element.querySelector('#tenderSummary');
+    if (!summaryElement) return;
+
+    const tenderedCoins = this._getTenderedCoins();
+    if (!tenderedCoins) {
+      summaryElement.textContent = 'No coins chosen; the best coins will be picked automatically.';
+      return;
+    }
+
+    const currencyManager = VendorWalletSystem.currencyManager;
+    const tenderedMinor = currencyManager.getMinorDenominations(currencyId)
+      .reduce((sum, denomination) => sum + (tenderedCoins[denomination.name] || 0) * denomination.value, 0);
+    const owed = tenderedMinor - totalPriceMinor;
+    const format = (minor) => currencyManager.formatMinor(minor, currencyId);
+
+    summaryElement.textContent = owed >= 0
+      ? `Handing over ${format(tenderedMinor)}; change due ${format(owed)}.`
+      : `Handing over ${format(tenderedMinor)}; ${format(-owed)} short.`;
+  }
+
+  /**
+   * Reads the coins chosen at checkout
+   * @returns {Object<string, number>|null} Coin counts by name, or null if no coins were chosen
+   */
+  _getTenderedCoins() {
+    const inputs = this.element?.querySelectorAll('.tender-coin-input') || [];
+    const tenderedCoins = {};
+    let chosen = false;
+
+    for (const input of inputs) {
+      let count = parseInt(input.value) || 0;
+      const max = parseInt(input.max);
+      if (count < 0) count = 0;
+      if (!isNaN(max) && count > max) count = max;
+      input.value = count;
+
+      tenderedCoins[input.dataset.coinName] = count;
+      if (count > 0) chosen = true;
+    }
+    return chosen ? tenderedCoins : null;
   }
 
   /**
@@ -552,6 +714,7 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
     if (!this.element) return; /** @description Safety check */
     const checkboxes = this.element.querySelectorAll('.item-checkbox');
     checkboxes.forEach(checkbox => checkbox.checked = false);
+    this.element.querySelectorAll('.tender-coin-input').forEach(input => input.value = 0);
     this._updatePurchaseDisplay();
   }
 
@@ -566,7 +729,9 @@ export default class PlayerWalletApplication extends foundry.applications.api.Ha
       checkboxes,
       element: this.element,
       userId: game.user.id,
-      actorId: this.selectedActorId /** @description Pass the selected actor ID */
+      actorId: this.selectedActorId, /** @description Pass the selected actor ID */
+      tenderedCoins: this._getTenderedCoins(),
+      currencyId: this._getPaymentCurrency()?.currencyId ?? null
     });
 
     /** @description Clear selection and refresh if successful */
@@ -686,9 +851,11 @@ PlayerWalletApplication.selectUserActor = async function(userId = game.user.id,
  * @param {HTMLElement} options.element - The DOM element containing the items
  * @param {string} [options.userId] - The user ID (defaults to current user)
  * @param {string} [options.actorId] - The actor ID to use for the purchase
+ * @param {Object<string, number>|null} [options.tenderedCoins] - Coins chosen at checkout, or null to pick them automatically
+ * @param {string|null} [options.currencyId] - Currency to pay with, or null for the main currency
  * @returns {Promise<void>}
  */
-PlayerWalletApplication.processClientPurchase = async function({ vendorId, checkboxes, element, userId = game.user.id, actorId = null }) {
+PlayerWalletApplication.processClientPurchase = async function({ vendorId, checkboxes, element, userId = game.user.id, actorId = null, tenderedCoins = null, currencyId = null }) {
   if (VendorWalletSystem.getDebugMode()) {
     console.log("💰 CLIENT: Processing purchase request...");
     console.log("💰 CLIENT: Actor ID to use:", actorId);
@@ -716,12 +883,6 @@ PlayerWalletApplication.processClientPurchase = async function({ vendorId, check
     console.log("💰 CLIENT: Target actor selected:", targetActor.name);
   }
 
-  /** @description Check actor's wallet (not user's wallet) */
-  const actorWallet = VendorWalletSystem.currencyManager.getActorWallet(targetActor.id);
-  if (VendorWalletSystem.getDebugMode()) {
-    console.log("💰 CLIENT: Actor wallet amount:", actorWallet);
-  }
-  
   /** @description Collect selected items data */
   const vendor = VendorWalletSystem.getVendor(vendorId);
   if (!vendor) {
@@ -729,8 +890,25 @@ PlayerWalletApplication.processClientPurchase = async function({ vendorId, check
     return;
   }
 
+  /** @description Work out the currency to pay with */
+  const currencyManager = VendorWalletSystem.currencyManager;
+  const acceptedCurrencies = VendorWalletSystem.vendorDataManager.getAcceptedCurrencies(vendorId);
+  const currency = currencyId
+    ? acceptedCurrencies.find(accepted => accepted.currencyId === currencyId)
+    : acceptedCurrencies.find(accepted => currencyManager.isBaseCurrency(accepted.currencyId)) ?? acceptedCurrencies[0];
+  if (!currency) {
+    ui.notifications.warn(`${vendor.name} doesn't accept that currency.`);
+    return;
+  }
+  const payCurrencyId = currencyManager.isBaseCurrency(currency.currencyId) ? null : currency.currencyId;
+
+  /** @description Check actor's wallet (not user's wallet) */
+  const actorWalletMinor = await currencyManager.getActorWalletMinor(targetActor.id, payCurrencyId);
+  if (VendorWalletSystem.getDebugMode()) {
+    console.log("💰 CLIENT: Actor wallet amount:", currencyManager.fromMinor(actorWalletMinor, payCurrencyId));
+  }
+
   const selectedItems = [];
-  let totalCost = 0;
   
   for (const checkbox of checkboxes) {
     const itemId = checkbox.dataset.itemId;
@@ -738,29 +916,31 @@ PlayerWalletApplication.processClientPurchase = async function({ vendorId, check
     const quantity = parseInt(quantityInput?.value) || 1;
     const vendorItem = vendor.items.find(item => item.id === itemId);
     if (vendorItem) {
-      const itemCost = vendorItem.price * quantity;
-      totalCost += itemCost;
       selectedItems.push({
         id: vendorItem.id,
         name: vendorItem.name,
         price: vendorItem.price,
         uuid: vendorItem.uuid,
+        weight: Number(vendorItem.weight) || 0,
         quantity: quantity
       });
     }
   }
 
   /** @description Check if actor has enough money BEFORE sending to GM */
-  totalCost = Math.ceil(totalCost);
-  if (actorWallet < totalCost) {
-    ui.notifications.warn(`${targetActor.name} doesn't have enough money! Needs ${VendorWalletSystem.currencyManager.formatCurrency(totalCost)} but only has ${VendorWalletSystem.currencyManager.formatCurrency(actorWallet)}.`);
+  const priceMinor = currencyManager.totalMinor(selectedItems);
+  const totalCostMinor = payCurrencyId
+    ? currencyManager.convertMinor(priceMinor, null, payCurrencyId, { toRate: currency.rate })
+    : priceMinor;
+  if (actorWalletMinor < totalCostMinor) {
+    ui.notifications.warn(`${targetActor.name} doesn't have enough money! Needs ${currencyManager.formatMinor(totalCostMinor, payCurrencyId)} but only has ${currencyManager.formatMinor(actorWalletMinor, payCurrencyId)}.`);
     return;
   }
   
   if (VendorWalletSystem.getDebugMode()) {
     console.log("💰 CLIENT: Selected items for purchase:", selectedItems);
-    console.log("💰 CLIENT: Total cost:", totalCost);
-    console.log("💰 CLIENT: Actor wallet:", actorWallet);
+    console.log("💰 CLIENT: Total cost:", currencyManager.fromMinor(totalCostMinor, payCurrencyId));
+    console.log("💰 CLIENT: Actor wallet:", currencyManager.fromMinor(actorWalletMinor, payCurrencyId));
     
     /** @description Log the full names of selected items for debugging */
     for (const item of selectedItems) {
@@ -769,10 +949,66 @@ PlayerWalletApplication.processClientPurchase = async function({ vendorId, check
     }
   }
   
+  /** @description Check the buyer can carry it; the GM checks again before the purchase goes through */
+  const encumbrance = VendorWalletSystem.transactionManager.checkPurchaseEncumbrance(targetActor, selectedItems);
+  if (encumbrance?.blocked) {
+    ui.notifications.warn(`Purchase refused: ${encumbrance.message}`);
+    return;
+  }
+  if (encumbrance?.exceedsLimit) {
+    const proceed = await Dialog.confirm({
+      title: 'Heavy Load',
+      content: `<p>${encumbrance.message}</p><p>Buy anyway?</p>`
+    });
+    if (!proceed) return;
+  }
+
+  /** @description Work out the coins to hand over when paying in coins, so the player can decide about missing change now */
+  const coinPayment = await PlayerWalletApplication.prepareCoinPayment(targetActor, vendor, totalCostMinor, tenderedCoins, payCurrencyId);
+  if (coinPayment === false) return;
+  const payment = payCurrencyId ? { ...coinPayment, currencyId: payCurrencyId } : coinPayment;
+
   /** @description If user is GM, process directly; otherwise send request to GM */
   if (game.user.isGM) {
-    await VendorWalletSystem.transactionManager.processDirectPurchase(targetActor, vendorId, selectedItems);
+    await VendorWalletSystem.transactionManager.processDirectPurchase(targetActor, vendorId, selectedItems, payment);
   } else {
-    await VendorWalletSystem.transactionManager.sendPurchaseRequestToGM(targetActor, vendorId, selectedItems, game.user.id);
+    await VendorWalletSystem.transactionManager.sendPurchaseRequestToGM(targetActor, vendorId, selectedItems, game.user.id, payment);
   }
+};
+
+/**
+ * Plans a coin payment for character sheet currency. Used when the player chose coins or the vendor keeps
+ * a coin float; if the vendor can't give all the change, asks whether to overpay.
+ * @param {Actor} actor - The paying actor
+ * @param {Object} vendor - The vendor data
+ * @param {number} totalCostMinor - Price in minor units of the currency paid with
+ * @param {Object<string, number>|null} tenderedCoins - Coins chosen at checkout, or null to pick them automatically
+ * @param {string|null} [currencyId=null] - Currency paid with; the vendor's coin float only holds the main currency
+ * @returns {Promise<Object|null|false>} Payment data for the request, null to pay from the wallet, or false to cancel
+ */
+PlayerWalletApplication.prepareCoinPayment = async function(actor, vendor, totalCostMinor, tenderedCoins, currencyId = null) {
+  const coinFloat = currencyId ? null : vendor.coinFloat ?? null;
+  if (VendorWalletSystem.getUseModuleCurrencySystem() || (!tenderedCoins && !coinFloat)) return null;
+
+  const currencyManager = VendorWalletSystem.currencyManager;
+  let plan;
+  try {
+    plan = await currencyManager.planCoinPayment(actor.id, tenderedCoins, totalCostMinor, coinFloat, currencyId);
+  } catch (error) {
+    ui.notifications.warn(error.message);
+    return false;
+  }
+
+  let allowOverpay = false;
+  if (plan.shortMinor > 0) {
+    const owed = plan.tenderedMinor - totalCostMinor;
+    allowOverpay = await Dialog.confirm({
+      title: 'Not Enough Change',
+      content: `<p>${vendor.name} can only give ${currencyManager.formatMinor(plan.changeMinor)} of the ${currencyManager.formatMinor(owed)} change.</p>
+        <p>Overpay by ${currencyManager.formatMinor(plan.shortMinor)}? Choose No to pick different coins.</p>`
+    });
+    if (!allowOverpay) return false;
+  }
+
+  return { tenderedCoins: plan.tendered, allowOverpay };
 };
\ No newline at end of file
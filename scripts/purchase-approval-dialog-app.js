@@ -17,15 +17,17 @@ export default class PurchaseApprovalDialog extends foundry.applications.api.Han
    * @param {string} options.userName - Name of the user making the purchase
    * @param {Array} options.items - Array of items being purchased
    * @param {number} options.totalCost - Total cost of the purchase
+   * @param {Object|null} [options.encumbrance] - The buyer's encumbrance after the purchase, from TransactionManager.checkPurchaseEncumbrance
    * @param {Function} resolve - Function to call when dialog is closed with a result
    * @param {Function} reject - Function to call if dialog is dismissed without a result
    */
-  constructor({ actorName, userName, items, totalCost, resolve, reject }, options = {}) {
+  constructor({ actorName, userName, items, totalCost, encumbrance = null, resolve, reject }, options = {}) {
     super(options);
     this.actorName = actorName;
     this.userName = userName;
     this.items = items;
     this.totalCost = totalCost;
+    this.encumbrance = encumbrance;
     this._resolve = resolve;
     this._reject = reject;
     this._actionTaken = false;
@@ -61,6 +63,7 @@ export default class PurchaseApprovalDialog extends foundry.applications.api.Han
       userName: this.userName,
       items: this.items,
       totalCost: this.totalCost,
+      encumbrance: this.encumbrance,
       formatCurrency: VendorWalletSystem.formatCurrency // Pass helper function
     };
   }
@@ -107,6 +110,16 @@ export default class PurchaseApprovalDialog extends foundry.applications.api.Han
     this.close();
   }
 
+  /**
+   * Closes the dialog without approving or declining, e.g. when another GM already decided the purchase
+   * @returns {Promise<any>} Result of the close method
+   */
+  dismiss() {
+    this._actionTaken = true;
+    this._resolve = null;
+    return this.close();
+  }
+
   /**
    * Closes the application and cleans up event listeners
    * @param {Object} options - Close options
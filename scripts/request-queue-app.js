@@ -0,0 +1,170 @@
+/**
+ * @file Request queue application for reviewing requests made while no GM was online
+ * @description Lets the GM run or decline queued player purchases and sales after checking them against current data
+ */
+
+import VendorWalletSystem from './main.js';
+import { SOCKET_EVENTS } from './socket-events.js';
+
+/**
+ * @class RequestQueueApplication
+ * @extends {foundry.applications.api.HandlebarsApplicationMixin}
+ * @description Application for reviewing queued player requests
+ */
+export default class RequestQueueApplication extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  constructor(options = {}) {
+    super(options);
+    this._boundOnClickAction = this._onClickAction.bind(this);
+    this._busy = false;
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'request-queue',
+    tag: 'div',
+    window: {
+      title: 'Queued Requests',
+      icon: 'fas fa-inbox'
+    },
+    position: {
+      width: 550,
+      height: 'auto'
+    },
+    classes: ['gurps-instant-bazaar']
+  };
+
+  static PARTS = {
+    content: {
+      template: 'modules/gurps-instant-bazaar/templates/request-queue.hbs'
+    }
+  };
+
+  /**
+   * Prepares the context data for rendering the template
+   * @returns {Promise<Object>} Context object containing queued requests checked against current data
+   */
+  async _prepareContext() {
+    const queued = VendorWalletSystem.requestQueue.getAllQueuedRequests();
+
+    const requests = [];
+    for (const entry of queued) {
+      const isSell = entry.type === SOCKET_EVENTS.PLAYER_SELL_REQUEST;
+      const { total, problems } = await VendorWalletSystem.transactionManager.previewPlayerRequest(entry);
+      requests.push({
+        requestId: entry.requestId,
+        userId: entry.ownerId,
+        userName: game.users.get(entry.ownerId)?.name ?? 'Unknown user',
+        actorName: game.actors.get(entry.actorId)?.name ?? 'Unknown character',
+        kindLabel: isSell ? 'Sale' : 'Purchase',
+        vendorName: isSell ? null : (VendorWalletSystem.getVendor(entry.vendorId)?.name ?? 'Unknown vendor'),
+        items: (entry.selectedItems || []).map(item => ({ name: item.name, quantity: item.quantity })),
+        queuedAt: new Date(entry.queuedAt ?? Date.now()).toLocaleString(),
+        total,
+        problems
+      });
+    }
+
+    return {
+      requests,
+      isHandler: VendorWalletSystem.gmCoordinator.isHandler(),
+      handlerName: VendorWalletSystem.gmCoordinator.getHandlerGM()?.name ?? null
+    };
+  }
+
+  /**
+   * Handles rendering events by setting up event listeners
+   * @returns {void}
+   */
+  _onRender() {
+    this.element.removeEventListener('click', this._boundOnClickAction);
+    this.element.addEventListener('click', this._boundOnClickAction);
+  }
+
+  /**
+   * Closes the application and cleans up event listeners
+   * @param {Object} options - Close options
+   * @returns {Promise<any>} Result of the parent close method
+   */
+  async close(options) {
+    if (this.element) {
+      this.element.removeEventListener('click', this._boundOnClickAction);
+    }
+    return super.close(options);
+  }
+
+  /**
+   * Handles action button clicks
+   * @param {Event} event - The click event
+   * @returns {Promise<void>}
+   */
+  async _onClickAction(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button || this._busy) return;
+
+    const row = button.closest('[data-request-id]');
+    const userId = row?.dataset.userId;
+    const requestId = row?.dataset.requestId;
+
+    this._busy = true;
+    try {
+      switch (button.dataset.action) {
+        case 'process':
+          await this._processRequest(userId, requestId);
+          break;
+        case 'reject':
+          await VendorWalletSystem.requestQueue.reject(userId, requestId);
+          break;
+        case 'process-all':
+          for (const entry of VendorWalletSystem.requestQueue.getAllQueuedRequests()) {
+            await this._processRequest(entry.ownerId, entry.requestId);
+          }
+          break;
+      }
+    } finally {
+      this._busy = false;
+    }
+    this.render();
+  }
+
+  /**
+   * Runs a queued request and reports the outcome to the GM
+   * @param {string} userId - The user who queued the request
+   * @param {string} requestId - Request ID
+   * @returns {Promise<void>}
+   */
+  async _processRequest(userId, requestId) {
+    const result = await VendorWalletSystem.requestQueue.process(userId, requestId);
+    if (!result) return;
+
+    if (result.success) {
+      ui.notifications.info(result.message);
+    } else {
+      ui.notifications.warn(result.message);
+    }
+  }
+
+  /**
+   * Opens the queue for the handling GM if any requests are waiting
+   * @returns {void}
+   */
+  static showIfPending() {
+    if (!VendorWalletSystem.gmCoordinator.isHandler()) return;
+
+    const count = VendorWalletSystem.requestQueue.getAllQueuedRequests().length;
+    if (count === 0) return;
+
+    ui.notifications.info(`${count} player request${count > 1 ? 's were' : ' was'} queued while no GM was online.`);
+    new RequestQueueApplication().render(true);
+  }
+
+  /**
+   * Static method to refresh all open request queue applications
+   * @returns {void}
+   */
+  static refreshQueues() {
+    for (const app of foundry.applications.instances.values()) {
+      if (app instanceof RequestQueueApplication) {
+        app.render(false);
+      }
+    }
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * @file Offline request queue
+ * @description Holds player purchase and sell requests made while no GM is connected until a GM reviews them
+ */
+
+import { SOCKET_EVENTS } from './socket-events.js';
+
+/**
+ * @class RequestQueue
+ * @description Sends player requests to the handling GM, or stores them in the player's user flags when no GM is online
+ */
+export default class RequestQueue {
+  /** @type {string} User flag holding the queued requests */
+  static FLAG = 'queuedRequests';
+
+  /**
+   * @param {string} moduleId - The module identifier
+   * @param {string} socketId - The socket identifier for communication
+   * @param {GMCoordinator} gmCoordinator - Coordinator used to find and reach the handling GM
+   */
+  constructor(moduleId, socketId, gmCoordinator) {
+    this.moduleId = moduleId;
+    this.socketId = socketId;
+    this.gmCoordinator = gmCoordinator;
+  }
+
+  /**
+   * Sends a request to the handling GM, or queues it if no GM is connected
+   * @param {Object} data - Request data (type, requestId, userId, actorId, ...)
+   * @returns {Promise<'sent'|'queued'>} What happened to the request
+   */
+  async submit(data) {
+    if (this.gmCoordinator.getHandlerGM()) {
+      game.socket.emit(this.socketId, data);
+      return 'sent';
+    }
+
+    await game.user.setFlag(this.moduleId, RequestQueue.FLAG, [
+      ...this.getQueuedRequests(),
+      { ...data, queuedAt: Date.now() }
+    ]);
+    return 'queued';
+  }
+
+  /**
+   * Gets the requests queued by a user
+   * @param {User} [user=game.user] - The user
+   * @returns {Array<Object>} Queued requests, oldest first
+   */
+  getQueuedRequests(user = game.user) {
+    const queued = user?.getFlag(this.moduleId, RequestQueue.FLAG);
+    return Array.isArray(queued) ? queued : [];
+  }
+
+  /**
+   * Builds a one-line description of a queued request for display
+   * @param {Object} entry - The queued request
+   * @returns {string} Description such as "Purchase: 2x Rope, 1x Torch"
+   */
+  static describeRequest(entry) {
+    if (entry.type === SOCKET_EVENTS.PLAYER_EXCHANGE_REQUEST) {
+      const coins = Object.entries(entry.giveCoins || {})
+        .filter(([, count]) => count > 0)
+        .map(([name, count]) => `${count}x ${name}`)
+        .join(', ');
+      return `Exchange: ${coins} into ${entry.targetName}`;
+    }
+
+    const kind = entry.type === SOCKET_EVENTS.PLAYER_SELL_REQUEST ? 'Sale' : 'Purchase';
+    const items = (entry.selectedItems || []).map(item => `${item.quantity}x ${item.name}`).join(', ');
+    return `${kind}: ${items}`;
+  }
+
+  /**
+   * Gets every queued request from every user (GM only). Each request is tagged with ownerId, the user whose
+   * flag holds it; requests claiming to come from another user are left out.
+   * @returns {Array<Object>} Queued requests, oldest first
+   */
+  getAllQueuedRequests() {
+    return game.users
+      .flatMap(user => this.getQueuedRequests(user)
+        .filter(entry => {
+          if (entry.userId === user.id) return true;
+          console.warn(`Ignored queued request ${entry.requestId} in ${user.name}'s queue: it claims to be from user ${entry.userId}.`);
+          return false;
+        })
+        .map(entry => ({ ...entry, ownerId: user.id })))
+      .sort((a, b) => (a.queuedAt ?? 0) - (b.queuedAt ?? 0));
+  }
+
+  /**
+   * Removes a request from its user's queue
+   * @param {string} userId - The user who queued the request
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object|null>} The removed request, or null if it was no longer queued
+   */
+  async remove(userId, requestId) {
+    const user = game.users.get(userId);
+    const queued = this.getQueuedRequests(user);
+    const entry = queued.find(request => request.requestId === requestId);
+    if (!entry) return null;
+
+    await user.setFlag(this.moduleId, RequestQueue.FLAG, queued.filter(request => request.requestId !== requestId));
+    return entry;
+  }
+
+  /**
+   * Withdraws one of the current user's queued requests before a GM reviews it
+   * @param {string} requestId - Request ID
+   * @returns {Promise<boolean>} True if the request was removed
+   */
+  async cancel(requestId) {
+    return (await this.remove(game.user.id, requestId)) !== null;
+  }
+
+  /**
+   * Runs a queued request through the normal GM processing, which re-validates stock and balances (GM only)
+   * @param {string} userId - The user who queued the request
+   * @param {string} requestId - Request ID
+   * @returns {Promise<{success: boolean, message: string}|null>} The processing result, or null if nothing ran
+   */
+  async process(userId, requestId) {
+    if (!this.gmCoordinator.isHandler()) {
+      const handler = this.gmCoordinator.getHandlerGM();
+      ui.notifications.warn(`Only ${handler?.name ?? 'the designated GM'} can process queued requests.`);
+      return null;
+    }
+
+    // Remove first so a second click can't run the same request twice
+    const entry = await this.remove(userId, requestId);
+    if (!entry) return null;
+    if (entry.userId !== userId) {
+      console.warn(`Dropped queued request ${requestId}: it claims to be from user ${entry.userId} but was queued by ${userId}.`);
+      return null;
+    }
+
+    // The user whose queue held the request stands in for the socket sender
+    const result = await this.gmCoordinator.receiveRequest(entry, userId);
+    if (result) await this._notifyPlayer(entry, result);
+    return result;
+  }
+
+  /**
+   * Declines a queued request without running it (GM only)
+   * @param {string} userId - The user who queued the request
+   * @param {string} requestId - Request ID
+   * @param {string} [reason='Declined by GM.'] - Message shown to the player
+   * @returns {Promise<boolean>} True if the request was removed
+   */
+  async reject(userId, requestId, reason = 'Declined by GM.') {
+    if (!game.user.isGM) return false;
+
+    const removed = await this.remove(userId, requestId);
+    if (!removed) return false;
+
+    // Answer the user whose queue held the request, whoever it claims to be from
+    const entry = { ...removed, userId };
+    const isSell = entry.type === SOCKET_EVENTS.PLAYER_SELL_REQUEST;
+    game.socket.emit(this.socketId, {
+      type: isSell ? SOCKET_EVENTS.SELL_FAILED : SOCKET_EVENTS.PURCHASE_FAILED,
+      userId: entry.userId,
+      requestId: entry.requestId,
+      message: reason
+    });
+    await this._notifyPlayer(entry, { success: false, message: reason });
+    return true;
+  }
+
+  /**
+   * Whispers the outcome of a queued request to its player, so they see it even if they were offline
+   * @param {Object} entry - The queued request
+   * @param {{success: boolean, message: string}} result - The outcome
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _notifyPlayer(entry, result) {
+    const kind = entry.type === SOCKET_EVENTS.PLAYER_SELL_REQUEST ? 'sale' : 'purchase';
+    const queuedAt = new Date(entry.queuedAt ?? Date.now()).toLocaleString();
+    try {
+      await ChatMessage.create({
+        content: `<p><strong>Queued ${kind} from ${queuedAt}</strong>: ${foundry.utils.escapeHTML(result.message)}</p>`,
+        whisper: [entry.userId]
+      });
+    } catch (error) {
+      console.error('Error notifying player about queued request:', error);
+    }
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * @file Restock rules
+ * @description Restock modes and how a vendor's stock is refilled
+ */
+
+/**
+ * How a vendor restocks
+ * @readonly
+ * @enum {string}
+ */
+export const RESTOCK_MODES = {
+  /** Never restocks on its own */
+  NONE: 'none',
+  /** Brings the items the vendor started with back up to their original quantity */
+  REFILL: 'refill',
+  /** Rolls a fresh set of items from the vendor's compendium and filters, keeping pinned and hand-edited items */
+  REROLL: 'reroll'
+};
+
+/** @type {number} Seconds in an in-game day */
+export const SECONDS_PER_DAY = 86400;
+
+/**
+ * Brings a vendor's items back up to the stock it started with. Items that sold out are put back where they
+ * were; items added since are left alone.
+ * @param {Array<Object>} items - The vendor's items now
+ * @param {Array<Object>} baseline - The vendor's items as they were generated
+ * @returns {Array<Object>} The restocked items
+ */
+export function refillItems(items, baseline) {
+  const refilled = items.map(item => ({ ...item }));
+  baseline.forEach((original, index) => {
+    const current = refilled.find(item => item.id === original.id);
+    if (!current) {
+      refilled.splice(Math.min(index, refilled.length), 0, { ...original });
+    } else if (current.quantity !== undefined && original.quantity !== undefined && current.quantity < original.quantity) {
+      current.quantity = original.quantity;
+    }
+  });
+  return refilled;
+}
@@ -57,7 +57,7 @@ export default class SellApprovalDialog extends foundry.applications.api.Handleb
    * @returns {Promise<Object>} Context object
    */
   async _prepareContext() {
-    const finalPayment = (this.totalValue * this.automaticSellPercentage) / 100;
+    const finalPayment = this._calculatePayment(this.automaticSellPercentage);
     return {
       actorName: this.actorName,
       userName: this.userName,
@@ -69,6 +69,17 @@ export default class SellApprovalDialog extends foundry.applications.api.Handleb
     };
   }
 
+  /**
+   * Calculates the payment for a sell percentage the same way the GM's sale does
+   * @param {number} percentage - Sell percentage (0-100)
+   * @returns {number} Payment amount
+   * @private
+   */
+  _calculatePayment(percentage) {
+    const currencyManager = VendorWalletSystem.currencyManager;
+    return currencyManager.fromMinor(currencyManager.percentOfMinor(currencyManager.toMinor(this.totalValue), percentage));
+  }
+
   /**
    * Handles rendering events by setting up event listeners
    * @returns {void}
@@ -99,8 +110,7 @@ export default class SellApprovalDialog extends foundry.applications.api.Handleb
     const display = this.element.querySelector('#finalPaymentDisplay');
     
     const updatePayment = (percentage) => {
-      const payment = (this.totalValue * percentage) / 100;
-      display.textContent = VendorWalletSystem.formatCurrency(payment);
+      display.textContent = VendorWalletSystem.formatCurrency(this._calculatePayment(percentage));
     };
 
     slider.addEventListener('input', function(event) {
@@ -143,6 +153,16 @@ export default class SellApprovalDialog extends foundry.applications.api.Handleb
     this.close();
   }
 
+  /**
+   * Closes the dialog without approving or declining, e.g. when another GM already decided the sale
+   * @returns {Promise<any>} Result of the close method
+   */
+  dismiss() {
+    this._actionTaken = true;
+    this._resolve = null;
+    return this.close();
+  }
+
   /**
    * Closes the application and cleans up event listeners
    * @param {Object} options - Close options
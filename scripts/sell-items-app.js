@@ -6,6 +6,7 @@
 import VendorWalletSystem from './main.js';
 import { flattenItemsFromObject, getOwnedPlayerActors, getProcessedPlayerActorsData } from './utils.js';
 import { SOCKET_EVENTS } from './socket-events.js';
+import GMCoordinator from './gm-coordinator.js';
 
 /**
  * @class SellItemsApplication
@@ -25,6 +26,7 @@ export default class SellItemsApplication extends foundry.applications.api.Handl
     this._boundOnSocketEvent = this._onSocketEvent.bind(this);
     this._boundOnActorSelection = this._onActorSelection.bind(this);
     this._boundOnDocumentClick = this._onDocumentClick.bind(this);
+    this._boundOnPendingAction = this._onPendingAction.bind(this);
     this._socketRegistered = false;
     this._documentClickListenerAdded = false;
   }
@@ -97,7 +99,8 @@ export default class SellItemsApplication extends foundry.applications.api.Handl
       userActors: processedActors,
       requireGMApproval,
       automaticSellPercentage,
-      searchTerm: this.searchTerm
+      searchTerm: this.searchTerm,
+      pendingRequests: VendorWalletSystem.pendingRequests.getDisplayList(SOCKET_EVENTS.PLAYER_SELL_REQUEST)
     };
   }
 
@@ -110,9 +113,9 @@ export default class SellItemsApplication extends foundry.applications.api.Handl
 
     if (!actor) return [];
 
-    // Get currency denominations to filter out coins
+    // Get the coins of every currency to filter them out
     const api = game.modules.get('gurps-instant-bazaar')?.api;
-    const denominations = api?.system.getCurrencyDenominations() || [];
+    const denominations = (api?.system.getCurrencySystems() || []).flatMap(system => system.denominations || []);
     const coinNames = new Set(denominations.map(denom => denom.name.toLowerCase()));
 
     const items = [];
@@ -165,6 +168,9 @@ export default class SellItemsApplication extends foundry.applications.api.Handl
       radio.addEventListener('change', this._boundOnActorSelection);
     });
 
+    // Add cancel/dismiss listeners for pending requests
+    this.element.querySelector('.pending-requests')?.addEventListener('click', this._boundOnPendingAction);
+
     // Add sell system for players
     this.element.addEventListener('change', this._boundOnItemSelection);
     this.element.addEventListener('click', this._boundOnSellAction);
@@ -255,9 +261,9 @@ export default class SellItemsApplication extends foundry.applications.api.Handl
     // Only handle events for this user
     if (data.userId !== game.user.id) return;
     
+    // Notifications are shown by VendorWalletSystem.pendingRequests; this only refreshes the window
     switch (data.type) {
       case SOCKET_EVENTS.SELL_COMPLETED:
-        ui.notifications.info(data.message);
         // Check if element still exists before clearing selection
         if (this.element) {
           this._clearSelection();
@@ -267,8 +273,28 @@ export default class SellItemsApplication extends foundry.applications.api.Handl
           }, 100);
         }
         break;
-      case SOCKET_EVENTS.SELL_FAILED:
-        ui.notifications.warn(data.message);
+    }
+  }
+
+  /**
+   * Handles cancel and dismiss buttons in the pending requests list
+   * @param {Event} event - The click event
+   * @returns {Promise<void>}
+   */
+  async _onPendingAction(event) {
+    const button = event.target.closest('[data-pending-action]');
+    if (!button) return;
+
+    const requestId = button.closest('[data-request-id]')?.dataset.requestId;
+    switch (button.dataset.pendingAction) {
+      case 'cancel-queued':
+        await VendorWalletSystem.requestQueue.cancel(requestId);
+        break;
+      case 'cancel':
+        VendorWalletSystem.pendingRequests.cancel(requestId);
+        break;
+      case 'dismiss':
+        VendorWalletSystem.pendingRequests.dismiss(requestId);
         break;
     }
   }
@@ -305,8 +331,10 @@ export default class SellItemsApplication extends foundry.applications.api.Handl
    */
   _updateSellDisplay() {
     const checkboxes = this.element.querySelectorAll('.item-checkbox:checked');
+    const api = game.modules.get('gurps-instant-bazaar')?.api;
+    const currencyManager = api?.system.currencyManager;
     let selectedCount = 0;
-    let totalValue = 0;
+    let totalValueMinor = 0;
 
     for (const checkbox of checkboxes) {
       const itemId = checkbox.dataset.itemId;
@@ -321,14 +349,13 @@ export default class SellItemsApplication extends foundry.applications.api.Handl
 
       quantityInput.value = quantity;
 
-      const api = game.modules.get('gurps-instant-bazaar')?.api;
       const price = api?.system.parseCurrency(checkbox.dataset.price) || 0;
-      totalValue += price * quantity;
+      totalValueMinor += currencyManager?.totalMinor([{ price, quantity }]) || 0;
       selectedCount += quantity;
     }
 
     this.element.querySelector('#selectedCount').textContent = selectedCount;
-    this.element.querySelector('#totalValue').textContent = api?.system.formatCurrency(totalValue);
+    this.element.querySelector('#totalValue').textContent = currencyManager?.formatMinor(totalValueMinor);
 
     const sellButton = this.element.querySelector('#sellSelected');
     sellButton.disabled = selectedCount === 0;
@@ -408,15 +435,22 @@ export default class SellItemsApplication extends foundry.applications.api.Handl
       console.log("💰 PLAYER: Selected items for sale:", selectedItems);
     }
 
-    // Send sell request to GM via socket
-    game.socket.emit(api?.system.SOCKET, {
+    // Send sell request to GM via socket, or queue it until a GM connects
+    const request = {
       type: SOCKET_EVENTS.PLAYER_SELL_REQUEST,
+      requestId: GMCoordinator.generateRequestId(),
       userId: game.user.id,
       actorId: actor.id,
       selectedItems: selectedItems
-    });
+    };
+    const status = await VendorWalletSystem.requestQueue.submit(request);
     
-    ui.notifications.info('Sell request sent for processing...');
+    if (status === 'queued') {
+      ui.notifications.info('No GM is online. Your sell request has been queued and will be reviewed when a GM connects.');
+    } else {
+      VendorWalletSystem.pendingRequests.track(request);
+      ui.notifications.info('Sell request sent for processing...');
+    }
   }
 
   /**
@@ -436,6 +470,8 @@ export default class SellItemsApplication extends foundry.applications.api.Handl
       actorRadios.forEach(radio => {
         radio.removeEventListener('change', this._boundOnActorSelection);
       });
+
+      this.element.querySelector('.pending-requests')?.removeEventListener('click', this._boundOnPendingAction);
       
       // Clear any pending search timeout
       clearTimeout(this._searchTimeout);
@@ -13,20 +13,66 @@ import { gemValues, caratSizes } from './gem-data.js';
  */
 export function registerModuleSettings(moduleId) {
   game.settings.register(moduleId, 'vendors', {
-    name: 'Vendors Data',
+    name: 'Vendors Data (Legacy)',
+    hint: 'Vendors from before they were stored as journal entries; emptied once a GM has migrated them.',
     scope: 'world',
     config: false,
     type: Object,
     default: {}
   });
 
+  game.settings.register(moduleId, 'vendorStorageVersion', {
+    name: 'Vendor Storage Version',
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: 0
+  });
+
+  game.settings.register(moduleId, 'transactionLedger', {
+    name: 'Transaction Ledger',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    onChange: entries => game.modules.get(moduleId)?.api?.system.transactionLedger?.onEntriesChanged(entries)
+  });
+
   game.settings.register(moduleId, 'useModuleCurrencySystem', {
     name: 'Use Module Currency System',
-    hint: 'The module will manage all money, regardless of what\'s on the player\'s character sheet.',
+    hint: 'The module will manage all money, regardless of what\'s on the player\'s character sheet. Switching offers to move every character\'s money to the new place.',
     scope: 'world',
     config: true,
     type: Boolean,
-    default: true
+    default: true,
+    onChange: () => game.modules.get(moduleId)?.api?.onWalletStoreChanged()
+  });
+
+  game.settings.register(moduleId, 'enablePlayerPurse', {
+    name: 'Enable Player Purse',
+    hint: 'Gives each player a separate purse for out-of-character funds, kept apart from their characters\' wallets. Only used with the module currency system.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(moduleId, 'carryMoneyPouch', {
+    name: 'Carry Money as a Weighted Pouch',
+    hint: 'With the module currency system, adds a "Money Pouch" to each character\'s carried equipment weighing as much as the fewest coins that make their wallets, so their money counts toward encumbrance.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => game.modules.get(moduleId)?.api?.syncMoneyPouches()
+  });
+
+  game.settings.register(moduleId, 'walletStorageVersion', {
+    name: 'Wallet Storage Version',
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: 0
   });
 
   game.settings.register(moduleId, 'currencyName', {
@@ -35,16 +81,44 @@ export function registerModuleSettings(moduleId) {
     scope: 'world',
     config: true,
     type: String,
-    default: 'coins'
+    default: 'coins',
+    onChange: () => game.modules.get(moduleId)?.api?.refreshCurrencySettings()
   });
 
   game.settings.register(moduleId, 'currencySymbol', {
     name: 'Currency Symbol',
-    hint: 'Symbol to display before currency amounts (e.g., $, R$, €, ¥).',
+    hint: 'Symbol to display with currency amounts (e.g., $, R$, €, ¥).',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '$',
+    onChange: () => game.modules.get(moduleId)?.api?.refreshCurrencySettings()
+  });
+
+  game.settings.register(moduleId, 'currencyDisplayStyle', {
+    name: 'Currency Display Style',
+    hint: 'How amounts of money are shown. The coin breakdown uses each coin\'s abbreviation (e.g., "3 gc 4 sc"). Any of these styles can be typed into money fields.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      symbolPrefix: 'Symbol before the amount ($12.50)',
+      symbolSuffix: 'Symbol after the amount (12.50 $)',
+      denominations: 'Coin breakdown (3 gc 4 sc)',
+      name: 'Amount and currency name (12.50 coins)'
+    },
+    default: 'symbolPrefix',
+    onChange: () => game.modules.get(moduleId)?.api?.refreshCurrencySettings()
+  });
+
+  game.settings.register(moduleId, 'currencyLocale', {
+    name: 'Currency Number Format',
+    hint: 'Locale used for thousands and decimal separators (e.g., en-US for 1,000.50, de-DE for 1.000,50). Leave blank to use each user\'s Foundry language.',
     scope: 'world',
     config: true,
     type: String,
-    default: '$'
+    default: 'en-US',
+    onChange: () => game.modules.get(moduleId)?.api?.refreshCurrencySettings()
   });
 
   game.settings.register(moduleId, 'currencyDenominations', {
@@ -55,9 +129,49 @@ export function registerModuleSettings(moduleId) {
     default: DEFAULT_CURRENCY_DENOMINATIONS
   });
 
+  game.settings.register(moduleId, 'currencySystems', {
+    name: 'Additional Currency Systems',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => game.modules.get(moduleId)?.api?.refreshCurrencySettings()
+  });
+
+  game.settings.register(moduleId, 'coinMigrationBackup', {
+    name: 'Coin Migration Backup',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.register(moduleId, 'walletConversionBackup', {
+    name: 'Wallet Conversion Backup',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.register(moduleId, 'roundingPolicy', {
+    name: 'Rounding Policy',
+    hint: 'How prices, totals and sale payments are rounded to the smallest coin. Applies to every purchase, sale and wallet change.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      up: 'Round up',
+      nearest: 'Round to nearest',
+      bankers: 'Banker\'s rounding (halves to even)'
+    },
+    default: 'up',
+    onChange: () => game.modules.get(moduleId)?.api?.refreshCurrencySettings()
+  });
+
   game.settings.register(moduleId, 'optimizeOnConstruct', {
     name: 'Optimize On Construct',
-    hint: 'When enabled, wallets will automatically convert coins to the optimal combination (minimal number of coins).',
+    hint: 'When enabled, character sheet coins are converted to the optimal combination (minimal number of coins) after every transaction. When disabled, characters pay with the coins they hold and receive change in realistic denominations.',
     scope: 'world',
     config: true,
     type: Boolean,
@@ -73,6 +187,50 @@ export function registerModuleSettings(moduleId) {
     default: true
   });
 
+  game.settings.register(moduleId, 'encumbrancePolicy', {
+    name: 'Encumbrance Check on Purchases',
+    hint: 'What happens when a purchase would leave the buyer more encumbered than the Encumbrance Limit, going by their GURPS Basic Lift and carried weight.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      allow: 'Allow (don\'t check)',
+      warn: 'Warn the player and the GM',
+      block: 'Refuse the purchase'
+    },
+    default: 'warn'
+  });
+
+  game.settings.register(moduleId, 'encumbranceLimit', {
+    name: 'Encumbrance Limit',
+    hint: 'The heaviest encumbrance level a purchase may leave the buyer at before the encumbrance check warns or refuses.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      none: 'None (up to Basic Lift)',
+      light: 'Light (up to 2× Basic Lift)',
+      medium: 'Medium (up to 3× Basic Lift)',
+      heavy: 'Heavy (up to 6× Basic Lift)',
+      extraHeavy: 'Extra-Heavy (up to 10× Basic Lift)'
+    },
+    default: 'medium'
+  });
+
+  game.settings.register(moduleId, 'moneyChangerFee', {
+    name: 'Money Changer Fee',
+    hint: 'Percentage of the value exchanged that money changers keep as their fee. Vendors can set their own fee.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 5,
+    range: {
+      min: 0,
+      max: 100,
+      step: 1
+    }
+  });
+
   game.settings.register(moduleId, 'automaticSellPercentage', {
     name: 'Automatic Sell Percentage',
     hint: 'Percentage of item value when selling automatically (when GM approval is disabled).',
@@ -87,6 +245,34 @@ export function registerModuleSettings(moduleId) {
     }
   });
 
+  game.settings.register(moduleId, 'requestTimeoutSeconds', {
+    name: 'Request Timeout (seconds)',
+    hint: 'How long players wait for the GM to answer a purchase or sell request before it is marked as failed and the GMs\' approval is declined. Set to 0 to wait forever.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 120,
+    range: {
+      min: 0,
+      max: 600,
+      step: 10
+    }
+  });
+
+  game.settings.register(moduleId, 'ledgerMaxEntries', {
+    name: 'Transaction Ledger Size',
+    hint: 'How many transactions the ledger keeps. Once it is full, the oldest entries are removed as new ones are recorded.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 1000,
+    range: {
+      min: 100,
+      max: 10000,
+      step: 100
+    }
+  });
+
   game.settings.register(moduleId, 'debugMode', {
     name: 'Debug Mode',
     hint: 'Enables verbose console logging for debugging purposes.',
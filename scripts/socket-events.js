@@ -12,6 +12,9 @@ export const SOCKET_EVENTS = {
   // Vendor-related events
   VENDOR_UPDATED: 'vendorUpdated',
   VENDOR_DELETED: 'vendorDeleted',
+  VENDOR_WRITE_REQUEST: 'vendorWriteRequest',
+  VENDOR_WRITE_RESULT: 'vendorWriteResult',
+  STOCK_HOLDS_CHANGED: 'stockHoldsChanged',
   
   // Purchase-related events
   ITEM_PURCHASED: 'itemPurchased',
@@ -22,5 +25,20 @@ export const SOCKET_EVENTS = {
   // Sell-related events
   PLAYER_SELL_REQUEST: 'playerSellRequest',
   SELL_COMPLETED: 'sellCompleted',
-  SELL_FAILED: 'sellFailed'
+  SELL_FAILED: 'sellFailed',
+
+  // Money changer events
+  PLAYER_EXCHANGE_REQUEST: 'playerExchangeRequest',
+  EXCHANGE_COMPLETED: 'exchangeCompleted',
+  EXCHANGE_FAILED: 'exchangeFailed',
+
+  // Request lifecycle events
+  CANCEL_REQUEST: 'cancelRequest',
+  REQUEST_CANCELLED: 'requestCancelled',
+
+  // GM coordination events
+  APPROVAL_REQUESTED: 'approvalRequested',
+  APPROVAL_DECISION: 'approvalDecision',
+  APPROVAL_RESOLVED: 'approvalResolved',
+  REQUEST_RESOLVED: 'requestResolved'
 };
\ No newline at end of file
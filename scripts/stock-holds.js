@@ -0,0 +1,56 @@
+/**
+ * @file Stock holds
+ * @description Works out how much of a vendor's stock is held for purchases waiting for GM approval
+ */
+
+/**
+ * Gets the holds of a vendor that haven't expired
+ * @param {Object} vendor - Vendor data as returned by getVendor
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Object<string, {userId: string, items: Object<string, number>, expiresAt: number|null}>} Holds by request ID
+ */
+export function getActiveHolds(vendor, now = Date.now()) {
+  return Object.fromEntries(Object.entries(vendor?.holds || {})
+    .filter(([, hold]) => !hold?.expiresAt || hold.expiresAt > now));
+}
+
+/**
+ * Counts the units of an item held for pending purchases
+ * @param {Object} vendor - Vendor data
+ * @param {string} itemId - Vendor item ID
+ * @param {string|null} [exceptRequestId=null] - Request whose own hold is left out
+ * @returns {number} Units on hold
+ */
+export function getHeldQuantity(vendor, itemId, exceptRequestId = null) {
+  return Object.entries(getActiveHolds(vendor))
+    .filter(([requestId]) => requestId !== exceptRequestId)
+    .reduce((sum, [, hold]) => sum + (Number(hold.items?.[itemId]) || 0), 0);
+}
+
+/**
+ * Gets how many units of an item can still be bought
+ * @param {Object} vendor - Vendor data
+ * @param {Object} item - The vendor item
+ * @param {string|null} [exceptRequestId=null] - Request whose own hold counts as available
+ * @returns {number|undefined} Units not on hold, or undefined if the vendor has unlimited stock of the item
+ */
+export function getAvailableQuantity(vendor, item, exceptRequestId = null) {
+  if (item?.quantity === undefined) return undefined;
+  return Math.max(0, item.quantity - getHeldQuantity(vendor, item.id, exceptRequestId));
+}
+
+/**
+ * Adds to each of a vendor's items the units on hold and the units still available, for display
+ * @param {Object} vendor - Vendor data
+ * @returns {Object} A copy of the vendor whose items have onHold and available
+ */
+export function withStockHolds(vendor) {
+  return {
+    ...vendor,
+    items: (vendor.items || []).map(item => ({
+      ...item,
+      onHold: getHeldQuantity(vendor, item.id),
+      available: getAvailableQuantity(vendor, item)
+    }))
+  };
+}
@@ -0,0 +1,263 @@
+/**
+ * @file Transaction ledger for purchases, sales and wallet changes
+ * @description Keeps a durable, world-side record of the most recent money movements handled by the module
+ */
+
+import { BASE_CURRENCY_ID } from './constants.js';
+
+/**
+ * Ledger entry types
+ * @readonly
+ * @enum {string}
+ */
+export const LEDGER_ENTRY_TYPES = {
+  PURCHASE: 'purchase',
+  SALE: 'sale',
+  WALLET_ADJUSTMENT: 'walletAdjustment',
+  EXCHANGE: 'exchange'
+};
+
+/**
+ * @typedef {Object} LedgerLineItem
+ * @property {string} id - Vendor item ID or carried equipment key
+ * @property {string} name - Item name at the time of the transaction
+ * @property {string} [uuid] - Source item UUID
+ * @property {number} quantity - Number of units moved
+ * @property {number} unitPrice - Price of a single unit
+ * @property {number} total - unitPrice × quantity
+ */
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {string} id - Unique entry ID
+ * @property {string} type - One of {@link LEDGER_ENTRY_TYPES}
+ * @property {string|null} actorId - Actor whose wallet changed
+ * @property {string|null} actorName - Actor name at the time of the transaction
+ * @property {string|null} userId - User who requested the transaction
+ * @property {string|null} userName - User name at the time of the transaction
+ * @property {string|null} vendorId - Vendor involved, if any
+ * @property {string|null} vendorName - Vendor name at the time of the transaction
+ * @property {Array<LedgerLineItem>} items - Line items
+ * @property {number} total - Amount that left (negative) or entered (positive) the wallet
+ * @property {number|null} balanceBefore - Wallet balance before the transaction
+ * @property {number|null} balanceAfter - Wallet balance after the transaction
+ * @property {string} currencyId - Currency of the total and balances
+ * @property {{id: string, name: string}|null} approvedBy - GM who approved, null when automatic
+ * @property {number} timestamp - Real time in milliseconds since epoch
+ * @property {number} worldTime - Value of game.time.worldTime when recorded
+ * @property {Object} details - Extra type-specific data (e.g. sell percentage)
+ */
+
+/**
+ * @class TransactionLedger
+ * @description Stores ledger entries in a world setting and answers queries about them
+ */
+export default class TransactionLedger {
+  /**
+   * @param {string} moduleId - The module identifier
+   */
+  constructor(moduleId) {
+    this.moduleId = moduleId;
+
+    /** @type {Promise<void>} Serializes writes so concurrent transactions don't overwrite each other */
+    this._writeQueue = Promise.resolve();
+
+    /** @type {Set<string>|null} Request IDs of recorded transactions; built on first use */
+    this._requestIds = null;
+
+    /** @type {string|null} ID of the newest entry already in _requestIds */
+    this._lastIndexedId = null;
+  }
+
+  /**
+   * Gets the most entries the ledger keeps
+   * @returns {number} Maximum number of entries
+   * @private
+   */
+  _getMaxEntries() {
+    return Math.max(1, Number(game.settings.get(this.moduleId, 'ledgerMaxEntries')) || 1000);
+  }
+
+  /**
+   * Adds the request IDs of entries newer than the last indexed one. Entries are only ever appended,
+   * so this walks back from the end until it reaches an entry it has seen.
+   * @param {Array<LedgerEntry>} entries - Stored entries, oldest first
+   * @returns {void}
+   * @private
+   */
+  _indexRequests(entries) {
+    if (!this._requestIds || entries.length === 0) {
+      this._requestIds = new Set();
+      this._lastIndexedId = null;
+    }
+
+    for (let i = entries.length - 1; i >= 0 && entries[i].id !== this._lastIndexedId; i--) {
+      const requestId = entries[i].details?.requestId;
+      if (requestId) this._requestIds.add(requestId);
+    }
+    this._lastIndexedId = entries.at(-1)?.id ?? null;
+  }
+
+  /**
+   * Keeps the request index up to date when the ledger changes on any client
+   * @param {Array<LedgerEntry>} entries - The stored entries
+   * @returns {void}
+   */
+  onEntriesChanged(entries) {
+    if (this._requestIds) this._indexRequests(Array.isArray(entries) ? entries : []);
+  }
+
+  /**
+   * Checks whether a transaction was already recorded for a player request
+   * @param {string} requestId - Request ID
+   * @returns {boolean} True if the ledger has an entry for the request
+   */
+  hasRequest(requestId) {
+    if (!this._requestIds) this._indexRequests(this._getAllEntries());
+    return this._requestIds.has(requestId);
+  }
+
+  /**
+   * Gets every stored entry, oldest first
+   * @returns {Array<LedgerEntry>} Stored ledger entries
+   * @private
+   */
+  _getAllEntries() {
+    try {
+      const entries = game.settings.get(this.moduleId, 'transactionLedger');
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.error('Error reading transaction ledger:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Builds ledger line items from transaction items
+   * @param {Array<Object>} items - Items with id, name, uuid, price and quantity
+   * @returns {Array<LedgerLineItem>} Normalized line items
+   */
+  static buildLineItems(items = []) {
+    return items.map(item => {
+      const quantity = Number(item.quantity) || 0;
+      const unitPrice = Number(item.price) || 0;
+      return {
+        id: item.id ?? null,
+        name: item.name ?? '',
+        uuid: item.uuid ?? null,
+        quantity,
+        unitPrice,
+        total: unitPrice * quantity
+      };
+    });
+  }
+
+  /**
+   * Records a new ledger entry. Only GMs can write to the ledger.
+   * @param {Object} data - Entry data; see {@link LedgerEntry}
+   * @returns {Promise<LedgerEntry|null>} The stored entry or null if it could not be recorded
+   */
+  async record(data) {
+    if (!game.user.isGM) {
+      console.warn('Only Game Masters can write to the transaction ledger.');
+      return null;
+    }
+
+    const actor = data.actorId ? game.actors.get(data.actorId) : null;
+    const user = data.userId ? game.users.get(data.userId) : null;
+    const vendor = data.vendorId
+      ? game.modules.get(this.moduleId)?.api?.getVendor(data.vendorId)
+      : null;
+
+    const entry = {
+      id: foundry.utils.randomID(),
+      type: data.type,
+      actorId: data.actorId ?? null,
+      actorName: data.actorName ?? actor?.name ?? null,
+      userId: data.userId ?? null,
+      userName: data.userName ?? user?.name ?? null,
+      vendorId: data.vendorId ?? null,
+      vendorName: data.vendorName ?? vendor?.name ?? null,
+      items: data.items ?? [],
+      total: Number(data.total) || 0,
+      balanceBefore: Number.isFinite(data.balanceBefore) ? data.balanceBefore : null,
+      balanceAfter: Number.isFinite(data.balanceAfter) ? data.balanceAfter : null,
+      currencyId: data.currencyId || BASE_CURRENCY_ID,
+      approvedBy: data.approvedBy ? { id: data.approvedBy.id, name: data.approvedBy.name } : null,
+      timestamp: Date.now(),
+      worldTime: game.time?.worldTime ?? 0,
+      details: data.details ?? {}
+    };
+
+    const write = this._writeQueue.then(async () => {
+      // The oldest entries make room once the ledger is full
+      const entries = [...this._getAllEntries(), entry].slice(-this._getMaxEntries());
+      await game.settings.set(this.moduleId, 'transactionLedger', entries);
+      if (entry.details.requestId) this._requestIds?.add(entry.details.requestId);
+    });
+    this._writeQueue = write.catch(() => {});
+
+    try {
+      await write;
+      return entry;
+    } catch (error) {
+      console.error('Error recording ledger entry:', error, entry);
+      return null;
+    }
+  }
+
+  /**
+   * Queries ledger entries, newest first
+   * @param {Object} [filter={}] - Query filter
+   * @param {string} [filter.actorId] - Only entries for this actor
+   * @param {string} [filter.userId] - Only entries requested by this user
+   * @param {string} [filter.vendorId] - Only entries involving this vendor
+   * @param {string} [filter.type] - Only entries of this type
+   * @param {string} [filter.currencyId] - Only entries in this currency
+   * @param {number} [filter.since] - Only entries recorded at or after this real timestamp (ms)
+   * @param {number} [filter.until] - Only entries recorded at or before this real timestamp (ms)
+   * @param {number} [filter.limit] - Maximum number of entries to return
+   * @returns {Array<LedgerEntry>} Matching entries
+   */
+  getEntries(filter = {}) {
+    const { actorId, userId, vendorId, type, currencyId, since, until, limit } = filter;
+
+    const matches = this._getAllEntries().filter(entry =>
+      (actorId === undefined || entry.actorId === actorId) &&
+      (userId === undefined || entry.userId === userId) &&
+      (vendorId === undefined || entry.vendorId === vendorId) &&
+      (type === undefined || entry.type === type) &&
+      (currencyId === undefined || (entry.currencyId || BASE_CURRENCY_ID) === currencyId) &&
+      (since === undefined || entry.timestamp >= since) &&
+      (until === undefined || entry.timestamp <= until)
+    );
+
+    matches.reverse();
+    return Number.isInteger(limit) && limit > 0 ? matches.slice(0, limit) : matches;
+  }
+
+  /**
+   * Removes every entry from the ledger (GM only)
+   * @returns {Promise<boolean>} True if the ledger was cleared
+   */
+  async clear() {
+    if (!game.user.isGM) {
+      ui.notifications.error('Only Game Masters can clear the transaction ledger!');
+      return false;
+    }
+
+    const write = this._writeQueue.then(async () => {
+      await game.settings.set(this.moduleId, 'transactionLedger', []);
+      this._requestIds = null;
+    });
+    this._writeQueue = write.catch(() => {});
+
+    try {
+      await write;
+      return true;
+    } catch (error) {
+      console.error('Error clearing transaction ledger:', error);
+      return false;
+    }
+  }
+}
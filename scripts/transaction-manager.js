@@ -3,11 +3,16 @@
  * @description Manages all transaction-related operations including purchases, sales, and item transfers
  */
 
-import { findItemInCarried, getItemFromPath } from './utils.js';
+import { findItemInCarried, findItemPathByUuid, getItemFromPath } from './utils.js';
 import { deleteFoundryItem } from './utils.js';
 import { SOCKET_EVENTS } from './socket-events.js';
 import PurchaseApprovalDialog from './purchase-approval-dialog-app.js';
 import SellApprovalDialog from './sell-approval-dialog-app.js';
+import TransactionLedger, { LEDGER_ENTRY_TYPES } from './transaction-ledger.js';
+import TransactionRollback from './transaction-rollback.js';
+import GMCoordinator, { APPROVAL_KINDS } from './gm-coordinator.js';
+import { ENCUMBRANCE_POLICIES, checkEncumbrance, getItemsWeight } from './encumbrance.js';
+import { getAvailableQuantity } from './stock-holds.js';
 
 /**
  * @class TransactionManager
@@ -19,37 +24,65 @@ export default class TransactionManager {
    * @param {string} socketId - The socket identifier for communication
    * @param {CurrencyManager} currencyManager - The currency manager instance
    * @param {VendorDataManager} vendorDataManager - The vendor data manager instance
+   * @param {TransactionLedger} transactionLedger - The transaction ledger instance
+   * @param {GMCoordinator} gmCoordinator - Coordinator that shares approval dialogs between GMs
    */
-  constructor(moduleId, socketId, currencyManager, vendorDataManager) {
+  constructor(moduleId, socketId, currencyManager, vendorDataManager, transactionLedger, gmCoordinator) {
     this.moduleId = moduleId;
     this.socketId = socketId;
     this.currencyManager = currencyManager;
     this.vendorDataManager = vendorDataManager;
+    this.transactionLedger = transactionLedger;
+    this.gmCoordinator = gmCoordinator;
   }
 
   /**
-   * Sends a purchase request to the GM via socket (for players)
+   * Records a completed transaction in the ledger without letting ledger errors break the transaction
+   * @param {Object} data - Ledger entry data
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordLedgerEntry(data) {
+    if (!this.transactionLedger) return;
+    try {
+      await this.transactionLedger.record(data);
+    } catch (error) {
+      console.error('Failed to record ledger entry:', error);
+    }
+  }
+
+  /**
+   * Sends a purchase request to the GM via socket, or queues it if no GM is online (for players)
    * @param {Actor} targetActor - The target actor
    * @param {string} vendorId - The vendor ID
    * @param {Array} selectedItems - Selected items data
    * @param {string} userId - The user ID
+   * @param {Object|null} [payment=null] - Payment chosen at checkout: { currencyId, tenderedCoins, allowOverpay }
    * @returns {Promise<void>}
    */
-  async sendPurchaseRequestToGM(targetActor, vendorId, selectedItems, userId) {
+  async sendPurchaseRequestToGM(targetActor, vendorId, selectedItems, userId, payment = null) {
     const api = game.modules.get(this.moduleId)?.api;
     if (api?.system.getDebugMode()) {
       console.log("💰 PLAYER: Sending purchase request to GM...");
       console.log("💰 PLAYER: Emitting socket event...");
     }
-    game.socket.emit(this.socketId, {
+    const request = {
       type: SOCKET_EVENTS.PLAYER_PURCHASE_REQUEST,
+      requestId: GMCoordinator.generateRequestId(),
       userId: userId,
       actorId: targetActor.id,
       vendorId: vendorId,
-      selectedItems: selectedItems
-    });
+      selectedItems: selectedItems,
+      payment: payment
+    };
+    const status = await api.system.requestQueue.submit(request);
     
-    ui.notifications.info('Purchase request sent to GM for processing...');
+    if (status === 'queued') {
+      ui.notifications.info('No GM is online. Your purchase request has been queued and will be reviewed when a GM connects.');
+    } else {
+      api.system.pendingRequests.track(request);
+      ui.notifications.info('Purchase request sent to GM for processing...');
+    }
   }
 
   /**
@@ -57,255 +90,655 @@ export default class TransactionManager {
    * @param {Actor} targetActor - The target actor
    * @param {string} vendorId - The vendor ID
    * @param {Array} selectedItems - Selected items data
+   * @param {Object|null} [payment=null] - Payment chosen at checkout: { currencyId, tenderedCoins, allowOverpay }
    * @returns {Promise<void>}
    */
-  async processDirectPurchase(targetActor, vendorId, selectedItems) {
+  async processDirectPurchase(targetActor, vendorId, selectedItems, payment = null) {
     const api = game.modules.get(this.moduleId)?.api;
     if (api?.system.getDebugMode()) {
       console.log("💰 GM: Processing direct purchase...");
     }
     
     const vendor = this.vendorDataManager.getVendor(vendorId);
-    const itemsToProcess = [];
-    
-    // Validate stock for each item
-    for (const selectedItem of selectedItems) {
-      const vendorItem = vendor.items.find(item => item.id === selectedItem.id);
-      const stock = vendorItem?.quantity;
-
-      if (!vendorItem || (stock !== undefined && selectedItem.quantity > stock)) {
-        ui.notifications.warn(`${selectedItem.name || 'Item'} is out of stock.`);
-        continue;
-      }
+    if (!vendor) {
+      ui.notifications.error('Vendor not found.');
+      return;
+    }
 
-      itemsToProcess.push({ vendorItem, purchaseQuantity: selectedItem.quantity, itemId: vendorItem.id });
+    // Validate stock for each item
+    const { validItems, invalidItems } = this._validatePurchaseItems(vendor, selectedItems);
+    if (invalidItems.length > 0) {
+      ui.notifications.warn(`${invalidItems.join(', ')} ${invalidItems.length > 1 ? 'are' : 'is'} out of stock. Nothing was purchased.`);
+      return;
     }
 
-    if (itemsToProcess.length === 0) return;
+    if (validItems.length === 0) return;
 
-    // Calculate total cost
-    const totalCostRequired = itemsToProcess.reduce((sum, { vendorItem, purchaseQuantity }) =>
-      sum + (vendorItem.price * purchaseQuantity), 0);
-    const roundedTotalCostRequired = Math.ceil(totalCostRequired);
+    // Calculate total cost in the currency paid with
+    const currency = this._getPaymentCurrency(vendorId, payment);
+    if (!currency) {
+      ui.notifications.warn(`${vendor.name} doesn't accept that currency.`);
+      return;
+    }
+    const currencyId = currency.currencyId;
+    const totalCostMinor = this._priceInCurrency(this.currencyManager.totalMinor(validItems), currency);
 
     // Check ACTOR's wallet (not user's wallet)
-    const currentWallet = await this.currencyManager.getActorWallet(targetActor.id);
-    if (currentWallet < roundedTotalCostRequired) {
-      ui.notifications.warn(`${targetActor.name} doesn't have enough coins! Needs ${this.currencyManager.formatCurrency(roundedTotalCostRequired)} but only has ${this.currencyManager.formatCurrency(currentWallet)}.`);
+    const currentWalletMinor = await this.currencyManager.getActorWalletMinor(targetActor.id, currencyId);
+    if (currentWalletMinor < totalCostMinor) {
+      ui.notifications.warn(`${targetActor.name} doesn't have enough coins! Needs ${this.currencyManager.formatMinor(totalCostMinor, currencyId)} but only has ${this.currencyManager.formatMinor(currentWalletMinor, currencyId)}.`);
       return;
     }
 
-    // Process each item
-    let totalItemsProcessed = 0;
-    let totalCostProcessed = 0;
+    const encumbrance = this.checkPurchaseEncumbrance(targetActor, validItems);
+    if (encumbrance?.blocked) {
+      ui.notifications.warn(`Purchase refused: ${encumbrance.message}`);
+      return;
+    }
 
     if (api?.system.getDebugMode()) {
       console.log("💰 GM: Processing selected items...");
     }
-    for (const { vendorItem, purchaseQuantity, itemId } of itemsToProcess) {
-      if (api?.system.getDebugMode()) {
-        console.log("💰 GM: Processing vendor item:", vendorItem.name, "Quantity:", purchaseQuantity);
-      }
-      const success = await this.addItemToActor(targetActor, vendorItem.uuid, purchaseQuantity);
-      
-      if (!success) {
-        ui.notifications.error(`Failed to add ${vendorItem.name} to ${targetActor.name}.`);
-        continue;
-      }
 
-      totalItemsProcessed += purchaseQuantity;
-      totalCostProcessed += vendorItem.price * purchaseQuantity;
-      
-      // Remove purchased quantity from vendor
-      await this.vendorDataManager.updateItemQuantityInVendor(vendorId, vendorItem.id, -purchaseQuantity);
+    let result;
+    try {
+      result = await this._executePurchaseTransactions(targetActor, vendorId, validItems, totalCostMinor, { ...payment, currencyId });
+    } catch (error) {
+      console.error(error);
+      ui.notifications.error(`Purchase failed: ${error.message} No changes were made.`);
+      return;
     }
 
-    // Round up the final cost processed
-    totalCostProcessed = Math.ceil(totalCostProcessed);
+    const { itemsProcessed, costProcessed, paidProcessed, processedItems, walletBefore, walletAfter, coinPayment } = result;
 
-    // Deduct money from ACTOR's wallet (not user's wallet)
-    const success = await this.currencyManager.setActorWallet(targetActor.id, currentWallet - totalCostProcessed);
-    if (!success) {
-      ui.notifications.error(`Failed to deduct money from ${targetActor.name}'s wallet.`);
-      return;
+    await this._recordLedgerEntry({
+      type: LEDGER_ENTRY_TYPES.PURCHASE,
+      actorId: targetActor.id,
+      userId: game.user.id,
+      vendorId,
+      items: TransactionLedger.buildLineItems(processedItems),
+      total: -paidProcessed,
+      balanceBefore: walletBefore,
+      balanceAfter: walletAfter,
+      currencyId,
+      approvedBy: game.user,
+      details: this._describeCoinPayment(coinPayment)
+    });
+
+    ui.notifications.info(`${targetActor.name} purchased ${itemsProcessed} items for ${this.currencyManager.formatCurrency(costProcessed, currencyId)}!${this._formatChangeMessage(coinPayment)}`);
+    if (encumbrance?.exceedsLimit) ui.notifications.warn(encumbrance.message);
+  }
+
+  /**
+   * Checks that a socket request really comes from the user it names and that this user owns the actor
+   * @param {string} requestType - Request label used in logs (e.g. 'purchase', 'sell')
+   * @param {string} userId - User ID claimed by the request
+   * @param {Actor|null} actor - Actor the request acts on
+   * @param {string} [senderId] - User ID of the socket sender, as reported by Foundry
+   * @returns {boolean} True if the request may be processed
+   * @private
+   */
+  _verifyRequester(requestType, userId, actor, senderId) {
+    const user = game.users.get(userId);
+    let reason = null;
+
+    if (!user) {
+      reason = `unknown user ${userId}`;
+    } else if (senderId && senderId !== userId) {
+      reason = `sent by user ${senderId} on behalf of ${user.name}`;
+    } else if (actor && !actor.testUserPermission(user, 'OWNER')) {
+      reason = `${user.name} does not own ${actor.name}`;
     }
 
-    ui.notifications.info(`${targetActor.name} purchased ${totalItemsProcessed} items for ${this.currencyManager.formatCurrency(totalCostProcessed)}!`);
+    if (reason) {
+      console.warn(`Rejected ${requestType} request: ${reason}.`, { userId, senderId, actorId: actor?.id });
+      return false;
+    }
+    return true;
   }
 
   /**
    * Processes a player's purchase request (GM only)
    * @param {Object} data - Purchase request data containing userId, actorId, vendorId, and selectedItems
-   * @returns {Promise<void>}
+   * @param {string} [senderId] - User ID of the socket sender
+   * @returns {Promise<{success: boolean, message: string}>} The result sent to the player
    */
-  async processPlayerPurchaseRequest(data) {
-    const { userId, actorId, vendorId, selectedItems } = data;
+  async processPlayerPurchaseRequest(data, senderId) {
+    const { userId, actorId, vendorId, selectedItems, requestId, payment } = data;
+    const respond = (success, message, extra = {}) => this.emitPurchaseResult(userId, success, message, { requestId, ...extra });
     const actor = game.actors.get(actorId);
     const vendor = this.vendorDataManager.getVendor(vendorId);
+
+    if (!this._verifyRequester('purchase', userId, actor, senderId)) {
+      return respond(false, "Purchase rejected: you don't own that character.");
+    }
     
-    if (!actor || !vendor) {
-      if (!actor) {
-        this.emitPurchaseResult(userId, false, "Character not found by GM. Please ensure your character exists and has proper permissions.");
-      } else {
-        this.emitPurchaseResult(userId, false, "Vendor not found by GM. The vendor may have been deleted.");
-      }
-      return;
+    if (!actor) {
+      return respond(false, "Character not found by GM. Please ensure your character exists and has proper permissions.");
+    }
+    if (!vendor) {
+      return respond(false, "Vendor not found by GM. The vendor may have been deleted.");
     }
 
-    // Validate items and check stock
-    const { validItems, invalidItems } = this._validatePurchaseItems(vendor, selectedItems);
+    // Validate items and check stock; units already held for this request (e.g. before a GM failover) count as available
+    const { validItems, invalidItems } = this._validatePurchaseItems(vendor, selectedItems, requestId);
     
-    // Notify about invalid items
-    for (const itemName of invalidItems) {
-      this.emitPurchaseResult(userId, false, `${itemName} is out of stock.`);
+    // The purchase is all-or-nothing, so any unavailable item fails the whole request
+    if (invalidItems.length > 0) {
+      return respond(false, `${invalidItems.join(', ')} ${invalidItems.length > 1 ? 'are' : 'is'} out of stock. Nothing was purchased.`);
     }
     
-    if (validItems.length === 0) return;
+    if (validItems.length === 0) {
+      return respond(false, 'No items were selected.');
+    }
 
-    // Calculate total cost
-    const totalCost = this._calculatePurchaseCost(validItems);
+    // Calculate total cost in the currency paid with
+    const currency = this._getPaymentCurrency(vendorId, payment);
+    if (!currency) {
+      return respond(false, `${vendor.name} doesn't accept that currency.`);
+    }
+    const currencyId = currency.currencyId;
+    const priceMinor = this.currencyManager.totalMinor(validItems);
+    const totalCostMinor = this._priceInCurrency(priceMinor, currency);
     
     // Check ACTOR's wallet (not user's wallet)
-    const currentWallet = await this.currencyManager.getActorWallet(actorId);
+    const currentWalletMinor = await this.currencyManager.getActorWalletMinor(actorId, currencyId);
 
-    if (currentWallet < totalCost) {
-      this.emitPurchaseResult(userId, false, `${actor.name} doesn't have enough coins! Needs ${this.currencyManager.formatCurrency(totalCost)} but only has ${this.currencyManager.formatCurrency(currentWallet)}.`);
-      return;
+    if (currentWalletMinor < totalCostMinor) {
+      return respond(false, `${actor.name} doesn't have enough coins! Needs ${this.currencyManager.formatMinor(totalCostMinor, currencyId)} but only has ${this.currencyManager.formatMinor(currentWalletMinor, currencyId)}.`);
     }
 
-    // Handle GM approval if required
-    const approved = await this._handleGmPurchaseApproval(userId, actor, validItems, totalCost);
-    if (!approved) {
-      this.emitPurchaseResult(userId, false, 'Purchase declined by GM.');
-      return;
+    const encumbrance = this.checkPurchaseEncumbrance(actor, validItems);
+    if (encumbrance?.blocked) {
+      return respond(false, `Purchase refused: ${encumbrance.message}`);
     }
 
+    // Hold the stock while the GMs decide, so it can't be promised to another player in the meantime.
+    // The hold lapses when the approval is declined for taking too long.
+    const expiresAt = this.gmCoordinator?.getApprovalDeadline() ?? null;
+    const held = await this._holdPurchaseStock(vendorId, requestId, userId, validItems, expiresAt);
+    if (held === false) {
+      return respond(false, `Someone else is already buying ${validItems.length > 1 ? 'some of these items' : validItems[0].name}. Nothing was purchased.`);
+    }
+
+    let approvedBy;
+    let result;
     try {
-      const { itemsProcessed, costProcessed } = await this._executePurchaseTransactions(actor, vendorId, validItems);
-      
-      if (itemsProcessed === 0) {
-        this.emitPurchaseResult(userId, false, "No items were purchased.");
-        return;
+      // Handle GM approval if required; the GM sees prices in the main currency
+      const totalCost = this.currencyManager.fromMinor(priceMinor);
+      const approval = await this._handleGmPurchaseApproval(userId, actor, validItems, totalCost, requestId, encumbrance, expiresAt);
+      if (!approval.approved) {
+        return respond(false, 'Purchase declined by GM.');
       }
-
-      // Deduct money from ACTOR's wallet (not user's wallet)
-      const success = await this.currencyManager.setActorWallet(actorId, currentWallet - costProcessed);
-      if (!success) {
-        this.emitPurchaseResult(userId, false, `Failed to deduct money from ${actor.name}'s wallet.`);
-        return;
+      if (held && expiresAt && Date.now() >= expiresAt) {
+        return respond(false, 'The purchase was approved too late; its stock is no longer held. Nothing was purchased.');
       }
+      approvedBy = approval.approvedBy;
 
-      this.emitPurchaseResult(userId, true, `${actor.name} purchased ${itemsProcessed} items for ${this.currencyManager.formatCurrency(costProcessed)}!`, {
-        itemCount: itemsProcessed,
-        totalCost: costProcessed,
-        newWallet: currentWallet - costProcessed
-      });
+      // The vendor may have changed while the request waited for approval, so the purchase runs on its current
+      // items; a different price than the one approved fails the request
+      const recheck = this._validatePurchaseItems(this.vendorDataManager.getVendor(vendorId) ?? { items: [] }, selectedItems, requestId);
+      if (recheck.invalidItems.length > 0) {
+        return respond(false, `${recheck.invalidItems.join(', ')} sold out while waiting for approval. Nothing was purchased.`);
+      }
+      const currentCurrency = this._getPaymentCurrency(vendorId, payment);
+      if (!currentCurrency) {
+        return respond(false, `${vendor.name} stopped accepting that currency while waiting for approval. Nothing was purchased.`);
+      }
+      const currentPriceMinor = this.currencyManager.totalMinor(recheck.validItems);
+      if (currentPriceMinor !== priceMinor || this._priceInCurrency(currentPriceMinor, currentCurrency) !== totalCostMinor) {
+        return respond(false, `${vendor.name} changed its prices while waiting for approval. Nothing was purchased.`);
+      }
 
+      result = await this._executePurchaseTransactions(actor, vendorId, recheck.validItems, totalCostMinor, { ...payment, currencyId }, requestId);
     } catch (error) {
       console.error(error);
-      this.emitPurchaseResult(userId, false, `An error occurred while processing the purchase: ${error.message}`);
+      return respond(false, `Purchase failed: ${error.message} No changes were made.`);
+    } finally {
+      if (held) await this.vendorDataManager.releaseHolds({ vendorId, requestId });
     }
+
+    const { itemsProcessed, costProcessed, paidProcessed, processedItems, walletBefore, walletAfter, coinPayment } = result;
+
+    await this._recordLedgerEntry({
+      type: LEDGER_ENTRY_TYPES.PURCHASE,
+      actorId,
+      userId,
+      vendorId,
+      items: TransactionLedger.buildLineItems(processedItems),
+      total: -paidProcessed,
+      balanceBefore: walletBefore,
+      balanceAfter: walletAfter,
+      currencyId,
+      approvedBy,
+      details: { requestId: requestId ?? null, ...this._describeCoinPayment(coinPayment) }
+    });
+
+    const encumbranceWarning = encumbrance?.exceedsLimit ? ` ${encumbrance.message}` : '';
+    return respond(true, `${actor.name} purchased ${itemsProcessed} items for ${this.currencyManager.formatCurrency(costProcessed, currencyId)}!${this._formatChangeMessage(coinPayment)}${encumbranceWarning}`, {
+      itemCount: itemsProcessed,
+      totalCost: costProcessed,
+      newWallet: walletAfter,
+      currencyId
+    });
   }
 
   /**
-   * Validates purchase items and checks stock availability
+   * Checks a player request against current stock, inventory and balances without changing anything.
+   * Used to show GMs what would happen before they run a queued request.
+   * @param {Object} data - Purchase or sell request data
+   * @returns {Promise<{total: number, problems: Array<string>}>} Current total and every problem found
+   */
+  async previewPlayerRequest(data) {
+    const { userId, actorId, vendorId, selectedItems } = data;
+    const actor = game.actors.get(actorId);
+    const problems = [];
+
+    const user = game.users.get(userId);
+    if (!user || (actor && !actor.testUserPermission(user, 'OWNER'))) {
+      problems.push('The requesting user does not own this character.');
+    }
+    if (!actor) {
+      problems.push('Character not found.');
+      return { total: 0, problems };
+    }
+
+    if (data.type === SOCKET_EVENTS.PLAYER_SELL_REQUEST) {
+      const { sellItems, error } = this._resolveSellItems(actor, selectedItems);
+      if (error) problems.push(error);
+      return { total: this.currencyManager.fromMinor(this.currencyManager.totalMinor(sellItems)), problems };
+    }
+
+    const vendor = this.vendorDataManager.getVendor(vendorId);
+    if (!vendor) {
+      problems.push('Vendor not found.');
+      return { total: 0, problems };
+    }
+
+    const { validItems, invalidItems } = this._validatePurchaseItems(vendor, selectedItems);
+    if (invalidItems.length > 0) {
+      problems.push(`Out of stock: ${invalidItems.join(', ')}.`);
+    }
+
+    const priceMinor = this.currencyManager.totalMinor(validItems);
+    const currency = this._getPaymentCurrency(vendorId, data.payment);
+    if (!currency) {
+      problems.push(`${vendor.name} doesn't accept that currency.`);
+      return { total: this.currencyManager.fromMinor(priceMinor), problems };
+    }
+
+    const totalMinor = this._priceInCurrency(priceMinor, currency);
+    const walletMinor = await this.currencyManager.getActorWalletMinor(actorId, currency.currencyId);
+    if (walletMinor < totalMinor) {
+      problems.push(`${actor.name} only has ${this.currencyManager.formatMinor(walletMinor, currency.currencyId)} of the ${this.currencyManager.formatMinor(totalMinor, currency.currencyId)} needed.`);
+    }
+
+    const encumbrance = this.checkPurchaseEncumbrance(actor, validItems);
+    if (encumbrance?.exceedsLimit) {
+      problems.push(encumbrance.blocked ? `Refused: ${encumbrance.message}` : encumbrance.message);
+    }
+
+    return { total: this.currencyManager.fromMinor(priceMinor), problems };
+  }
+
+  /**
+   * Finds the currency a purchase is paid in, if the vendor accepts it
+   * @param {string} vendorId - Vendor ID
+   * @param {Object|null} payment - Payment data from the request; payment.currencyId picks the currency
+   * @returns {{currencyId: string, rate: number}|null} The currency and the vendor's rate for it, or null if
+   *   the vendor doesn't accept it
+   * @private
+   */
+  _getPaymentCurrency(vendorId, payment) {
+    const accepted = this.vendorDataManager.getAcceptedCurrencies(vendorId);
+    const requested = payment?.currencyId;
+    if (!requested) return accepted.find(currency => this.currencyManager.isBaseCurrency(currency.currencyId)) ?? accepted[0] ?? null;
+    return accepted.find(currency => currency.currencyId === requested) ?? null;
+  }
+
+  /**
+   * Converts a price in the main currency into the currency paid with, at the vendor's rate
+   * @param {number} priceMinor - Price in main currency minor units
+   * @param {{currencyId: string, rate: number}} currency - Currency from _getPaymentCurrency
+   * @returns {number} Price in minor units of the currency paid with
+   * @private
+   */
+  _priceInCurrency(priceMinor, currency) {
+    if (this.currencyManager.isBaseCurrency(currency.currencyId)) return priceMinor;
+    return this.currencyManager.convertMinor(priceMinor, null, currency.currencyId, { toRate: currency.rate });
+  }
+
+  /**
+   * Checks the buyer's encumbrance after a purchase against the encumbrance policy and limit settings
+   * @param {Actor} actor - The buyer
+   * @param {Array<{weight?: number, quantity?: number}>} items - Items bought, with their per-unit weight
+   * @returns {Object|null} The result of checkEncumbrance plus blocked (true if the policy refuses the purchase);
+   *   null when the policy is allow or the character has no Basic Lift
+   */
+  checkPurchaseEncumbrance(actor, items) {
+    const api = game.modules.get(this.moduleId)?.api;
+    const policy = api?.system.getEncumbrancePolicy() ?? ENCUMBRANCE_POLICIES.ALLOW;
+    if (policy === ENCUMBRANCE_POLICIES.ALLOW) return null;
+
+    const check = checkEncumbrance(actor, getItemsWeight(items), api.system.getEncumbranceLimit());
+    if (!check) return null;
+    return { ...check, blocked: check.exceedsLimit && policy === ENCUMBRANCE_POLICIES.BLOCK };
+  }
+
+  /**
+   * Validates purchase items and checks stock availability.
+   * Name, price and UUID are always taken from the stored vendor entry; the request only picks items and quantities.
    * @param {Object} vendor - The vendor object
    * @param {Array} selectedItems - Array of selected items
+   * @param {string|null} [requestId=null] - Request of the purchase; stock held for other requests is not available
    * @returns {Object} Object with validItems and invalidItems arrays
    * @private
    */
-  _validatePurchaseItems(vendor, selectedItems) {
+  _validatePurchaseItems(vendor, selectedItems, requestId = null) {
     const validItems = [];
     const invalidItems = [];
-    
-    for (const selectedItem of selectedItems) {
-      selectedItem.quantity = Number(selectedItem.quantity);
-      if (!Number.isFinite(selectedItem.quantity) || selectedItem.quantity < 1) {
-        selectedItem.quantity = 1;
+
+    // Merge repeated entries so the stock check sees the full requested quantity
+    const requested = new Map();
+    for (const selectedItem of Array.isArray(selectedItems) ? selectedItems : []) {
+      const quantity = Number(selectedItem?.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        console.warn('Rejected purchase item with invalid quantity:', selectedItem);
+        invalidItems.push(selectedItem?.name || 'An item');
+        continue;
       }
-      const vendorItem = vendor.items.find(item => item.id === selectedItem.id);
-      const stock = vendorItem?.quantity;
-      if (!vendorItem || (stock !== undefined && stock < selectedItem.quantity)) {
-        invalidItems.push(selectedItem.name);
+      const entry = requested.get(selectedItem.id);
+      if (entry) entry.quantity += quantity;
+      else requested.set(selectedItem.id, { selectedItem, quantity });
+    }
+
+    for (const [id, { selectedItem, quantity }] of requested) {
+      const vendorItem = vendor.items.find(item => item.id === id);
+      const stock = getAvailableQuantity(vendor, vendorItem, requestId);
+      if (!vendorItem || (stock !== undefined && stock < quantity)) {
+        invalidItems.push(vendorItem?.name || selectedItem.name || 'An item');
         continue;
       }
-      validItems.push(selectedItem);
+
+      const price = Number(vendorItem.price) || 0;
+      if (selectedItem.price !== undefined && Number(selectedItem.price) !== price) {
+        console.warn(`Purchase request priced ${vendorItem.name} at ${selectedItem.price}; using vendor price ${price}.`);
+      }
+
+      validItems.push({
+        id: vendorItem.id,
+        name: vendorItem.name,
+        uuid: vendorItem.uuid,
+        price,
+        weight: Number(vendorItem.weight) || 0,
+        quantity
+      });
     }
     
     return { validItems, invalidItems };
   }
 
-  /**
-   * Calculates total cost of items to purchase
-   * @param {Array} items - Array of items with price and quantity
-   * @returns {number} Total cost
-   * @private
-   */
-  _calculatePurchaseCost(items) {
-    return items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  }
-
   /**
    * Handles GM approval for purchase if required
    * @param {string} userId - User ID making the purchase
    * @param {Actor} actor - Actor making the purchase
    * @param {Array} items - Items to purchase
    * @param {number} totalCost - Total cost of purchase
-   * @returns {Promise<boolean>} Whether purchase was approved
+   * @param {string} [requestId] - Request ID, used to share the approval with every active GM
+   * @param {Object|null} [encumbrance=null] - Result of checkPurchaseEncumbrance, shown to the GM
+   * @param {number|null} [expiresAt=null] - Time the request is declined if nobody has decided
+   * @returns {Promise<{approved: boolean, approvedBy: User|null}>} Whether purchase was approved and by whom
    * @private
    */
-  async _handleGmPurchaseApproval(userId, actor, items, totalCost) {
+  async _handleGmPurchaseApproval(userId, actor, items, totalCost, requestId, encumbrance = null, expiresAt = null) {
     const api = game.modules.get(this.moduleId)?.api;
     if (!api?.system.getRequireGMApproval()) {
-      return true;
+      return { approved: true, approvedBy: null };
     }
     
     const userName = game.users.get(userId)?.name || 'A player';
 
-    return new Promise((resolve, reject) => {
+    if (requestId && this.gmCoordinator) {
+      const { result, decidedBy } = await this.gmCoordinator.requestApproval(requestId, APPROVAL_KINDS.PURCHASE, {
+        actorName: actor.name,
+        userName: userName,
+        items: items,
+        totalCost: totalCost,
+        encumbrance: encumbrance
+      }, expiresAt);
+      return { approved: result === true, approvedBy: decidedBy };
+    }
+
+    const approved = await new Promise((resolve, reject) => {
       new api.applications.PurchaseApprovalDialog({
         actorName: actor.name,
         userName: userName,
         items: items,
         totalCost: totalCost,
+        encumbrance: encumbrance,
         resolve: resolve,
         reject: reject
       }).render(true);
     });
+    return { approved, approvedBy: game.user };
   }
 
   /**
-   * Executes purchase transactions for validated items
+   * Holds the requested stock while a purchase waits for GM approval
+   * @param {string} vendorId - Vendor ID
+   * @param {string} [requestId] - Request ID
+   * @param {string} userId - User ID making the purchase
+   * @param {Array} items - Validated items to purchase
+   * @param {number|null} expiresAt - Deadline of the approval, from GMCoordinator.getApprovalDeadline
+   * @returns {Promise<boolean|null>} True if held, false if the stock is no longer available, null if nothing
+   *   needs holding because the purchase goes through without approval
+   * @private
+   */
+  async _holdPurchaseStock(vendorId, requestId, userId, items, expiresAt) {
+    const api = game.modules.get(this.moduleId)?.api;
+    if (!requestId || !api?.system.getRequireGMApproval()) return null;
+
+    // Held stock lapses when the approval is declined, so a forgotten approval doesn't keep it off the shelf
+    return this.vendorDataManager.holdStock(vendorId, requestId, userId, items, expiresAt);
+  }
+
+  /**
+   * Executes a purchase as a single transaction: adds every item to the actor, removes the
+   * purchased stock from the vendor and debits the wallet. If any step fails, every step
+   * already applied is reverted before the error is rethrown.
+   * With character sheet currency, the purchase is paid in coins when the player chose coins or the
+   * vendor keeps a coin float; change then comes from the float.
    * @param {Actor} actor - Target actor
    * @param {string} vendorId - Vendor ID
-   * @param {Array} items - Items to purchase
-   * @returns {Promise<Object>} Object with itemsProcessed and costProcessed
+   * @param {Array} items - Validated items to purchase
+   * @param {number} totalCostMinor - Amount to debit from the actor's wallet, in minor units of the currency paid with
+   * @param {Object|null} [payment=null] - Payment chosen at checkout: { currencyId, tenderedCoins, allowOverpay }
+   * @param {string|null} [requestId=null] - Request of the purchase, whose held stock it may take
+   * @returns {Promise<Object>} Object with itemsProcessed, costProcessed, paidProcessed (cost plus any overpayment),
+   *   processedItems, walletBefore, walletAfter and coinPayment (the coin payment plan, or null); amounts are in the
+   *   currency paid with
+   * @throws {Error} If any step fails; the actor, vendor and wallet are left unchanged
    * @private
    */
-  async _executePurchaseTransactions(actor, vendorId, items) {
+  async _executePurchaseTransactions(actor, vendorId, items, totalCostMinor, payment = null, requestId = null) {
+    const rollback = new TransactionRollback();
+    const currencyId = payment?.currencyId ?? null;
+    const walletSnapshot = await this.currencyManager.snapshotActorWallet(actor.id, currencyId);
     let itemsProcessed = 0;
-    let costProcessed = 0;
 
-    for (const selectedItem of items) {
-      const { uuid, quantity, id, price, name } = selectedItem;
-      const success = await this.addItemToActor(actor, uuid, quantity);
-      
-      if (!success) {
-        console.error(`Failed to add ${name} to ${actor.name}.`);
-        continue;
+    // The wallet may have changed while the request waited for approval
+    if (walletSnapshot.minor < totalCostMinor) {
+      throw new Error(`${actor.name} doesn't have enough coins (needs ${this.currencyManager.formatMinor(totalCostMinor, currencyId)}, has ${this.currencyManager.formatMinor(walletSnapshot.minor, currencyId)}).`);
+    }
+
+    const coinPayment = await this._planCoinPayment(actor, vendorId, totalCostMinor, payment);
+    const paidMinor = totalCostMinor + (coinPayment?.shortMinor ?? 0);
+
+    try {
+      for (const selectedItem of items) {
+        const { uuid, quantity, id, name } = selectedItem;
+
+        const added = await this.addItemToActor(actor, uuid, quantity, rollback);
+        if (!added) {
+          throw new Error(`Could not add ${name} to ${actor.name}.`);
+        }
+
+        const stockUpdated = await this._removeVendorStock(vendorId, id, quantity, rollback, requestId);
+        if (!stockUpdated) {
+          throw new Error(`Could not update the vendor's stock of ${name}.`);
+        }
+
+        itemsProcessed += quantity;
       }
 
-      itemsProcessed += quantity;
-      costProcessed += price * quantity;
+      // Sheet currency is written coin by coin, so register the undo before writing
+      rollback.record(`restore ${actor.name}'s wallet`, () => this.currencyManager.restoreActorWallet(actor.id, walletSnapshot));
+      const paid = coinPayment
+        ? await this.currencyManager.exchangeActorCoins(actor.id, coinPayment.tendered, coinPayment.change, currencyId)
+        : await this.currencyManager.setActorWalletMinor(actor.id, walletSnapshot.minor - totalCostMinor, currencyId);
+      if (!paid) {
+        throw new Error(`Could not deduct money from ${actor.name}'s wallet.`);
+      }
+
+      if (coinPayment?.coinFloat) {
+        await this._collectCoinsForFloat(vendorId, coinPayment, rollback);
+      }
+    } catch (error) {
+      const failedSteps = await rollback.rollback();
+      if (failedSteps.length > 0) {
+        ui.notifications.error(`Purchase rollback for ${actor.name} was incomplete. Check console for details.`);
+      }
+      throw error;
+    }
+
+    return {
+      itemsProcessed,
+      costProcessed: this.currencyManager.fromMinor(totalCostMinor, currencyId),
+      paidProcessed: this.currencyManager.fromMinor(paidMinor, currencyId),
+      processedItems: items,
+      walletBefore: walletSnapshot.amount,
+      walletAfter: this.currencyManager.fromMinor(walletSnapshot.minor - paidMinor, currencyId),
+      coinPayment
+    };
+  }
+
+  /**
+   * Decides whether a purchase is paid in coins and works out the coins handed over and the change.
+   * Only applies to character sheet currency, when the player chose coins or the vendor keeps a coin float.
+   * The coin float holds main currency coins, so other currencies always get their change in full.
+   * @param {Actor} actor - The paying actor
+   * @param {string} vendorId - Vendor ID
+   * @param {number} totalCostMinor - Price in minor units of the currency paid with
+   * @param {Object|null} payment - Payment chosen at checkout: { currencyId, tenderedCoins, allowOverpay }
+   * @returns {Promise<Object|null>} The payment plan with the vendor's coinFloat, or null to debit the wallet normally
+   * @throws {Error} If the coins don't cover the price, or the vendor can't give the change and overpaying wasn't allowed
+   * @private
+   */
+  async _planCoinPayment(actor, vendorId, totalCostMinor, payment) {
+    const api = game.modules.get(this.moduleId)?.api;
+    if (api?.system.getUseModuleCurrencySystem()) return null;
+
+    const currencyId = payment?.currencyId ?? null;
+    const tenderedCoins = payment?.tenderedCoins ?? null;
+    const coinFloat = this.currencyManager.isBaseCurrency(currencyId) ? this.vendorDataManager.getCoinFloat(vendorId) : null;
+    if (!tenderedCoins && !coinFloat) return null;
 
-      // Remove purchased quantity from vendor
-      await this.vendorDataManager.updateItemQuantityInVendor(vendorId, id, -quantity);
+    const plan = await this.currencyManager.planCoinPayment(actor.id, tenderedCoins, totalCostMinor, coinFloat, currencyId);
+    if (plan.shortMinor > 0 && !payment?.allowOverpay) {
+      const vendorName = this.vendorDataManager.getVendor(vendorId)?.name || 'The vendor';
+      throw new Error(`${vendorName} can't give ${this.currencyManager.formatMinor(plan.tenderedMinor - totalCostMinor, currencyId)} in change (${this.currencyManager.formatMinor(plan.shortMinor, currencyId)} short). Overpay or pay with different coins.`);
     }
+    return { ...plan, coinFloat };
+  }
 
-    // Apply proper rounding to 1 decimal place
-    costProcessed = Math.round(costProcessed * 10) / 10;
-    
-    return { itemsProcessed, costProcessed };
+  /**
+   * Puts the coins handed over into the vendor's float and takes out the change given
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} coinPayment - Payment plan from _planCoinPayment
+   * @param {TransactionRollback} rollback - Rollback journal of the running transaction
+   * @returns {Promise<void>}
+   * @throws {Error} If the float could not be updated
+   * @private
+   */
+  async _collectCoinsForFloat(vendorId, coinPayment, rollback) {
+    const { tendered, change } = coinPayment;
+    const changes = { ...tendered };
+    for (const [name, count] of Object.entries(change)) changes[name] = (changes[name] || 0) - count;
+
+    const success = await this.vendorDataManager.adjustCoinFloat(vendorId, changes);
+    if (!success) {
+      throw new Error("Could not update the vendor's coins. Another purchase may have used the change; try again.");
+    }
+    const undo = Object.fromEntries(Object.entries(changes).map(([name, count]) => [name, -count]));
+    rollback.record('restore vendor coin float', () => this.vendorDataManager.adjustCoinFloat(vendorId, undo));
+  }
+
+  /**
+   * Lists coin counts for messages, e.g. "2 Silver, 3 Copper"
+   * @param {Object<string, number>} coins - Coin counts by name
+   * @returns {string} The list, or an empty string if there are no coins
+   * @private
+   */
+  _formatCoinList(coins) {
+    return Object.entries(coins || {})
+      .filter(([, count]) => count > 0)
+      .map(([name, count]) => `${count} ${name}`)
+      .join(', ');
+  }
+
+  /**
+   * Builds the part of a purchase message that describes the change
+   * @param {Object|null} coinPayment - Payment plan returned with the purchase result
+   * @returns {string} Message suffix, or an empty string for wallet payments
+   * @private
+   */
+  _formatChangeMessage(coinPayment) {
+    if (!coinPayment) return '';
+    const change = this._formatCoinList(coinPayment.change);
+    let message = change ? ` Change: ${change}.` : '';
+    if (coinPayment.shortMinor > 0) {
+      message += ` Overpaid ${this.currencyManager.formatMinor(coinPayment.shortMinor, coinPayment.currencyId)} because the vendor had no change.`;
+    }
+    return message;
+  }
+
+  /**
+   * Builds ledger details for a coin payment
+   * @param {Object|null} coinPayment - Payment plan returned with the purchase result
+   * @returns {Object} Details with the coins handed over, the change and any overpayment; empty for wallet payments
+   * @private
+   */
+  _describeCoinPayment(coinPayment) {
+    if (!coinPayment) return {};
+    return {
+      tenderedCoins: coinPayment.tendered,
+      changeCoins: coinPayment.change,
+      overpaid: this.currencyManager.fromMinor(coinPayment.shortMinor, coinPayment.currencyId)
+    };
+  }
+
+  /**
+   * Removes purchased units from a vendor and records how to give them back
+   * @param {string} vendorId - Vendor ID
+   * @param {string} vendorItemId - Vendor item ID
+   * @param {number} quantity - Units purchased
+   * @param {TransactionRollback} rollback - Rollback journal of the running transaction
+   * @param {string|null} [requestId=null] - Request of the purchase, whose held stock it may take
+   * @returns {Promise<boolean>} True if the stock was updated
+   * @private
+   */
+  async _removeVendorStock(vendorId, vendorItemId, quantity, rollback, requestId = null) {
+    const vendor = this.vendorDataManager.getVendor(vendorId);
+    const index = vendor?.items.findIndex(item => item.id === vendorItemId) ?? -1;
+    if (index === -1) return false;
+
+    const snapshot = foundry.utils.deepClone(vendor.items[index]);
+    const success = await this.vendorDataManager.updateItemQuantityInVendor(vendorId, vendorItemId, -quantity, requestId);
+    if (success) {
+      rollback.record(`return ${snapshot.name} to vendor`, () =>
+        this.vendorDataManager.returnItemToVendor(vendorId, snapshot, quantity, index));
+    }
+    return success;
   }
 
   /**
@@ -314,6 +747,7 @@ export default class TransactionManager {
    * @param {boolean} success - Whether the purchase was successful
    * @param {string} message - The message to display
    * @param {Object} data - Additional data to include
+   * @returns {{success: boolean, message: string}} The result that was sent
    */
   emitPurchaseResult(userId, success, message, data = {}) {
     game.socket.emit(this.socketId, {
@@ -322,91 +756,118 @@ export default class TransactionManager {
       message: message,
       ...data
     });
+    return { success, message };
   }
 
   /**
    * Processes a player's sell request (GM only)
    * @param {Object} data - Sell request data containing userId, actorId, and selectedItems
-   * @returns {Promise<void>}
+   * @param {string} [senderId] - User ID of the socket sender
+   * @returns {Promise<{success: boolean, message: string}>} The result sent to the player
    */
-  async processPlayerSellRequest(data) {
-    const { userId, actorId, selectedItems } = data;
+  async processPlayerSellRequest(data, senderId) {
+    const { userId, actorId, selectedItems, requestId } = data;
+    const respond = (success, message, extra = {}) => this.emitSellResult(userId, success, message, { requestId, ...extra });
     const actor = game.actors.get(actorId);
+
+    if (!this._verifyRequester('sell', userId, actor, senderId)) {
+      return respond(false, "Sale rejected: you don't own that character.");
+    }
     
     if (!actor) {
-      this.emitSellResult(userId, false, "Character not found by GM. Please ensure your character exists and has proper permissions.");
-      return;
+      return respond(false, "Character not found by GM. Please ensure your character exists and has proper permissions.");
+    }
+
+    // Resolve every item before touching the sheet; the sale is all-or-nothing
+    const { sellItems, error } = this._resolveSellItems(actor, selectedItems);
+    if (error) {
+      return respond(false, `${error} Nothing was sold.`);
+    }
+
+    if (sellItems.length === 0) {
+      return respond(false, "No items were sold.");
     }
 
     // Calculate total value
-    const totalValue = this._calculateSellValue(selectedItems);
+    const totalValueMinor = this.currencyManager.totalMinor(sellItems);
+    const totalValue = this.currencyManager.fromMinor(totalValueMinor);
     
     // Handle GM approval and get sell percentage
-    const sellResult = await this._handleGmSellApproval(userId, actorId, selectedItems, totalValue);
+    const sellResult = await this._handleGmSellApproval(userId, actorId, sellItems, totalValue, requestId);
     if (!sellResult.approved) {
-      this.emitSellResult(userId, false, 'Sale declined by GM.');
-      return;
+      return respond(false, 'Sale declined by GM.');
+    }
+
+    // The sheet may have changed while the request waited for approval, so the sale runs on the items as
+    // they are now; a different price than the one approved fails the request
+    const recheck = this._resolveSellItems(actor, selectedItems);
+    if (recheck.error) {
+      return respond(false, `${recheck.error} Nothing was sold.`);
+    }
+    const changed = recheck.sellItems.length !== sellItems.length || recheck.sellItems.some(item => {
+      const approved = sellItems.find(other => other.id === item.id);
+      return !approved || approved.price !== item.price || approved.quantity !== item.quantity;
+    });
+    if (changed) {
+      return respond(false, `${actor.name}'s items changed while waiting for approval. Nothing was sold.`);
     }
 
+    // Calculate final payment, rounded to whole minor units by the rounding policy
+    const paymentMinor = this.currencyManager.percentOfMinor(totalValueMinor, sellResult.percentage);
+    if (paymentMinor < 1) {
+      return respond(false, `It's not worth trading just that! The sale value must be at least ${this.currencyManager.formatMinor(1)}.`);
+    }
+    
+    // Check if module currency system is disabled
+    const api = game.modules.get(this.moduleId)?.api;
+    const useModuleCurrency = api?.system.getUseModuleCurrencySystem();
+
+    const rollback = new TransactionRollback();
+    const walletSnapshot = await this.currencyManager.snapshotActorWallet(actorId);
+    const balanceBefore = walletSnapshot.amount;
+    let itemsProcessed = 0;
+
     try {
-      const { itemsProcessed, valueProcessed } = await this._updateActorInventoryForSell(actor, selectedItems, userId);
-      
-      if (itemsProcessed === 0) {
-        this.emitSellResult(userId, false, "No items were sold.");
-        return;
-      }
+      itemsProcessed = await this._removeSoldItems(actor, recheck.sellItems, rollback);
 
-      // Calculate final payment
-      const finalPayment = (valueProcessed * sellResult.percentage) / 100;
-      
-      // Check if module currency system is disabled
-      const api = game.modules.get(this.moduleId)?.api;
-      const useModuleCurrency = api?.system.getUseModuleCurrencySystem();
-      let processedFinalPayment = finalPayment;
-      
+      rollback.record(`restore ${actor.name}'s wallet`, () => this.currencyManager.restoreActorWallet(actorId, walletSnapshot));
       if (!useModuleCurrency) {
-        // Round up to nearest integer when using character sheet currency
-        processedFinalPayment = Math.ceil(finalPayment);
-        
-        // Validate minimum sale value
-        if (processedFinalPayment < 1) {
-          this.emitSellResult(userId, false, 'It\'s not worth trading just that! The sale value must be at least 1.');
-          return;
-        }
-        
         // Add money directly to character sheet coins instead of wallet
-        await this._addMoneyToCharacterCoins(actor, processedFinalPayment);
+        await this._addMoneyToCharacterCoins(actor, paymentMinor);
       } else {
         // Add money to ACTOR's wallet for module currency system (not user's wallet)
-        const currentWallet = await this.currencyManager.getActorWallet(actorId);
-        const success = await this.currencyManager.setActorWallet(actorId, currentWallet + processedFinalPayment);
+        const success = await this.currencyManager.setActorWalletMinor(actorId, walletSnapshot.minor + paymentMinor);
         if (!success) {
-          this.emitSellResult(userId, false, `Failed to add money to ${actor.name}'s wallet.`);
-          return;
+          throw new Error(`Could not add money to ${actor.name}'s wallet.`);
         }
       }
-
-      const requireGMApproval = api?.system.getRequireGMApproval();
-      const saleMessage = requireGMApproval 
-        ? `${actor.name} sold ${itemsProcessed} items for ${this.currencyManager.formatCurrency(processedFinalPayment)} (${sellResult.percentage}% of ${this.currencyManager.formatCurrency(valueProcessed)})!`
-        : `${actor.name} automatically sold ${itemsProcessed} items for ${this.currencyManager.formatCurrency(processedFinalPayment)} (${sellResult.percentage}% of ${this.currencyManager.formatCurrency(valueProcessed)})!`;
-      
-      this.emitSellResult(userId, true, saleMessage);
-
     } catch (error) {
       console.error(error);
-      this.emitSellResult(userId, false, `An error occurred while processing the sale: ${error.message}`);
+      const failedSteps = await rollback.rollback();
+      if (failedSteps.length > 0) {
+        ui.notifications.error(`Sale rollback for ${actor.name} was incomplete. Check console for details.`);
+      }
+      return respond(false, `Sale failed: ${error.message} No changes were made.`);
     }
-  }
 
-  /**
-   * Calculates total value of items to sell
-   * @param {Array} selectedItems - Items to sell
-   * @returns {number} Total value
-   * @private
-   */
-  _calculateSellValue(selectedItems) {
-    return selectedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const requireGMApproval = api?.system.getRequireGMApproval();
+    await this._recordLedgerEntry({
+      type: LEDGER_ENTRY_TYPES.SALE,
+      actorId,
+      userId,
+      items: TransactionLedger.buildLineItems(sellItems),
+      total: this.currencyManager.fromMinor(paymentMinor),
+      balanceBefore,
+      balanceAfter: await this.currencyManager.getActorWallet(actorId),
+      approvedBy: sellResult.approvedBy,
+      details: { percentage: sellResult.percentage, itemValue: totalValue, requestId: requestId ?? null }
+    });
+
+    const saleMessage = requireGMApproval 
+      ? `${actor.name} sold ${itemsProcessed} items for ${this.currencyManager.formatMinor(paymentMinor)} (${sellResult.percentage}% of ${this.currencyManager.formatMinor(totalValueMinor)})!`
+      : `${actor.name} automatically sold ${itemsProcessed} items for ${this.currencyManager.formatMinor(paymentMinor)} (${sellResult.percentage}% of ${this.currencyManager.formatMinor(totalValueMinor)})!`;
+    
+    return respond(true, saleMessage);
   }
 
   /**
@@ -415,22 +876,34 @@ export default class TransactionManager {
    * @param {string} actorId - Actor ID making the sell request
    * @param {Array} selectedItems - Items to sell
    * @param {number} totalValue - Total value of items
-   * @returns {Promise<Object>} Object with approved boolean and percentage
+   * @param {string} [requestId] - Request ID, used to share the approval with every active GM
+   * @returns {Promise<Object>} Object with approved boolean, percentage and the approving GM
    * @private
    */
-  async _handleGmSellApproval(userId, actorId, selectedItems, totalValue) {
+  async _handleGmSellApproval(userId, actorId, selectedItems, totalValue, requestId) {
     const api = game.modules.get(this.moduleId)?.api;
     const requireGMApproval = api?.system.getRequireGMApproval();
     const automaticSellPercentage = api?.system.getAutomaticSellPercentage();
     
     if (!requireGMApproval) {
-      return { approved: true, percentage: automaticSellPercentage };
+      return { approved: true, percentage: automaticSellPercentage, approvedBy: null };
     }
     
     const userName = game.users.get(userId)?.name || 'A player';
     const actorName = game.actors.get(actorId)?.name || 'Character';
 
-    return new Promise((resolve, reject) => {
+    if (requestId && this.gmCoordinator) {
+      const { result, decidedBy } = await this.gmCoordinator.requestApproval(requestId, APPROVAL_KINDS.SELL, {
+        actorName: actorName,
+        userName: userName,
+        items: selectedItems,
+        totalValue: totalValue,
+        automaticSellPercentage: automaticSellPercentage
+      });
+      return { approved: !!result?.approved, percentage: this._clampSellPercentage(result?.percentage), approvedBy: decidedBy };
+    }
+
+    const sellResult = await new Promise((resolve, reject) => {
       new api.applications.SellApprovalDialog({
         actorName: actorName,
         userName: userName,
@@ -441,82 +914,169 @@ export default class TransactionManager {
         reject: reject
       }).render(true);
     });
+    return { ...sellResult, percentage: this._clampSellPercentage(sellResult?.percentage), approvedBy: game.user };
   }
 
   /**
-   * Updates actor inventory by removing sold items
-   * @param {Actor} actor - The actor to update
-   * @param {Array} selectedItems - Items to remove
-   * @param {string} userId - User ID for error reporting
-   * @returns {Promise<Object>} Object with itemsProcessed and valueProcessed
+   * Keeps a sell percentage within the range the approval dialog offers
+   * @param {*} percentage - Percentage from the approval decision
+   * @returns {number} Whole percentage from 0 to 100
    * @private
    */
-  async _updateActorInventoryForSell(actor, selectedItems, userId) {
-    let itemsProcessed = 0;
-    let valueProcessed = 0;
+  _clampSellPercentage(percentage) {
+    return Math.min(100, Math.max(0, Math.round(Number(percentage) || 0)));
+  }
 
-    for (const selectedItem of selectedItems) {
-      const { id, quantity, price, uuid } = selectedItem;
-      
-      // For GURPS equipment items, we need to update the carried equipment directly
-      const carried = actor.system?.equipment?.carried;
-      if (!carried) {
-        console.warn(`No carried equipment found for actor ${actor.name}`);
-        continue;
+  /**
+   * Locates every item to sell in the actor's carried equipment and checks the quantities.
+   * Name, price and UUID come from the carried entry; the request only picks items and quantities.
+   * @param {Actor} actor - The selling actor
+   * @param {Array} selectedItems - Items to sell
+   * @returns {{sellItems: Array, error: string|null}} Resolved items with their carried path, or the first problem found
+   * @private
+   */
+  _resolveSellItems(actor, selectedItems) {
+    const sellItems = [];
+
+    // For GURPS equipment items, we need to update the carried equipment directly
+    const carried = actor.system?.equipment?.carried;
+    if (!carried) {
+      return { sellItems, error: `No carried equipment found for ${actor.name}.` };
+    }
+
+    const api = game.modules.get(this.moduleId)?.api;
+    const coinNames = new Set((api?.system.getCurrencySystems() || [])
+      .flatMap(system => system.denominations || [])
+      .map(denom => denom.name.toLowerCase()));
+
+    // Merge repeated entries so the quantity check sees the full requested amount
+    const requested = new Map();
+    for (const selectedItem of Array.isArray(selectedItems) ? selectedItems : []) {
+      const quantity = Number(selectedItem?.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        console.warn('Rejected sell item with invalid quantity:', selectedItem);
+        return { sellItems, error: `Invalid quantity for ${selectedItem?.name || 'an item'}.` };
       }
-      
+      const entry = requested.get(selectedItem.id);
+      if (entry) entry.quantity += quantity;
+      else requested.set(selectedItem.id, { selectedItem, quantity });
+    }
+
+    for (const [id, { selectedItem, quantity }] of requested) {
       // Find the item in the carried equipment structure
       const itemPath = findItemInCarried(carried, id);
-      if (!itemPath) {
-        console.warn(`Item ${id} not found in carried equipment for actor ${actor.name}`);
-        continue;
-      }
-      
-      const itemData = getItemFromPath(carried, itemPath);
+      const itemData = itemPath ? getItemFromPath(carried, itemPath) : null;
       if (!itemData) {
-        console.warn(`Could not retrieve item data for ${id}`);
-        continue;
+        return { sellItems, error: `${selectedItem.name || 'An item'} is no longer in ${actor.name}'s inventory.` };
       }
-      
+
+      if (coinNames.has(String(itemData.name).toLowerCase())) {
+        console.warn(`Rejected attempt to sell coins (${itemData.name}) from ${actor.name}.`);
+        return { sellItems, error: `${itemData.name} can't be sold.` };
+      }
+
+      const price = Number(itemData.cost) || 0;
+      if (price <= 0) {
+        return { sellItems, error: `${itemData.name} has no value.` };
+      }
+      if (selectedItem.price !== undefined && Number(selectedItem.price) !== price) {
+        console.warn(`Sell request priced ${itemData.name} at ${selectedItem.price}; using sheet cost ${price}.`);
+      }
+
       const currentQuantity = itemData.count || 1;
-      
       if (currentQuantity < quantity) {
-        this.emitSellResult(userId, false, `Not enough ${itemData.name} to sell (have ${currentQuantity}, trying to sell ${quantity}).`);
-        continue;
+        return { sellItems, error: `Not enough ${itemData.name} to sell (have ${currentQuantity}, trying to sell ${quantity}).` };
+      }
+
+      sellItems.push({
+        id,
+        name: itemData.name,
+        price,
+        quantity,
+        uuid: itemData.uuid || `${actor.id}.${id}`,
+        entryUuid: itemData.uuid,
+        itemPath
+      });
+    }
+
+    return { sellItems, error: null };
+  }
+
+  /**
+   * Removes sold items from the actor's carried equipment and records how to put them back
+   * @param {Actor} actor - The actor to update
+   * @param {Array} sellItems - Items resolved by _resolveSellItems
+   * @param {TransactionRollback} rollback - Rollback journal of the running transaction
+   * @returns {Promise<number>} Number of units removed
+   * @private
+   */
+  async _removeSoldItems(actor, sellItems, rollback) {
+    let itemsProcessed = 0;
+
+    for (const { name, quantity, entryUuid, itemPath: resolvedPath } of sellItems) {
+      // List keys shift when entries are deleted, so look the item up again by its uuid
+      const carried = actor.system?.equipment?.carried;
+      const itemPath = findItemPathByUuid(carried, entryUuid) ?? resolvedPath;
+      const itemData = getItemFromPath(carried, itemPath);
+      if (!itemData) {
+        throw new Error(`${name} is no longer in ${actor.name}'s inventory.`);
       }
 
       // Update the item quantity in the carried equipment
+      const currentQuantity = itemData.count || 1;
+      if (currentQuantity < quantity) {
+        throw new Error(`Not enough ${name} to sell (have ${currentQuantity}, trying to sell ${quantity}).`);
+      }
       const newQuantity = currentQuantity - quantity;
-      const updatePath = `system.equipment.carried.${itemPath}.count`;
+      const entryPath = `system.equipment.carried.${itemPath}`;
       
       if (newQuantity <= 0) {
+        const entrySnapshot = foundry.utils.deepClone(itemData);
+        const itemSnapshot = entrySnapshot.itemid ? actor.items.get(entrySnapshot.itemid)?.toObject() : null;
+        const parentPath = entryPath.split('.').slice(0, -1).join('.');
+
         // Use the specialized delete function
         await deleteFoundryItem(actor, itemPath);
+
+        rollback.record(`restore ${name} to ${actor.name}`, async () => {
+          if (itemSnapshot && !actor.items.get(itemSnapshot._id)) {
+            await actor.createEmbeddedDocuments('Item', [itemSnapshot], { keepId: true });
+          }
+          // Re-creating the Foundry item may already have restored the carried entry
+          if (!findItemPathByUuid(actor.system?.equipment?.carried, entryUuid)) {
+            const list = GURPS.decode(actor, parentPath) || {};
+            GURPS.put(list, entrySnapshot);
+            await actor.internalUpdate({ [parentPath]: list });
+          }
+        });
       } else {
         // Update the quantity and recalculate costsum and weightsum
         await actor.update({ 
-          [updatePath]: newQuantity
+          [`${entryPath}.count`]: newQuantity
+        });
+        rollback.record(`restore ${name} count on ${actor.name}`, () => {
+          const path = findItemPathByUuid(actor.system?.equipment?.carried, entryUuid) ?? itemPath;
+          return actor.update({ [`system.equipment.carried.${path}.count`]: currentQuantity });
         });
       }
 
       itemsProcessed += quantity;
-      valueProcessed += price * quantity;
     }
     
-    return { itemsProcessed, valueProcessed };
+    return itemsProcessed;
   }
 
   /**
    * Adds money directly to character sheet coins using optimal distribution
    * @param {Actor} actor - The actor to add money to
-   * @param {number} amount - The amount to add
+   * @param {number} minor - The amount to add, in minor units
    * @returns {Promise<void>}
    * @private
    */
-  async _addMoneyToCharacterCoins(actor, amount) {
+  async _addMoneyToCharacterCoins(actor, minor) {
     // Delegate to the character currency service through currency manager
     if (this.currencyManager.characterCurrencyService) {
-      await this.currencyManager.characterCurrencyService.addMoneyToCharacterCoins(actor, amount);
+      await this.currencyManager.characterCurrencyService.addMinorToCharacterCoins(actor, minor);
     } else {
       console.error('Character currency service not available');
       throw new Error('Character currency service not initialized');
@@ -529,6 +1089,7 @@ export default class TransactionManager {
    * @param {boolean} success - Whether the sell was successful
    * @param {string} message - The message to display
    * @param {Object} data - Additional data to include
+   * @returns {{success: boolean, message: string}} The result that was sent
    */
   emitSellResult(userId, success, message, data = {}) {
     game.socket.emit(this.socketId, {
@@ -537,6 +1098,7 @@ export default class TransactionManager {
       message: message,
       ...data
     });
+    return { success, message };
   }
 
   /**
@@ -602,9 +1164,10 @@ export default class TransactionManager {
    * @param {Actor} actor - The target actor
    * @param {string} uuid - The item UUID
    * @param {number} quantity - The quantity to add
+   * @param {TransactionRollback} [rollback=null] - Rollback journal that receives the undo step, if any
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
-  async addItemToActor(actor, uuid, quantity) {
+  async addItemToActor(actor, uuid, quantity, rollback = null) {
     const api = game.modules.get(this.moduleId)?.api;
     if (api?.system.getDebugMode()) {
       console.log(`🔍 DEBUG QUANTITY - Value: ${quantity}, Type: ${typeof quantity}`);
@@ -635,6 +1198,8 @@ export default class TransactionManager {
         const eqtUuid = item.system?.eqt?.uuid;
         const key = eqtUuid ? actor._findEqtkeyForId("uuid", eqtUuid) : undefined;
 
+        rollback?.record(`restore ${item.name} count on ${actor.name}`, () => this._setItemCount(actor, item, current));
+
         if (typeof actor.updateEqtCount === "function" && key) {
           await actor.updateEqtCount(key, total);
         } else {
@@ -684,6 +1249,9 @@ export default class TransactionManager {
           return false;
         }
 
+        const newItem = item;
+        rollback?.record(`remove ${newItem.name} from ${actor.name}`, () => this._removeCreatedItem(actor, newItem));
+
         // For newly created items, set the quantity directly
         if (api?.system.getDebugMode()) {
           console.log(`🔍 DEBUG NEW ITEM - Setting quantity to: ${quantity}`);
@@ -724,4 +1292,41 @@ export default class TransactionManager {
       return false;
     }
   }
+
+  /**
+   * Sets the count of an equipment item on an actor
+   * @param {Actor} actor - The actor owning the item
+   * @param {Item} item - The item to update
+   * @param {number} count - The new count
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setItemCount(actor, item, count) {
+    const eqtUuid = item.system?.eqt?.uuid;
+    const key = eqtUuid ? actor._findEqtkeyForId("uuid", eqtUuid) : undefined;
+
+    if (typeof actor.updateEqtCount === "function" && key) {
+      await actor.updateEqtCount(key, count);
+    } else {
+      await item.update({ "system.eqt.count": count });
+    }
+  }
+
+  /**
+   * Removes an item created during a failed purchase, including its carried equipment entry
+   * @param {Actor} actor - The actor owning the item
+   * @param {Item} item - The item that was created
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeCreatedItem(actor, item) {
+    const eqtUuid = item.system?.eqt?.uuid;
+    const itemPath = findItemPathByUuid(actor.system?.equipment?.carried, eqtUuid);
+
+    if (itemPath) {
+      await deleteFoundryItem(actor, itemPath);
+    } else if (actor.items.get(item.id)) {
+      await actor.deleteEmbeddedDocuments('Item', [item.id]);
+    }
+  }
 }
\ No newline at end of file
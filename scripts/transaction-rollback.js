@@ -0,0 +1,43 @@
+/**
+ * @file Rollback journal for multi-step transactions
+ * @description Collects undo steps while a transaction is applied so a failure can revert everything already done
+ */
+
+/**
+ * @class TransactionRollback
+ * @description Records undo callbacks in the order steps are applied and replays them in reverse on failure
+ */
+export default class TransactionRollback {
+  constructor() {
+    /** @type {Array<{label: string, undo: Function}>} Recorded undo steps, oldest first */
+    this._steps = [];
+  }
+
+  /**
+   * Records how to undo a step that has just been applied
+   * @param {string} label - Short description used in error logs
+   * @param {Function} undo - Callback (sync or async) that reverts the step
+   * @returns {void}
+   */
+  record(label, undo) {
+    this._steps.push({ label, undo });
+  }
+
+  /**
+   * Reverts every recorded step, newest first. Keeps going when a single undo fails.
+   * @returns {Promise<Array<string>>} Labels of the steps that could not be reverted
+   */
+  async rollback() {
+    const failed = [];
+    while (this._steps.length > 0) {
+      const { label, undo } = this._steps.pop();
+      try {
+        await undo();
+      } catch (error) {
+        console.error(`Rollback step failed (${label}):`, error);
+        failed.push(label);
+      }
+    }
+    return failed;
+  }
+}
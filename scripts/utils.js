@@ -65,7 +65,7 @@ export function getPrimaryUserActor(userId = game.user.id) {
 /**
  * Gets processed player actors data with wallet information and coin breakdown
  * @param {string} [currentSelectedActorId] - Currently selected actor ID
- * @returns {Promise<Object>} Object containing processed actors data
+ * @returns {Promise<Object>} Object containing processed actors data and the current user's player purse (null when disabled)
  */
 export async function getProcessedPlayerActorsData(currentSelectedActorId = null) {
   const useModuleCurrency = VendorWalletSystem.getUseModuleCurrencySystem();
@@ -77,6 +77,7 @@ export async function getProcessedPlayerActorsData(currentSelectedActorId = null
   const processedActors = [];
   for (const actor of userActors) {
     const wallet = await VendorWalletSystem.currencyManager.getActorWallet(actor.id);
+    const currencyWallets = await VendorWalletSystem.currencyManager.getActorCurrencyWallets(actor.id);
     let coinBreakdown = [];
     
     if (!useModuleCurrency) {
@@ -87,6 +88,7 @@ export async function getProcessedPlayerActorsData(currentSelectedActorId = null
       id: actor.id,
       name: actor.name,
       wallet,
+      currencyWallets,
       coinBreakdown: Array.isArray(coinBreakdown) ? coinBreakdown : []
     });
   }
@@ -102,14 +104,21 @@ export async function getProcessedPlayerActorsData(currentSelectedActorId = null
     id: null,
     name: 'No Character',
     wallet: 0,
+    currencyWallets: [],
     coinBreakdown: []
   };
 
+  // The player purse only exists alongside module-managed wallets
+  const playerPurse = useModuleCurrency && VendorWalletSystem.getEnablePlayerPurse()
+    ? VendorWalletSystem.currencyManager.getPlayerPurse(game.user.id)
+    : null;
+
   return {
     processedActors,
     selectedActor,
     selectedActorId,
-    useModuleCurrency
+    useModuleCurrency,
+    playerPurse
   };
 }
 
@@ -196,6 +205,35 @@ export function findItemInCarried(carried, itemId, currentPath = '') {
   return null;
 }
 
+/**
+ * Recursively finds an item in the carried equipment structure by its GGA uuid.
+ * Unlike list keys, the uuid does not change when other entries are removed.
+ * @param {Object} carried - The carried equipment object
+ * @param {string} uuid - The GGA uuid of the item
+ * @param {string} [currentPath=''] - Current path in the structure
+ * @returns {string|null} The path to the item or null if not found
+ */
+export function findItemPathByUuid(carried, uuid, currentPath = '') {
+  if (!carried || typeof carried !== 'object' || !uuid) {
+    return null;
+  }
+
+  for (const [key, value] of Object.entries(carried)) {
+    if (!value || typeof value !== 'object') continue;
+    const path = currentPath ? `${currentPath}.${key}` : key;
+
+    if (value.uuid === uuid) {
+      return path;
+    }
+
+    if (value.collapsed) {
+      const nestedPath = findItemPathByUuid(value.collapsed, uuid, `${path}.collapsed`);
+      if (nestedPath) return nestedPath;
+    }
+  }
+  return null;
+}
+
 /**
  * Gets an item from a path in the carried equipment structure with validation
  * @param {Object} carried - The carried equipment object
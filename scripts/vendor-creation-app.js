@@ -5,6 +5,7 @@
 
 import VendorWalletSystem from './main.js';
 import FormUtilities from './form-utilities.js';
+import { RESTOCK_MODES } from './restock-rules.js';
 
 /**
  * @class VendorCreationApplication
@@ -70,12 +71,12 @@ export default class VendorCreationApplication extends foundry.applications.api.
     
     // Store bound handlers for later removal
     this._currencyFocusHandler = (e) => {
-      e.target.value = e.target.value.replace(/[^0-9.-]+/g, '');
+      e.target.value = String(VendorWalletSystem.parseCurrency(e.target.value));
     };
     
+    // Any display style can be typed, e.g. "2g 5s"
     this._currencyBlurHandler = (e) => {
-      const value = parseFloat(e.target.value.replace(/[^0-9.-]+/g, '')) || 0;
-      e.target.value = VendorWalletSystem.formatCurrency(value);
+      e.target.value = VendorWalletSystem.formatCurrency(VendorWalletSystem.parseCurrency(e.target.value));
     };
     
     this._currencyFields.forEach(field => {
@@ -83,8 +84,7 @@ export default class VendorCreationApplication extends foundry.applications.api.
       field.addEventListener('blur', this._currencyBlurHandler);
       
       // Format initial values
-      const value = parseFloat(field.value.replace(/[^0-9.-]+/g, '')) || 0;
-      field.value = VendorWalletSystem.formatCurrency(value);
+      field.value = VendorWalletSystem.formatCurrency(VendorWalletSystem.parseCurrency(field.value));
     });
   }
 
@@ -169,12 +169,12 @@ export default class VendorCreationApplication extends foundry.applications.api.
     const vendor = {
       ...vendorData,
       items: items,
-      id: foundry.utils.randomID()
+      id: foundry.utils.randomID(),
+      // Restocking is off until set up in the vendor's settings; the generated items are what it refills to
+      restock: { mode: RESTOCK_MODES.NONE, intervalDays: 7, lastRestock: game.time.worldTime, baseline: items }
     };
 
-    const vendors = VendorWalletSystem.getVendors();
-    vendors[vendor.id] = vendor;
-    await game.settings.set(VendorWalletSystem.ID, 'vendors', vendors);
+    await VendorWalletSystem.updateVendor(vendor.id, vendor);
 
     ui.notifications.info(`Vendor ${vendor.name} created with ${items.length} items!`);
     this.close();
@@ -1,9 +1,93 @@
 /**
  * @file Vendor data manager for handling vendor CRUD operations
- * @description Manages vendor data storage, retrieval, and updates
+ * @description Manages vendor data storage, retrieval, and updates. Each vendor is kept in the flags of its
+ * own journal entry, with its items keyed by ID, so a stock change only writes the fields that changed.
  */
 
 import { SOCKET_EVENTS } from './socket-events.js';
+import { BASE_CURRENCY_ID } from './constants.js';
+import { VENDOR_STORAGE_VERSION } from './vendor-migration.js';
+import VendorWriteQueue from './vendor-write-queue.js';
+import { getActiveHolds, getAvailableQuantity, getHeldQuantity } from './stock-holds.js';
+import { refillItems } from './restock-rules.js';
+
+/** @type {number} Revisions of each vendor remembered as the starting point of edits made from them */
+const SNAPSHOT_LIMIT = 5;
+
+/**
+ * Adds to a flattened document update the changes that turn one stored value into another: changed keys
+ * are set, keys that are gone are deleted, and plain objects are compared key by key so that only what
+ * changed is written
+ * @param {string} path - Path of the value in the document
+ * @param {*} before - Stored value
+ * @param {*} after - New value
+ * @param {Object} update - Flattened update to add to
+ * @returns {Object} The update
+ */
+function diffStoredValue(path, before, after, update) {
+  const isObject = (value) => foundry.utils.getType(value) === 'Object';
+  if (!isObject(before) || !isObject(after)) {
+    if (!foundry.utils.objectsEqual({ value: before }, { value: after })) update[path] = after;
+    return update;
+  }
+
+  for (const key of Object.keys(before)) {
+    if (after[key] === undefined) update[`${path}.-=${key}`] = null;
+  }
+  for (const [key, value] of Object.entries(after)) {
+    if (value !== undefined) diffStoredValue(`${path}.${key}`, before[key], value, update);
+  }
+  return update;
+}
+
+/**
+ * Applies a flattened update made by diffStoredValue to an object
+ * @param {Object} target - Object to change
+ * @param {Object} update - Flattened update, with paths relative to the target
+ * @returns {Object} The target
+ */
+function applyStoredDiff(target, update) {
+  for (const [path, value] of Object.entries(update)) {
+    const deletion = path.match(/^(.*?)\.?-=([^.]+)$/);
+    if (deletion) {
+      const parent = deletion[1] ? foundry.utils.getProperty(target, deletion[1]) : target;
+      if (parent) delete parent[deletion[2]];
+    } else {
+      foundry.utils.setProperty(target, path, foundry.utils.deepClone(value));
+    }
+  }
+  return target;
+}
+
+/**
+ * Combines an edit with the changes others saved since the edit started. The edit is refused if both
+ * changed the same field or item.
+ * @param {Object} base - Stored vendor the edit started from
+ * @param {Object} current - Stored vendor as it is now
+ * @param {Object} incoming - Stored vendor as the edit left it
+ * @returns {Object|null} The combined stored vendor, or null if the changes conflict
+ */
+export function mergeStoredVendor(base, current, incoming) {
+  const comparable = ({ vendor = {}, items = {} }) => ({ vendor, items });
+  const ours = diffStoredValue('data', comparable(base), comparable(incoming), {});
+  const theirs = diffStoredValue('data', comparable(base), comparable(current), {});
+
+  // Deleting a key touches the same field as setting it
+  const touched = (update) => Object.keys(update).map(path => path.replace('.-=', '.'));
+  const theirPaths = touched(theirs);
+  const overlaps = (path, other) => path === other || path.startsWith(`${other}.`) || other.startsWith(`${path}.`);
+  if (touched(ours).some(path => theirPaths.some(other => overlaps(path, other)))) return null;
+
+  const relative = Object.fromEntries(Object.entries(ours).map(([path, value]) => [path.slice('data.'.length), value]));
+  const merged = applyStoredDiff(foundry.utils.deepClone(current), relative);
+
+  // Keep the edit's item order if it reordered the items, otherwise the current one
+  const reordered = !foundry.utils.objectsEqual({ order: base.itemOrder || [] }, { order: incoming.itemOrder || [] });
+  const order = (reordered ? incoming.itemOrder : current.itemOrder) || [];
+  const kept = order.filter(id => merged.items?.[id]);
+  merged.itemOrder = [...kept, ...Object.keys(merged.items || {}).filter(id => !kept.includes(id))];
+  return merged;
+}
 
 /**
  * @class VendorDataManager
@@ -17,15 +101,413 @@ export default class VendorDataManager {
   constructor(moduleId, socketId) {
     this.moduleId = moduleId;
     this.socketId = socketId;
+
+    /** @type {Promise<Folder>|null} Folder lookup in progress, so vendors created together share one folder */
+    this._folderPromise = null;
+
+    /** @type {Map<string, Map<number, Object>>} Recently read stored vendors by vendor ID and revision */
+    this._snapshots = new Map();
+
+    /** @type {VendorWriteQueue} Applies vendor changes one at a time on the handling GM */
+    this.writeQueue = new VendorWriteQueue(moduleId, socketId, this._applyOperation.bind(this));
+  }
+
+  /**
+   * Checks whether vendors are still in the single world setting used before they got their own journal entries
+   * @returns {boolean} True until a GM has migrated the vendors
+   * @private
+   */
+  _usesLegacyStorage() {
+    return (Number(game.settings.get(this.moduleId, 'vendorStorageVersion')) || 0) < VENDOR_STORAGE_VERSION;
+  }
+
+  /**
+   * Gets the journal entries that hold vendors
+   * @returns {Array<JournalEntry>} Vendor entries
+   * @private
+   */
+  _getVendorEntries() {
+    return game.journal.filter(entry => entry.getFlag(this.moduleId, 'vendorId'));
+  }
+
+  /**
+   * Gets the journal entry that holds a vendor
+   * @param {string} vendorId - The vendor ID
+   * @returns {JournalEntry|undefined} The entry, if the vendor exists
+   * @private
+   */
+  _getVendorEntry(vendorId) {
+    return game.journal.find(entry => entry.getFlag(this.moduleId, 'vendorId') === vendorId);
+  }
+
+  /**
+   * Reads a vendor from its journal entry, with its items in display order
+   * @param {JournalEntry} entry - The vendor's entry
+   * @returns {Object} A copy of the vendor data that callers may change freely
+   * @private
+   */
+  _readVendor(entry) {
+    const stored = entry.flags[this.moduleId] || {};
+    const { vendorId, vendor = {}, items = {}, itemOrder = [], revision = 0 } = stored;
+    this._rememberSnapshot(vendorId, revision, stored);
+
+    const ordered = itemOrder.filter(id => items[id]);
+    const unordered = Object.keys(items).filter(id => !ordered.includes(id));
+    return foundry.utils.deepClone({
+      ...vendor,
+      revision,
+      items: [...ordered, ...unordered].map(id => items[id])
+    });
+  }
+
+  /**
+   * Remembers a stored vendor as read at a revision, so an edit started from it can later be combined
+   * with changes saved in the meantime
+   * @param {string} vendorId - The vendor ID
+   * @param {number} revision - The revision read
+   * @param {Object} stored - The vendor's flag data at that revision
+   * @returns {void}
+   * @private
+   */
+  _rememberSnapshot(vendorId, revision, stored) {
+    const snapshots = this._snapshots.get(vendorId) ?? new Map();
+    this._snapshots.set(vendorId, snapshots);
+    if (snapshots.has(revision)) return;
+
+    snapshots.set(revision, foundry.utils.deepClone(stored));
+    if (snapshots.size > SNAPSHOT_LIMIT) snapshots.delete(snapshots.keys().next().value);
+  }
+
+  /**
+   * Converts vendor data to the form kept in its journal entry's flags
+   * @param {string} vendorId - The vendor ID
+   * @param {Object} vendorData - Vendor data as returned by getVendor
+   * @returns {{vendorId: string, vendor: Object, items: Object<string, Object>, itemOrder: Array<string>}} Flag data
+   * @private
+   */
+  _toStoredVendor(vendorId, vendorData) {
+    const { items = [], revision, ...vendor } = foundry.utils.deepClone(vendorData);
+    for (const item of items) item.id ??= foundry.utils.randomID();
+    return {
+      vendorId,
+      vendor,
+      items: Object.fromEntries(items.map(item => [item.id, item])),
+      itemOrder: items.map(item => item.id)
+    };
+  }
+
+  /**
+   * Gets the folder vendor journal entries are kept in, creating it if needed
+   * @returns {Promise<Folder>} The folder
+   * @private
+   */
+  async _getVendorFolder() {
+    const existing = game.folders.find(folder => folder.type === 'JournalEntry' && folder.getFlag(this.moduleId, 'vendorFolder'));
+    if (existing) return existing;
+
+    this._folderPromise ??= Folder.create({
+      name: 'Instant Bazaar Vendors',
+      type: 'JournalEntry',
+      flags: { [this.moduleId]: { vendorFolder: true } }
+    }).finally(() => { this._folderPromise = null; });
+    return this._folderPromise;
+  }
+
+  /**
+   * Writes a vendor to its journal entry (GM only), creating the entry if needed. Only the fields and items
+   * that differ from what is stored are written, so edits to different parts of a vendor don't overwrite
+   * each other.
+   * @param {string} vendorId - The vendor ID
+   * @param {Object} vendorData - The vendor data
+   * @returns {Promise<void>}
+   */
+  async writeVendorEntry(vendorId, vendorData) {
+    await this._writeStoredVendor(vendorId, this._toStoredVendor(vendorId, vendorData));
+  }
+
+  /**
+   * Writes a vendor's flag data to its journal entry, creating the entry if needed, and bumps its revision
+   * @param {string} vendorId - The vendor ID
+   * @param {Object} stored - Flag data as made by _toStoredVendor
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeStoredVendor(vendorId, stored) {
+    const entry = this._getVendorEntry(vendorId);
+    const name = stored.vendor?.name;
+
+    if (!entry) {
+      const folder = await this._getVendorFolder();
+      await JournalEntry.create({
+        name: name || 'Vendor',
+        folder: folder?.id,
+        flags: { [this.moduleId]: { ...stored, revision: 1 } }
+      });
+      return;
+    }
+
+    const current = entry.flags[this.moduleId] || {};
+    const update = diffStoredValue(`flags.${this.moduleId}`, current, { ...stored, revision: current.revision ?? 0 }, {});
+    if (name && name !== entry.name) update.name = name;
+    if (Object.keys(update).length === 0) return;
+
+    update[`flags.${this.moduleId}.revision`] = (current.revision ?? 0) + 1;
+    await entry.update(update);
+  }
+
+  /**
+   * Writes a vendor without going through the queue
+   * @param {string} vendorId - The vendor ID
+   * @param {Object} vendorData - The vendor data
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeVendor(vendorId, vendorData) {
+    if (this._usesLegacyStorage()) {
+      const vendors = this.getVendors();
+      vendors[vendorId] = vendorData;
+      await game.settings.set(this.moduleId, 'vendors', vendors);
+    } else {
+      await this.writeVendorEntry(vendorId, vendorData);
+    }
+  }
+
+  /**
+   * Applies one queued vendor change. Runs on the handling GM's client against the latest vendor data.
+   * @param {Object} operation - The change, as submitted to the write queue
+   * @returns {Promise<{success: boolean, conflict?: boolean, error?: string}>} The outcome
+   * @private
+   */
+  async _applyOperation(operation) {
+    const { vendorId } = operation;
+    switch (operation.type) {
+      case 'update':
+        return this._applyUpdate(operation);
+      case 'delete': {
+        if (this._usesLegacyStorage()) {
+          const vendors = this.getVendors();
+          delete vendors[vendorId];
+          await game.settings.set(this.moduleId, 'vendors', vendors);
+        } else {
+          await this._getVendorEntry(vendorId)?.delete();
+        }
+        game.socket.emit(this.socketId, { type: SOCKET_EVENTS.VENDOR_DELETED, vendorId });
+        return { success: true };
+      }
+      case 'quantity':
+        return this._applyQuantityChange(operation);
+      case 'return':
+        return this._applyReturn(operation);
+      case 'coinFloat':
+        return this._applyCoinFloatChange(operation);
+      case 'hold':
+        return this._applyHold(operation);
+      case 'releaseHolds':
+        return this._applyReleaseHolds(operation);
+      case 'restock':
+        return this._applyRestock(operation);
+      default:
+        return { success: false, error: `Unknown vendor change ${operation.type}.` };
+    }
+  }
+
+  /**
+   * Saves a vendor edit. An edit started from an older revision is combined with the changes saved since,
+   * unless both changed the same thing.
+   * @param {Object} operation - The update operation
+   * @param {string} operation.vendorId - The vendor ID
+   * @param {Object} operation.vendor - The edited vendor data
+   * @param {Object|null} operation.base - Stored vendor the edit started from, if the editor still had it
+   * @returns {Promise<{success: boolean, conflict?: boolean}>} The outcome
+   * @private
+   */
+  async _applyUpdate({ vendorId, vendor, base }) {
+    const revision = Number.isInteger(vendor.revision) ? vendor.revision : null;
+    if (this._usesLegacyStorage() || revision === null) {
+      await this._writeVendor(vendorId, vendor);
+    } else {
+      // The vendor was deleted while it was being edited
+      const entry = this._getVendorEntry(vendorId);
+      if (!entry) return { success: false, conflict: true };
+
+      const current = entry.flags[this.moduleId] || {};
+      let stored = this._toStoredVendor(vendorId, vendor);
+      if ((current.revision ?? 0) !== revision) {
+        stored = base ? mergeStoredVendor(base, current, stored) : null;
+        if (!stored) return { success: false, conflict: true };
+      }
+      await this._writeStoredVendor(vendorId, stored);
+    }
+
+    game.socket.emit(this.socketId, { type: SOCKET_EVENTS.VENDOR_UPDATED, vendorId });
+    return { success: true };
+  }
+
+  /**
+   * Changes an item's stock, removing the item when none is left
+   * @param {Object} operation - The quantity operation with vendorId, vendorItemId, change and the requestId
+   *   of the purchase, if any
+   * @returns {Promise<{success: boolean, conflict?: boolean}>} The outcome; a conflict if there isn't enough stock
+   *   left once the units held for other purchases are set aside
+   * @private
+   */
+  async _applyQuantityChange({ vendorId, vendorItemId, change, requestId = null }) {
+    const vendor = this.getVendor(vendorId);
+    const item = vendor?.items.find(item => item.id === vendorItemId);
+    if (!item) return { success: false, conflict: true };
+
+    const newQuantity = (item.quantity || 1) + change;
+    if (newQuantity < 0) return { success: false, conflict: true };
+    if (change < 0 && newQuantity < getHeldQuantity(vendor, vendorItemId, requestId)) return { success: false, conflict: true };
+
+    // Units bought for a held purchase are no longer on hold
+    const hold = requestId ? vendor.holds?.[requestId] : null;
+    if (hold?.items?.[vendorItemId]) hold.items[vendorItemId] = Math.max(0, hold.items[vendorItemId] + change);
+
+    if (newQuantity === 0) {
+      // Remove item if quantity reaches 0
+      vendor.items = vendor.items.filter(item => item.id !== vendorItemId);
+    } else {
+      item.quantity = newQuantity;
+    }
+    await this._writeVendor(vendorId, vendor);
+
+    game.socket.emit(this.socketId, { type: SOCKET_EVENTS.VENDOR_UPDATED, vendorId });
+    game.socket.emit(this.socketId, { type: SOCKET_EVENTS.ITEM_PURCHASED, vendorId, itemId: vendorItemId });
+    return { success: true };
+  }
+
+  /**
+   * Gives units of an item back to a vendor
+   * @param {Object} operation - The return operation with vendorId, itemData, quantity and index
+   * @returns {Promise<{success: boolean}>} The outcome
+   * @private
+   */
+  async _applyReturn({ vendorId, itemData, quantity, index }) {
+    const vendor = this.getVendor(vendorId);
+    if (!vendor) return { success: false };
+
+    const existing = vendor.items.find(item => item.id === itemData.id);
+    if (existing) {
+      existing.quantity = (existing.quantity || 0) + quantity;
+    } else {
+      const position = index >= 0 ? Math.min(index, vendor.items.length) : vendor.items.length;
+      vendor.items.splice(position, 0, { ...itemData, quantity });
+    }
+    await this._writeVendor(vendorId, vendor);
+
+    game.socket.emit(this.socketId, { type: SOCKET_EVENTS.VENDOR_UPDATED, vendorId });
+    return { success: true };
+  }
+
+  /**
+   * Holds units of a vendor's items for a purchase waiting for approval, replacing any hold the request
+   * already has
+   * @param {Object} operation - The hold operation with vendorId, requestId, userId, items (units by item ID)
+   *   and expiresAt
+   * @returns {Promise<{success: boolean, conflict?: boolean}>} The outcome; a conflict if the units aren't available
+   * @private
+   */
+  async _applyHold({ vendorId, requestId, userId, items, expiresAt }) {
+    const vendor = this.getVendor(vendorId);
+    if (!vendor) return { success: false, conflict: true };
+
+    for (const [itemId, quantity] of Object.entries(items)) {
+      const item = vendor.items.find(item => item.id === itemId);
+      const available = getAvailableQuantity(vendor, item, requestId);
+      if (!item || (available !== undefined && available < quantity)) return { success: false, conflict: true };
+    }
+
+    // Expired holds are dropped whenever the holds are written
+    vendor.holds = { ...getActiveHolds(vendor), [requestId]: { userId, items, expiresAt } };
+    await this._writeVendor(vendorId, vendor);
+
+    game.socket.emit(this.socketId, { type: SOCKET_EVENTS.STOCK_HOLDS_CHANGED, vendorId });
+    return { success: true };
   }
 
   /**
-   * Gets all vendors from settings
-   * @returns {Object} Object containing all vendors
+   * Releases holds, on one vendor or on every vendor
+   * @param {Object} operation - The release operation; vendorId, requestId and userId, when given, limit which
+   *   holds are released
+   * @returns {Promise<{success: boolean}>} The outcome
+   * @private
+   */
+  async _applyReleaseHolds({ vendorId = null, requestId = null, userId = null }) {
+    const released = (holdRequestId, hold) => (!requestId || holdRequestId === requestId) && (!userId || hold.userId === userId);
+    const vendors = vendorId ? { [vendorId]: this.getVendor(vendorId) } : this.getVendors();
+    for (const [id, vendor] of Object.entries(vendors)) {
+      const holds = vendor?.holds || {};
+      const kept = Object.fromEntries(Object.entries(getActiveHolds(vendor)).filter(([holdRequestId, hold]) => !released(holdRequestId, hold)));
+      if (foundry.utils.objectsEqual(holds, kept)) continue;
+
+      await this._writeVendor(id, { ...vendor, holds: kept });
+      game.socket.emit(this.socketId, { type: SOCKET_EVENTS.STOCK_HOLDS_CHANGED, vendorId: id });
+    }
+    return { success: true };
+  }
+
+  /**
+   * Restocks a vendor, with freshly rolled items or by refilling the items it started with
+   * @param {Object} operation - The restock operation with vendorId, items (rolled items, or null to refill),
+   *   restockedAt and, for scheduled restocks, expectedLastRestock
+   * @returns {Promise<{success: boolean, changed?: boolean}>} The outcome; changed is false if the stock was already
+   *   full or another restock got there first
+   * @private
+   */
+  async _applyRestock({ vendorId, items, restockedAt, expectedLastRestock }) {
+    const vendor = this.getVendor(vendorId);
+    if (!vendor) return { success: false };
+
+    const rule = vendor.restock || {};
+    if (expectedLastRestock !== undefined && (rule.lastRestock ?? null) !== expectedLastRestock) {
+      return { success: true, changed: false };
+    }
+
+    // Vendors made before restocking existed refill to the stock they have when first restocked
+    const baseline = items ?? rule.baseline ?? vendor.items;
+    const restocked = items ?? refillItems(vendor.items, baseline);
+    const changed = !foundry.utils.objectsEqual({ items: vendor.items }, { items: restocked });
+    await this._writeVendor(vendorId, {
+      ...vendor,
+      items: restocked,
+      restock: { ...rule, baseline, lastRestock: restockedAt }
+    });
+
+    game.socket.emit(this.socketId, { type: SOCKET_EVENTS.VENDOR_UPDATED, vendorId });
+    return { success: true, changed };
+  }
+
+  /**
+   * Adds coins to and takes coins from a vendor's change
+   * @param {Object} operation - The coin float operation with vendorId and changes (coin counts by name)
+   * @returns {Promise<{success: boolean, conflict?: boolean}>} The outcome; a conflict if the vendor no longer
+   *   has the coins to take
+   * @private
+   */
+  async _applyCoinFloatChange({ vendorId, changes }) {
+    const vendor = this.getVendor(vendorId);
+    if (!vendor?.coinFloat) return { success: false, conflict: true };
+
+    const coinFloat = { ...vendor.coinFloat };
+    for (const [name, count] of Object.entries(changes)) {
+      coinFloat[name] = (coinFloat[name] || 0) + count;
+      if (coinFloat[name] < 0) return { success: false, conflict: true };
+    }
+    await this._writeVendor(vendorId, { ...vendor, coinFloat });
+
+    game.socket.emit(this.socketId, { type: SOCKET_EVENTS.VENDOR_UPDATED, vendorId });
+    return { success: true };
+  }
+
+  /**
+   * Gets all vendors
+   * @returns {Object} Object containing all vendors by ID
    */
   getVendors() {
     try {
-      return game.settings.get(this.moduleId, 'vendors') || {};
+      if (this._usesLegacyStorage()) return game.settings.get(this.moduleId, 'vendors') || {};
+      return Object.fromEntries(this._getVendorEntries().map(entry => [entry.getFlag(this.moduleId, 'vendorId'), this._readVendor(entry)]));
     } catch (error) {
       console.error('Error getting vendors:', error);
       return {};
@@ -38,33 +520,27 @@ export default class VendorDataManager {
    * @returns {Object|undefined} The vendor object or undefined if not found
    */
   getVendor(vendorId) {
-    const vendors = this.getVendors();
-    return vendors[vendorId];
+    if (this._usesLegacyStorage()) return this.getVendors()[vendorId];
+    const entry = this._getVendorEntry(vendorId);
+    return entry ? this._readVendor(entry) : undefined;
   }
 
   /**
-   * Updates a vendor's data
+   * Updates a vendor's data. Vendor data read with getVendor carries its revision; if someone else saved the
+   * vendor since, their changes are kept and the update is refused only if it changes the same things.
    * @param {string} vendorId - The vendor ID
    * @param {Object} vendorData - The updated vendor data
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
   async updateVendor(vendorId, vendorData) {
-    try {
-      const vendors = this.getVendors();
-      vendors[vendorId] = vendorData;
-      await game.settings.set(this.moduleId, 'vendors', vendors);
-      
-      // Emit socket event for real-time updates
-      game.socket.emit(this.socketId, {
-        type: SOCKET_EVENTS.VENDOR_UPDATED,
-        vendorId: vendorId
-      });
-      
-      return true;
-    } catch (error) {
-      console.error('Error updating vendor:', error);
-      return false;
+    const base = this._snapshots.get(vendorId)?.get(vendorData.revision) ?? null;
+    const result = await this.writeQueue.submit({ type: 'update', vendorId, vendor: vendorData, base });
+    if (result.conflict) {
+      ui.notifications.warn(`${vendorData.name || 'The vendor'} was changed by someone else in the meantime. Your changes were not saved; reopen it and try again.`);
+    } else if (!result.success) {
+      console.error('Error updating vendor:', result.error);
     }
+    return result.success;
   }
 
   /**
@@ -73,22 +549,9 @@ export default class VendorDataManager {
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
   async deleteVendor(vendorId) {
-    try {
-      const vendors = this.getVendors();
-      delete vendors[vendorId];
-      await game.settings.set(this.moduleId, 'vendors', vendors);
-      
-      // Emit socket event for real-time updates
-      game.socket.emit(this.socketId, {
-        type: SOCKET_EVENTS.VENDOR_DELETED,
-        vendorId: vendorId
-      });
-      
-      return true;
-    } catch (error) {
-      console.error('Error deleting vendor:', error);
-      return false;
-    }
+    const result = await this.writeQueue.submit({ type: 'delete', vendorId });
+    if (!result.success) console.error('Error deleting vendor:', result.error);
+    return result.success;
   }
 
   /**
@@ -96,42 +559,142 @@ export default class VendorDataManager {
    * @param {string} vendorId - The vendor ID
    * @param {string} vendorItemId - The vendor item ID
    * @param {number} change - The quantity change (positive or negative)
+   * @param {string|null} [requestId=null] - Request of the purchase, whose own held units may be taken
+   * @returns {Promise<boolean>} True if successful, false if the item is gone or has fewer units than removed
+   *   besides those held for other purchases
+   */
+  async updateItemQuantityInVendor(vendorId, vendorItemId, change, requestId = null) {
+    const result = await this.writeQueue.submit({ type: 'quantity', vendorId, vendorItemId, change, requestId });
+    if (result.error) console.error('Error updating item quantity:', result.error);
+    return result.success;
+  }
+
+  /**
+   * Returns units of an item to a vendor, re-adding the item if it was removed at zero stock
+   * @param {string} vendorId - The vendor ID
+   * @param {Object} itemData - Snapshot of the vendor item taken before the units were removed
+   * @param {number} quantity - Number of units to give back
+   * @param {number} [index=-1] - Position to re-insert the item at if it is missing
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
-  async updateItemQuantityInVendor(vendorId, vendorItemId, change) {
-    try {
-      const vendor = this.getVendor(vendorId);
-      if (!vendor) return false;
-
-      const itemIndex = vendor.items.findIndex(item => item.id === vendorItemId);
-      if (itemIndex === -1) return false;
-
-      const item = vendor.items[itemIndex];
-      const currentQuantity = item.quantity || 1;
-      const newQuantity = Math.max(0, currentQuantity + change);
-
-      if (newQuantity <= 0) {
-        // Remove item if quantity reaches 0
-        vendor.items = vendor.items.filter(item => item.id !== vendorItemId);
-      } else {
-        // Update quantity
-        vendor.items[itemIndex].quantity = newQuantity;
-      }
+  async returnItemToVendor(vendorId, itemData, quantity, index = -1) {
+    const result = await this.writeQueue.submit({ type: 'return', vendorId, itemData, quantity, index });
+    if (result.error) console.error('Error returning item to vendor:', result.error);
+    return result.success;
+  }
 
-      await this.updateVendor(vendorId, vendor);
-      
-      // Emit socket event for item purchase
-      game.socket.emit(this.socketId, {
-        type: SOCKET_EVENTS.ITEM_PURCHASED,
-        vendorId: vendorId,
-        itemId: vendorItemId
+  /**
+   * Holds units of a vendor's items for a purchase while it waits for GM approval
+   * @param {string} vendorId - The vendor ID
+   * @param {string} requestId - The purchase request ID
+   * @param {string} userId - The player who asked
+   * @param {Array<{id: string, quantity: number}>} items - Items and quantities requested
+   * @param {number|null} [expiresAt=null] - Time the hold lapses on its own, or null to keep it until released
+   * @returns {Promise<boolean>} True if the units were held, false if they are no longer available
+   */
+  async holdStock(vendorId, requestId, userId, items, expiresAt = null) {
+    const quantities = {};
+    for (const item of items) quantities[item.id] = (quantities[item.id] || 0) + item.quantity;
+
+    const result = await this.writeQueue.submit({ type: 'hold', vendorId, requestId, userId, items: quantities, expiresAt });
+    if (result.error) console.error('Error holding vendor stock:', result.error);
+    return result.success;
+  }
+
+  /**
+   * Releases held stock
+   * @param {Object} [filter={}] - Which holds to release; all of them when empty
+   * @param {string} [filter.vendorId] - Only on this vendor
+   * @param {string} [filter.requestId] - Only this request's hold
+   * @param {string} [filter.userId] - Only this player's holds
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async releaseHolds({ vendorId = null, requestId = null, userId = null } = {}) {
+    const result = await this.writeQueue.submit({ type: 'releaseHolds', vendorId, requestId, userId });
+    if (result.error) console.error('Error releasing vendor stock:', result.error);
+    return result.success;
+  }
+
+  /**
+   * Restocks a vendor
+   * @param {string} vendorId - The vendor ID
+   * @param {Object} restock
+   * @param {Array<Object>|null} restock.items - Freshly rolled items, or null to refill the items the vendor started with
+   * @param {number} restock.restockedAt - World time recorded as the vendor's last restock
+   * @param {number|null} [restock.expectedLastRestock] - For scheduled restocks, the last restock they follow;
+   *   the restock is skipped if the vendor restocked since
+   * @returns {Promise<boolean>} True if the vendor's stock changed
+   */
+  async restockVendor(vendorId, { items, restockedAt, expectedLastRestock }) {
+    const result = await this.writeQueue.submit({ type: 'restock', vendorId, items, restockedAt, expectedLastRestock });
+    if (!result.success) console.error('Error restocking vendor:', result.error);
+    return !!result.changed;
+  }
+
+  /**
+   * Gets the coins a vendor has for giving change
+   * @param {string} vendorId - The vendor ID
+   * @returns {Object<string, number>|null} Coin counts by name, or null if the vendor has unlimited change
+   */
+  getCoinFloat(vendorId) {
+    const coinFloat = this.getVendor(vendorId)?.coinFloat;
+    return coinFloat ? { ...coinFloat } : null;
+  }
+
+  /**
+   * Replaces the coins a vendor has for giving change
+   * @param {string} vendorId - The vendor ID
+   * @param {Object<string, number>|null} coinFloat - Coin counts by name, or null for unlimited change
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async updateCoinFloat(vendorId, coinFloat) {
+    const vendor = this.getVendor(vendorId);
+    if (!vendor) return false;
+    return this.updateVendor(vendorId, { ...vendor, coinFloat });
+  }
+
+  /**
+   * Adds coins to and takes coins from a vendor's change
+   * @param {string} vendorId - The vendor ID
+   * @param {Object<string, number>} changes - Coins to add by name; negative counts are taken out
+   * @returns {Promise<boolean>} True if successful, false if the vendor has unlimited change or no longer has
+   *   the coins to take
+   */
+  async adjustCoinFloat(vendorId, changes) {
+    const result = await this.writeQueue.submit({ type: 'coinFloat', vendorId, changes });
+    if (result.error) console.error("Error updating the vendor's coins:", result.error);
+    return result.success;
+  }
+
+  /**
+   * Gets the currencies a vendor takes and the rate it takes them at. Vendors that don't list any
+   * take only the main currency. Currencies that no longer exist are left out.
+   * @param {string} vendorId - The vendor ID
+   * @returns {Array<{currencyId: string, name: string, symbol: string, rate: number}>} Accepted currencies,
+   *   with the rate in main currency units per unit (the vendor's own rate or the configured one)
+   */
+  getAcceptedCurrencies(vendorId) {
+    const vendor = this.getVendor(vendorId);
+    const currencyManager = game.modules.get(this.moduleId)?.api?.system.currencyManager;
+    if (!vendor || !currencyManager) return [];
+
+    const accepted = Array.isArray(vendor.acceptedCurrencies) && vendor.acceptedCurrencies.length > 0
+      ? vendor.acceptedCurrencies
+      : [{ currencyId: BASE_CURRENCY_ID, rate: null }];
+
+    const currencies = [];
+    for (const { currencyId, rate } of accepted) {
+      const system = currencyManager.getCurrencySystem(currencyId);
+      if (!system) continue;
+      const ownRate = Number(rate);
+      currencies.push({
+        currencyId: system.id,
+        name: system.name,
+        symbol: system.symbol,
+        rate: system.id !== BASE_CURRENCY_ID && ownRate > 0 ? ownRate : currencyManager.getExchangeRate(system.id)
       });
-      
-      return true;
-    } catch (error) {
-      console.error('Error updating item quantity:', error);
-      return false;
     }
+    return currencies.filter(currency => currency.rate > 0);
   }
 
   /**
@@ -5,6 +5,8 @@
 
 import VendorWalletSystem from './main.js';
 import VendorItemEditApplication from './vendor-item-edit-app.js';
+import FormUtilities from './form-utilities.js';
+import { getAvailableQuantity, withStockHolds } from './stock-holds.js';
 
 /**
  * @class VendorDisplayApplication
@@ -59,10 +61,10 @@ export default class VendorDisplayApplication extends foundry.applications.api.H
       return { error: 'Vendor not found' };
     }
 
-    const wallet = VendorWalletSystem.currencyManager.getUserWallet(game.user.id);
+    const wallet = await VendorWalletSystem.currencyManager.getUserWallet(game.user.id);
 
     return {
-      vendor,
+      vendor: withStockHolds(vendor),
       wallet,
       isGM: game.user.isGM
     };
@@ -97,6 +99,13 @@ export default class VendorDisplayApplication extends foundry.applications.api.H
    * @returns {void}
    */
   _onClickEditItem(event) {
+    const rerollButton = event.target.closest('.reroll-item-btn');
+    if (rerollButton) {
+      event.preventDefault();
+      this._rerollItem(rerollButton.dataset.itemId);
+      return;
+    }
+
     if (event.target.closest('.edit-item-btn')) {
       event.preventDefault();
       const button = event.target.closest('.edit-item-btn');
@@ -109,6 +118,34 @@ export default class VendorDisplayApplication extends foundry.applications.api.H
     }
   }
 
+  /**
+   * Replaces an item with a fresh one rolled from the vendor's settings (GM only)
+   * @param {string} itemId - The vendor item to replace
+   * @returns {Promise<void>}
+   */
+  async _rerollItem(itemId) {
+    const vendor = VendorWalletSystem.getVendor(this.vendorId);
+    const item = vendor?.items.find(item => item.id === itemId);
+    if (!item) return;
+
+    const items = await FormUtilities.rerollItem(vendor, itemId);
+    if (!items) {
+      ui.notifications.warn(`No other item matches the settings of ${vendor.name}.`);
+      return;
+    }
+    const replacement = items.find(other => !vendor.items.some(existing => existing.id === other.id));
+
+    // The new item also takes the old one's place in the stock the vendor refills to
+    const updated = { ...vendor, items };
+    if (vendor.restock?.baseline) {
+      updated.restock = { ...vendor.restock, baseline: vendor.restock.baseline.map(entry => entry.id === itemId ? replacement : entry) };
+    }
+    if (!await VendorWalletSystem.updateVendor(this.vendorId, updated)) return;
+
+    ui.notifications.info(`${item.name} was replaced with ${replacement.name}.`);
+    this.render();
+  }
+
   /**
    * Handles item purchase clicks
    * @param {Event} event - The click event
@@ -123,6 +160,11 @@ export default class VendorDisplayApplication extends foundry.applications.api.H
     const item = vendor?.items.find(i => i.id === itemId);
     
     if (!item) return;
+    const available = getAvailableQuantity(vendor, item);
+    if (available === 0) {
+      ui.notifications.warn(`${item.name} is on hold for another purchase.`);
+      return;
+    }
 
     // Get quantity from user
     const quantity = await Dialog.prompt({
@@ -130,7 +172,7 @@ export default class VendorDisplayApplication extends foundry.applications.api.H
       content: `
         <div class="form-group">
           <label class="boi-destaque-forte">Quantity:</label>
-          <input type="number" id="quantity" value="1" min="1" ${item.quantity !== undefined ? `max="${item.quantity}"` : ''}>
+          <input type="number" id="quantity" value="1" min="1" ${available !== undefined ? `max="${available}"` : ''}>
         </div>
         <div class="form-group">
           <label class="boi-destaque-forte">Price per item:</label>
@@ -5,6 +5,8 @@
 
 import VendorWalletSystem from './main.js';
 import FormUtilities from './form-utilities.js';
+import { BASE_CURRENCY_ID } from './constants.js';
+import { RESTOCK_MODES } from './restock-rules.js';
 
 /**
  * @class VendorEditApplication
@@ -66,6 +68,9 @@ export default class VendorEditApplication extends foundry.applications.api.Hand
    */
   async _prepareContext() {
     const vendor = { ...VendorWalletSystem.getVendor(this.vendorId) };
+
+    // Saved changes start from the vendor as shown, so purchases made while the form is open aren't overwritten
+    this._vendorSnapshot = foundry.utils.deepClone(vendor);
     if (vendor.stockMin === undefined) vendor.stockMin = 1;
     if (vendor.stockMax === undefined) vendor.stockMax = 1;
     const compendiums = game.packs.filter(p => p.documentName === 'Item').map(p => ({
@@ -73,9 +78,51 @@ export default class VendorEditApplication extends foundry.applications.api.Hand
       name: p.title
     }));
 
+    // Coins the vendor keeps for change; only used with character sheet currency
+    const coinFloat = vendor.coinFloat || {};
+    const floatCoins = VendorWalletSystem.getCurrencyDenominations().map(denomination => ({
+      name: denomination.name,
+      count: Number(coinFloat[denomination.name]) || 0
+    }));
+
+    // Currencies the vendor takes; vendors that list none take only the main currency
+    const currencySystems = VendorWalletSystem.getCurrencySystems();
+    const listed = Array.isArray(vendor.acceptedCurrencies) && vendor.acceptedCurrencies.length > 0
+      ? vendor.acceptedCurrencies
+      : [{ currencyId: BASE_CURRENCY_ID, rate: null }];
+    const acceptedCurrencies = currencySystems.map(system => {
+      const entry = listed.find(accepted => accepted.currencyId === system.id);
+      return {
+        id: system.id,
+        name: system.name,
+        symbol: system.symbol,
+        isBase: system.id === BASE_CURRENCY_ID,
+        accepted: !!entry,
+        rate: entry?.rate ?? '',
+        defaultRate: system.rate
+      };
+    });
+
+    const restockMode = vendor.restock?.mode ?? RESTOCK_MODES.NONE;
+    const restockModes = [
+      { value: RESTOCK_MODES.NONE, label: 'Never' },
+      { value: RESTOCK_MODES.REFILL, label: 'Refill to the original quantities' },
+      { value: RESTOCK_MODES.REROLL, label: 'Roll fresh items' }
+    ].map(option => ({ ...option, selected: option.value === restockMode }));
+
     return { 
       vendor,
-      compendiums
+      compendiums,
+      restockModes,
+      restockIntervalDays: vendor.restock?.intervalDays ?? 7,
+      showCoinFloat: !VendorWalletSystem.getUseModuleCurrencySystem(),
+      limitChange: !!vendor.coinFloat,
+      floatCoins,
+      moneyChangerEnabled: !!vendor.moneyChanger?.enabled,
+      moneyChangerFee: vendor.moneyChanger?.fee ?? '',
+      defaultMoneyChangerFee: game.settings.get(VendorWalletSystem.ID, 'moneyChangerFee'),
+      showAcceptedCurrencies: currencySystems.length > 1,
+      acceptedCurrencies
     };
   }
 
@@ -104,12 +151,12 @@ export default class VendorEditApplication extends foundry.applications.api.Hand
     
     // Store bound handlers for later removal
     this._currencyFocusHandler = (e) => {
-      e.target.value = e.target.value.replace(/[^0-9.-]+/g, '');
+      e.target.value = String(VendorWalletSystem.parseCurrency(e.target.value));
     };
     
+    // Any display style can be typed, e.g. "2g 5s"
     this._currencyBlurHandler = (e) => {
-      const value = parseFloat(e.target.value.replace(/[^0-9.-]+/g, '')) || 0;
-      e.target.value = VendorWalletSystem.formatCurrency(value);
+      e.target.value = VendorWalletSystem.formatCurrency(VendorWalletSystem.parseCurrency(e.target.value));
     };
     
     this._currencyFields.forEach(field => {
@@ -117,8 +164,7 @@ export default class VendorEditApplication extends foundry.applications.api.Hand
       field.addEventListener('blur', this._currencyBlurHandler);
       
       // Format initial values
-      const value = parseFloat(field.value.replace(/[^0-9.-]+/g, '')) || 0;
-      field.value = VendorWalletSystem.formatCurrency(value);
+      field.value = VendorWalletSystem.formatCurrency(VendorWalletSystem.parseCurrency(field.value));
     });
   }
 
@@ -181,6 +227,71 @@ export default class VendorEditApplication extends foundry.applications.api.Hand
     }
   }
 
+  /**
+   * Reads the vendor's coin float from the form
+   * @returns {Object<string, number>} Coin counts by name
+   * @private
+   */
+  _readCoinFloat() {
+    const coinFloat = {};
+    for (const input of this.element.querySelectorAll('.coin-float-input')) {
+      coinFloat[input.dataset.coinName] = Math.max(0, parseInt(input.value, 10) || 0);
+    }
+    return coinFloat;
+  }
+
+  /**
+   * Reads the vendor's coin float from the form, leaving the coins the GM didn't touch as they were stored,
+   * so coins taken in while the form was open aren't counted as an edit
+   * @param {Object<string, number>|null} shown - The coin float the form was opened with
+   * @returns {Object<string, number>} Coin counts by name
+   * @private
+   */
+  _readChangedCoinFloat(shown) {
+    const coinFloat = { ...shown };
+    for (const [name, count] of Object.entries(this._readCoinFloat())) {
+      if (count !== (Number(shown?.[name]) || 0)) coinFloat[name] = count;
+    }
+    return coinFloat;
+  }
+
+  /**
+   * Reads the currencies the vendor accepts from the form
+   * @returns {Array<{currencyId: string, rate: number|null}>} Accepted currencies; a null rate uses the configured one
+   * @private
+   */
+  _readAcceptedCurrencies() {
+    const acceptedCurrencies = [];
+    for (const checkbox of this.element.querySelectorAll('.accepted-currency-input:checked')) {
+      const currencyId = checkbox.dataset.currencyId;
+      const rate = parseFloat(this.element.querySelector(`.accepted-currency-rate[data-currency-id="${currencyId}"]`)?.value);
+      acceptedCurrencies.push({ currencyId, rate: Number.isFinite(rate) && rate > 0 ? rate : null });
+    }
+    return acceptedCurrencies;
+  }
+
+  /**
+   * Reads the vendor's restock rule from the form. A changed rule starts counting from now, and regenerated
+   * items become the stock the vendor refills to.
+   * @param {Object} vendor - The vendor as the form was opened with it
+   * @param {Array<Object>} items - The vendor's items after saving
+   * @param {boolean} regenerated - Whether the items were just regenerated
+   * @returns {Object} The restock rule
+   * @private
+   */
+  _readRestock(vendor, items, regenerated) {
+    const formData = new FormData(this.element.querySelector('form'));
+    const restock = { ...vendor.restock };
+    const mode = formData.get('restockMode') || RESTOCK_MODES.NONE;
+    const intervalDays = Math.max(0, parseFloat(formData.get('restockIntervalDays')) || 0);
+
+    if (mode !== restock.mode || intervalDays !== restock.intervalDays || restock.lastRestock === undefined) {
+      restock.lastRestock = game.time.worldTime;
+    }
+    if (regenerated || !restock.baseline) restock.baseline = items;
+    return { ...restock, mode, intervalDays };
+  }
+
   /**
    * Updates the vendor with form data
    * @returns {Promise<void>}
@@ -189,7 +300,7 @@ export default class VendorEditApplication extends foundry.applications.api.Hand
     const form = this.element.querySelector('form');
     const formData = new FormData(form);
 
-    const vendor = VendorWalletSystem.getVendor(this.vendorId);
+    const vendor = this._vendorSnapshot ?? VendorWalletSystem.getVendor(this.vendorId);
     const regenerateItems = formData.get('regenerateItems') === 'on';
 
     const tlFilterArray = FormUtilities.parseTLFilter(formData.get('tlFilter'));
@@ -222,11 +333,34 @@ export default class VendorEditApplication extends foundry.applications.api.Hand
       lcFilter: FormUtilities.parseLCFilter(formData.get('lcFilter'))
     };
 
+    if (this.element.querySelector('#limitChange')) {
+      updatedVendor.coinFloat = formData.get('limitChange') === 'on' ? this._readChangedCoinFloat(vendor.coinFloat) : null;
+    }
+
+    if (this.element.querySelector('.accepted-currency-input')) {
+      const acceptedCurrencies = this._readAcceptedCurrencies();
+      if (acceptedCurrencies.length === 0) {
+        ui.notifications.warn('A vendor must accept at least one currency.');
+        return;
+      }
+      updatedVendor.acceptedCurrencies = acceptedCurrencies;
+    }
+
+    if (this.element.querySelector('#moneyChangerEnabled')) {
+      // A blank fee falls back to the world's default money changer fee
+      const fee = parseFloat(formData.get('moneyChangerFee'));
+      updatedVendor.moneyChanger = {
+        enabled: formData.get('moneyChangerEnabled') === 'on',
+        fee: Number.isFinite(fee) ? Math.min(100, Math.max(0, fee)) : null
+      };
+    }
+
     if (regenerateItems) {
-      updatedVendor.items = await FormUtilities.generateRandomItems(updatedVendor);
+      updatedVendor.items = await FormUtilities.regenerateItems(updatedVendor);
     }
+    updatedVendor.restock = this._readRestock(vendor, updatedVendor.items, regenerateItems);
 
-    await VendorWalletSystem.updateVendor(this.vendorId, updatedVendor);
+    if (!await VendorWalletSystem.updateVendor(this.vendorId, updatedVendor)) return;
 
     ui.notifications.info(`Vendor ${updatedVendor.name} updated successfully!`);
     this.close();
@@ -4,6 +4,7 @@
  */
 
 import VendorWalletSystem from './main.js';
+import FormUtilities from './form-utilities.js';
 
 /**
  * @class VendorItemEditApplication
@@ -49,10 +50,14 @@ export default class VendorItemEditApplication extends foundry.applications.api.
   async _prepareContext() {
     const vendor = VendorWalletSystem.getVendor(this.vendorId);
     const item = vendor?.items.find(item => item.id === this.itemId);
+
+    // Saved changes start from the vendor as shown, so stock sold while the form is open isn't overwritten
+    this._vendorSnapshot = vendor;
     
     return { 
       item,
-      vendor: vendor
+      vendor: vendor,
+      kept: !!item && FormUtilities.isKeptOnRegenerate(item)
     };
   }
 
@@ -105,8 +110,8 @@ export default class VendorItemEditApplication extends foundry.applications.api.
     const form = this.element.querySelector('form');
     const formData = new FormData(form);
     
-    const vendor = VendorWalletSystem.getVendor(this.vendorId);
-    const itemIndex = vendor.items.findIndex(item => item.id === this.itemId);
+    const vendor = foundry.utils.deepClone(this._vendorSnapshot ?? VendorWalletSystem.getVendor(this.vendorId));
+    const itemIndex = vendor?.items.findIndex(item => item.id === this.itemId) ?? -1;
     
     if (itemIndex === -1) {
       ui.notifications.error('Item not found!');
@@ -114,15 +119,26 @@ export default class VendorItemEditApplication extends foundry.applications.api.
     }
 
     // Update the item data
-    vendor.items[itemIndex] = {
-      ...vendor.items[itemIndex],
+    const item = vendor.items[itemIndex];
+    const changes = {
       name: formData.get('itemName'),
-      price: parseInt(formData.get('itemPrice')),
+      price: VendorWalletSystem.parseCurrency(formData.get('itemPrice')),
       weight: parseFloat(formData.get('itemWeight')) || 0,
       quantity: parseInt(formData.get('itemQuantity')) || 1
     };
+    const before = { name: item.name, price: Number(item.price) || 0, weight: Number(item.weight) || 0, quantity: item.quantity };
+    const edited = Object.keys(changes).some(key => changes[key] !== before[key]);
+    const pinned = formData.get('itemPinned') === 'on';
+
+    // Hand-edited items survive regeneration; unticking "keep" without editing lets the slot be rerolled again
+    vendor.items[itemIndex] = {
+      ...item,
+      ...changes,
+      pinned,
+      edited: edited || (pinned && !!item.edited)
+    };
 
-    await VendorWalletSystem.updateVendor(this.vendorId, vendor);
+    if (!await VendorWalletSystem.updateVendor(this.vendorId, vendor)) return;
     
     ui.notifications.info('Item updated successfully!');
     this.close();
@@ -141,10 +157,10 @@ export default class VendorItemEditApplication extends foundry.applications.api.
     });
 
     if (confirmed) {
-      const vendor = VendorWalletSystem.getVendor(this.vendorId);
+      const vendor = foundry.utils.deepClone(this._vendorSnapshot ?? VendorWalletSystem.getVendor(this.vendorId));
       vendor.items = vendor.items.filter(item => item.id !== this.itemId);
       
-      await VendorWalletSystem.updateVendor(this.vendorId, vendor);
+      if (!await VendorWalletSystem.updateVendor(this.vendorId, vendor)) return;
       
       ui.notifications.info('Item removed from vendor!');
       this.close();
@@ -4,6 +4,8 @@
  */
 
 import VendorWalletSystem from './main.js';
+import FormUtilities from './form-utilities.js';
+import { RESTOCK_MODES } from './restock-rules.js';
 
 /**
  * @class VendorManagerApplication
@@ -46,12 +48,27 @@ export default class VendorManagerApplication extends foundry.applications.api.H
     const vendors = Object.entries(allVendors).map(([id, vendor]) => ({
       id,
       ...vendor,
-      itemCount: vendor.items ? vendor.items.length : 0
+      itemCount: vendor.items ? vendor.items.length : 0,
+      restockLabel: this._describeRestock(vendor)
     }));
 
     return { vendors };
   }
 
+  /**
+   * Describes a vendor's restock rule for the list
+   * @param {Object} vendor - Vendor data
+   * @returns {string|null} Description, or null if the vendor doesn't restock on its own
+   * @private
+   */
+  _describeRestock(vendor) {
+    const { mode, intervalDays } = vendor.restock || {};
+    if (VendorWalletSystem.vendorRestocker.getNextRestockTime(vendor) === null) return null;
+    const days = Number(intervalDays);
+    const what = mode === RESTOCK_MODES.REROLL ? 'new items' : 'restocks';
+    return `${what} every ${days} day${days === 1 ? '' : 's'}`;
+  }
+
   /**
    * Handles rendering events by setting up event listeners
    * @returns {void}
@@ -97,6 +114,12 @@ export default class VendorManagerApplication extends foundry.applications.api.H
       case 'toggle':
         await this._toggleVendorActive(vendorId);
         break;
+      case 'restock':
+        await this._restockVendor(vendorId);
+        break;
+      case 'regenerate':
+        await this._regenerateVendor(vendorId);
+        break;
       case 'view':
         // Get the API from the module
         const api2 = game.modules.get('gurps-instant-bazaar').api;
@@ -120,7 +143,10 @@ export default class VendorManagerApplication extends foundry.applications.api.H
     });
 
     if (confirmed) {
-      await VendorWalletSystem.deleteVendor(vendorId);
+      if (!await VendorWalletSystem.deleteVendor(vendorId)) {
+        ui.notifications.error(`Failed to delete vendor "${vendor.name}". Check console for details.`);
+        return;
+      }
       ui.notifications.info(`Vendor "${vendor.name}" has been deleted.`);
       this.render();
     }
@@ -136,12 +162,52 @@ export default class VendorManagerApplication extends foundry.applications.api.H
     if (!vendor) return;
 
     vendor.active = !vendor.active;
-    await VendorWalletSystem.updateVendor(vendorId, vendor);
+    if (!await VendorWalletSystem.updateVendor(vendorId, vendor)) return;
     
     const status = vendor.active ? 'activated' : 'deactivated';
     ui.notifications.info(`Vendor "${vendor.name}" has been ${status}.`);
   }
 
+  /**
+   * Restocks a vendor now, following its restock rule (refilling its original stock unless it rolls new items)
+   * @param {string} vendorId - The vendor ID to restock
+   * @returns {Promise<void>}
+   */
+  async _restockVendor(vendorId) {
+    const vendor = VendorWalletSystem.getVendor(vendorId);
+    if (!vendor) return;
+
+    if (await VendorWalletSystem.vendorRestocker.restockVendor(vendorId, { manual: true })) {
+      ui.notifications.info(`Vendor "${vendor.name}" has been restocked.`);
+    } else {
+      ui.notifications.info(`Vendor "${vendor.name}" already has all of its stock.`);
+    }
+    this.render();
+  }
+
+  /**
+   * Rolls a vendor's items again from its saved settings after confirmation, keeping pinned and hand-edited items
+   * @param {string} vendorId - The vendor ID to regenerate
+   * @returns {Promise<void>}
+   */
+  async _regenerateVendor(vendorId) {
+    const vendor = VendorWalletSystem.getVendor(vendorId);
+    if (!vendor) return;
+
+    const confirmed = await Dialog.confirm({
+      title: 'Regenerate Items',
+      content: `<p>Replace the items of vendor "${vendor.name}" with a fresh roll from its settings?</p><p>Pinned and hand-edited items are kept.</p>`
+    });
+    if (!confirmed) return;
+
+    // The new items are also what the vendor refills to when it restocks
+    const items = await FormUtilities.regenerateItems(vendor);
+    if (!await VendorWalletSystem.updateVendor(vendorId, { ...vendor, items, restock: { ...vendor.restock, baseline: items } })) return;
+
+    ui.notifications.info(`Vendor "${vendor.name}" now has ${items.length} items.`);
+    this.render();
+  }
+
   /**
    * Static method to refresh all open vendor manager applications
    * @returns {void}
@@ -0,0 +1,42 @@
+/**
+ * @file Vendor storage migration
+ * @description Moves vendors from the single `vendors` world setting into one journal entry each
+ */
+
+/** @type {number} Current vendor storage version; bump when vendor storage changes again */
+export const VENDOR_STORAGE_VERSION = 1;
+
+/**
+ * Moves every vendor from the `vendors` setting into its own journal entry (GM only), then empties the
+ * setting. If any vendor fails, the setting is kept and the migration runs again at the next login.
+ * @param {string} moduleId - The module identifier
+ * @param {VendorDataManager} vendorDataManager - Used to write the vendor entries
+ * @returns {Promise<void>}
+ */
+export async function migrateVendors(moduleId, vendorDataManager) {
+  if (!game.user.isGM) return;
+
+  const storedVersion = Number(game.settings.get(moduleId, 'vendorStorageVersion')) || 0;
+  if (storedVersion >= VENDOR_STORAGE_VERSION) return;
+
+  const vendors = Object.entries(game.settings.get(moduleId, 'vendors') || {});
+  try {
+    for (const [vendorId, vendor] of vendors) {
+      await vendorDataManager.writeVendorEntry(vendorId, vendor);
+    }
+
+    await game.settings.set(moduleId, 'vendorStorageVersion', VENDOR_STORAGE_VERSION);
+    await game.settings.set(moduleId, 'vendors', {});
+  } catch (error) {
+    console.error('Error moving vendors into journal entries:', error);
+    ui.notifications.error('Failed to move vendors into journal entries. Check console for details.');
+    return;
+  }
+
+  if (vendors.length > 0) {
+    if (game.modules.get(moduleId)?.api?.system.getDebugMode()) {
+      console.log(`Moved vendors into journal entries: ${vendors.map(([_, vendor]) => vendor.name).join(', ')}.`);
+    }
+    ui.notifications.info(`Vendors are now stored as journal entries. Moved ${vendors.length} vendor${vendors.length > 1 ? 's' : ''}.`);
+  }
+}
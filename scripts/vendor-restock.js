@@ -0,0 +1,113 @@
+/**
+ * @file Vendor restocking
+ * @description Restocks vendors on a schedule in in-game days, or when the GM asks, and announces it in chat
+ */
+
+import FormUtilities from './form-utilities.js';
+import { RESTOCK_MODES, SECONDS_PER_DAY } from './restock-rules.js';
+
+/**
+ * @class VendorRestocker
+ * @description Restocks vendors whose restock interval has passed in game time
+ */
+export default class VendorRestocker {
+  /**
+   * @param {string} moduleId - The module identifier
+   * @param {VendorDataManager} vendorDataManager - The vendor data manager instance
+   */
+  constructor(moduleId, vendorDataManager) {
+    this.moduleId = moduleId;
+    this.vendorDataManager = vendorDataManager;
+
+    /** @type {Set<string>} Vendors being restocked, so quick successive time changes restock them only once */
+    this._restocking = new Set();
+  }
+
+  /**
+   * Gets when a vendor next restocks on its own
+   * @param {Object} vendor - Vendor data
+   * @returns {number|null} World time in seconds, or null if the vendor doesn't restock on a schedule
+   */
+  getNextRestockTime(vendor) {
+    const { mode, intervalDays, lastRestock } = vendor?.restock || {};
+    const interval = Number(intervalDays) * SECONDS_PER_DAY;
+    if (!mode || mode === RESTOCK_MODES.NONE || !(interval > 0)) return null;
+    return (Number(lastRestock) || 0) + interval;
+  }
+
+  /**
+   * Restocks every vendor whose restock time has come (GM only)
+   * @param {number} [worldTime=game.time.worldTime] - Current world time in seconds
+   * @returns {Promise<void>}
+   */
+  async restockDueVendors(worldTime = game.time.worldTime) {
+    if (!game.user.isGM) return;
+
+    for (const [vendorId, vendor] of Object.entries(this.vendorDataManager.getVendors())) {
+      const next = this.getNextRestockTime(vendor);
+      if (next !== null && worldTime >= next) await this.restockVendor(vendorId, { worldTime });
+    }
+  }
+
+  /**
+   * Restocks a vendor following its restock rule (GM only). Scheduled restocks keep to the schedule: if
+   * several intervals passed at once, the vendor restocks once and the next restock is an interval after
+   * the last one that was due.
+   * @param {string} vendorId - The vendor ID
+   * @param {Object} [options]
+   * @param {number} [options.worldTime=game.time.worldTime] - Current world time in seconds
+   * @param {boolean} [options.manual=false] - Restock now, whether or not it is due
+   * @returns {Promise<boolean>} True if the vendor's stock changed
+   */
+  async restockVendor(vendorId, { worldTime = game.time.worldTime, manual = false } = {}) {
+    if (!game.user.isGM || this._restocking.has(vendorId)) return false;
+
+    this._restocking.add(vendorId);
+    try {
+      const vendor = this.vendorDataManager.getVendor(vendorId);
+      if (!vendor) return false;
+
+      const rule = vendor.restock || {};
+      let restockedAt = worldTime;
+      if (!manual) {
+        const next = this.getNextRestockTime(vendor);
+        if (next === null || worldTime < next) return false;
+        const interval = Number(rule.intervalDays) * SECONDS_PER_DAY;
+        restockedAt = next + Math.floor((worldTime - next) / interval) * interval;
+      }
+
+      const items = rule.mode === RESTOCK_MODES.REROLL ? await FormUtilities.regenerateItems(vendor) : null;
+      const changed = await this.vendorDataManager.restockVendor(vendorId, {
+        items,
+        restockedAt,
+        // A scheduled restock is skipped if another one got there first
+        expectedLastRestock: manual ? undefined : rule.lastRestock ?? null
+      });
+      if (changed && vendor.active !== false) await this._announceRestock(vendor);
+      return changed;
+    } catch (error) {
+      console.error(`Error restocking vendor ${vendorId}:`, error);
+      ui.notifications.error('Failed to restock the vendor. Check console for details.');
+      return false;
+    } finally {
+      this._restocking.delete(vendorId);
+    }
+  }
+
+  /**
+   * Posts a chat note that a vendor has new stock
+   * @param {Object} vendor - Vendor data
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _announceRestock(vendor) {
+    try {
+      await ChatMessage.create({
+        speaker: { alias: vendor.name },
+        content: `<p><strong>${foundry.utils.escapeHTML(vendor.name)}</strong> received new stock.</p>`
+      });
+    } catch (error) {
+      console.error('Error announcing vendor restock:', error);
+    }
+  }
+}
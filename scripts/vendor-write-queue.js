@@ -0,0 +1,125 @@
+/**
+ * @file Vendor write queue
+ * @description Runs every vendor change one at a time on the handling GM's client, so changes made close
+ * together are applied in order against the latest data
+ */
+
+import { SOCKET_EVENTS } from './socket-events.js';
+
+/**
+ * @class VendorWriteQueue
+ * @description Serializes vendor writes. The handling GM applies them in the order they arrive; other GMs
+ * send theirs to the handling GM over the socket and wait for the result.
+ */
+export default class VendorWriteQueue {
+  /** @type {number} How long another GM waits for the handling GM to apply a change */
+  static TIMEOUT_MS = 30000;
+
+  /**
+   * @param {string} moduleId - The module identifier
+   * @param {string} socketId - The socket identifier for communication
+   * @param {Function} applyOperation - Async function applying one operation and returning
+   *   {success: boolean, conflict?: boolean, error?: string}
+   */
+  constructor(moduleId, socketId, applyOperation) {
+    this.moduleId = moduleId;
+    this.socketId = socketId;
+    this._applyOperation = applyOperation;
+
+    /** @type {Promise<void>} End of the queue; each operation starts once the previous one has finished */
+    this._tail = Promise.resolve();
+
+    /** @type {Map<string, {resolve: Function, timer: number}>} Operations sent to the handling GM, by request ID */
+    this._pending = new Map();
+  }
+
+  /**
+   * Gets the coordinator that decides which GM handles requests
+   * @returns {GMCoordinator|null} The coordinator, if the module is initialized
+   * @private
+   */
+  _getCoordinator() {
+    // Get API to avoid circular imports
+    return game.modules.get(this.moduleId)?.api?.system.gmCoordinator ?? null;
+  }
+
+  /**
+   * Submits a vendor change: queued here on the handling GM, sent to the handling GM from other GMs.
+   * Players are refused, even when no GM is connected.
+   * @param {Object} operation - The change; `type` names it, the other fields are its arguments
+   * @returns {Promise<{success: boolean, conflict?: boolean, error?: string}>} The outcome
+   */
+  submit(operation) {
+    if (!game.user.isGM) return Promise.resolve({ success: false, error: 'Only a GM can change vendors.' });
+
+    const coordinator = this._getCoordinator();
+    const handler = coordinator?.getHandlerGM();
+    if (!coordinator || !handler || coordinator.isHandler()) return this._enqueue(operation);
+
+    return new Promise(resolve => {
+      const requestId = foundry.utils.randomID();
+      const timer = setTimeout(() => {
+        this._pending.delete(requestId);
+        console.warn(`No answer from ${handler.name} for vendor change ${requestId}.`);
+        resolve({ success: false, error: `${handler.name} did not answer.` });
+      }, VendorWriteQueue.TIMEOUT_MS);
+
+      this._pending.set(requestId, { resolve, timer });
+      game.socket.emit(this.socketId, {
+        type: SOCKET_EVENTS.VENDOR_WRITE_REQUEST,
+        requestId,
+        operation
+      });
+    });
+  }
+
+  /**
+   * Adds an operation to the end of the local queue
+   * @param {Object} operation - The change
+   * @returns {Promise<{success: boolean, conflict?: boolean, error?: string}>} The outcome once it has run
+   * @private
+   */
+  _enqueue(operation) {
+    const run = this._tail.then(() => this._applyOperation(operation));
+    this._tail = run.then(() => {}, () => {});
+    return run.catch(error => {
+      console.error(`Error applying vendor change ${operation.type}:`, error);
+      return { success: false, error: error.message };
+    });
+  }
+
+  /**
+   * Handles vendor write requests (handling GM) and their results (requesting GM)
+   * @param {Object} data - The socket event data
+   * @param {string} [senderId] - User ID of the socket sender
+   * @returns {Promise<Object|undefined>} The outcome of a request this client applied
+   */
+  async handleSocketEvent(data, senderId) {
+    switch (data.type) {
+      case SOCKET_EVENTS.VENDOR_WRITE_REQUEST: {
+        if (!this._getCoordinator()?.isHandler()) return;
+
+        const result = game.users.get(senderId)?.isGM
+          ? await this._enqueue(data.operation)
+          : { success: false, error: 'Only a GM can change vendors.' };
+        game.socket.emit(this.socketId, {
+          type: SOCKET_EVENTS.VENDOR_WRITE_RESULT,
+          requestId: data.requestId,
+          recipientId: senderId,
+          result
+        });
+        return result;
+      }
+      case SOCKET_EVENTS.VENDOR_WRITE_RESULT: {
+        if (data.recipientId !== game.user.id) return;
+
+        const pending = this._pending.get(data.requestId);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        this._pending.delete(data.requestId);
+        pending.resolve(data.result);
+        break;
+      }
+    }
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * @file Wallet conversion application
+ * @description Wizard shown after switching between the module currency and character sheet coins, to move every character's money to where it is now kept
+ */
+
+import VendorWalletSystem from './main.js';
+import { WALLET_STORES } from './currency.js';
+import {
+  planWalletConversion,
+  applyWalletConversion,
+  hasWalletConversionBackup,
+  restoreWalletConversion
+} from './wallet-conversion.js';
+
+/**
+ * Gets the label of a wallet store
+ * @param {string} store - One of {@link WALLET_STORES}
+ * @returns {string} Label shown in the wizard
+ */
+function getStoreLabel(store) {
+  return store === WALLET_STORES.MODULE ? 'module wallets' : 'character sheet coins';
+}
+
+/**
+ * @class WalletConversionApplication
+ * @extends {foundry.applications.api.HandlebarsApplicationMixin}
+ * @description Application for previewing and moving every character's balances from one wallet store to the other
+ */
+export default class WalletConversionApplication extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {Object} options - Application options
+   * @param {string} [options.toStore] - Store the money moves into; defaults to where wallets are currently kept
+   */
+  constructor(options = {}) {
+    super(options);
+    this.toStore = options.toStore ?? VendorWalletSystem.currencyManager.getWalletStore();
+    this.fromStore = this.toStore === WALLET_STORES.MODULE ? WALLET_STORES.SHEET : WALLET_STORES.MODULE;
+    this.replace = false;
+
+    /** Bind event handlers for later removal */
+    this._boundOnClickButton = this._onClickButton.bind(this);
+    this._boundOnChange = this._onChange.bind(this);
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'wallet-conversion',
+    tag: 'form',
+    window: {
+      title: 'Convert Character Wallets',
+      icon: 'fas fa-exchange-alt'
+    },
+    position: {
+      width: 560,
+    },
+    classes: ['gurps-instant-bazaar']
+  };
+
+  static PARTS = {
+    content: {
+      template: 'modules/gurps-instant-bazaar/templates/wallet-conversion.hbs'
+    }
+  };
+
+  /**
+   * Prepares the context data for rendering the template
+   * @returns {Promise<Object>} Context object containing the direction and the dry-run report
+   */
+  async _prepareContext() {
+    const currencyManager = VendorWalletSystem.currencyManager;
+    const rows = await planWalletConversion(currencyManager, this.fromStore, this.toStore, { replace: this.replace });
+    const format = (minor, currencyId) => currencyManager.formatMinor(minor, currencyId);
+
+    return {
+      fromLabel: getStoreLabel(this.fromStore),
+      toLabel: getStoreLabel(this.toStore),
+      replace: this.replace,
+      rows: rows.map(row => ({
+        actorName: row.actorName,
+        currencyName: row.currencyName,
+        source: format(row.sourceMinor, row.currencyId),
+        target: format(row.targetMinor, row.currencyId),
+        targetAfter: format(row.targetAfterMinor, row.currencyId),
+        unpayable: row.unpayableMinor > 0 ? format(row.unpayableMinor, row.currencyId) : null,
+        overwritten: this.replace && row.targetMinor > 0 ? format(row.targetMinor, row.currencyId) : null
+      })),
+      hasRows: rows.length > 0,
+      showsPurseNote: this.toStore === WALLET_STORES.SHEET && game.settings.get(VendorWalletSystem.ID, 'enablePlayerPurse'),
+      canUndo: hasWalletConversionBackup(VendorWalletSystem.ID)
+    };
+  }
+
+  /**
+   * Handles rendering events by setting up event listeners
+   * @returns {void}
+   */
+  _onRender() {
+    this._cleanupListeners();
+    this.element.addEventListener('click', this._boundOnClickButton);
+    this.element.addEventListener('change', this._boundOnChange);
+  }
+
+  /**
+   * Cleans up event listeners to prevent duplicates
+   * @returns {void}
+   */
+  _cleanupListeners() {
+    if (!this.element) return;
+    this.element.removeEventListener('click', this._boundOnClickButton);
+    this.element.removeEventListener('change', this._boundOnChange);
+  }
+
+  /**
+   * Switches between adding to and replacing the target balances, and updates the report
+   * @param {Event} event - The change event
+   * @returns {void}
+   */
+  _onChange(event) {
+    if (event.target.name !== 'replace') return;
+    this.replace = event.target.checked;
+    this.render();
+  }
+
+  /**
+   * Handles button clicks
+   * @param {Event} event - The click event
+   * @returns {Promise<void>}
+   */
+  async _onClickButton(event) {
+    const action = event.target.closest('[data-action]')?.dataset.action;
+
+    switch (action) {
+      case 'convert':
+        event.preventDefault();
+        await this._convert();
+        break;
+      case 'undo':
+        event.preventDefault();
+        await this._undo();
+        break;
+      case 'skip':
+        ui.notifications.warn(`Wallets were not converted. Characters now use their ${getStoreLabel(this.toStore)}.`);
+        this.close();
+        break;
+    }
+  }
+
+  /**
+   * Backs up and moves every character's balances
+   * @returns {Promise<void>}
+   */
+  async _convert() {
+    const currencyManager = VendorWalletSystem.currencyManager;
+    const rows = await planWalletConversion(currencyManager, this.fromStore, this.toStore, { replace: this.replace });
+    const confirmed = await Dialog.confirm({
+      title: 'Convert Character Wallets',
+      content: `<p>Move the money of every listed character from their ${getStoreLabel(this.fromStore)} to their ${getStoreLabel(this.toStore)}? A backup is kept; undo it from this window or Currency Settings.</p>`
+    });
+    if (!confirmed) return;
+
+    const moved = await applyWalletConversion(VendorWalletSystem.ID, currencyManager, this.fromStore, this.toStore, rows);
+    ui.notifications.info(`Converted ${moved} balance${moved === 1 ? '' : 's'}.`);
+    VendorWalletSystem.refreshPlayerWindows();
+    this.close();
+  }
+
+  /**
+   * Puts back the balances and the currency mode from before the last conversion
+   * @returns {Promise<void>}
+   */
+  async _undo() {
+    const confirmed = await Dialog.confirm({
+      title: 'Undo Wallet Conversion',
+      content: '<p>Put every converted character\'s wallets back as they were and switch the currency mode back?</p>'
+    });
+    if (!confirmed) return;
+
+    if (await restoreWalletConversion(VendorWalletSystem.ID)) {
+      ui.notifications.info('Wallet conversion undone.');
+      VendorWalletSystem.refreshPlayerWindows();
+    }
+    this.close();
+  }
+
+  /**
+   * Closes the application and cleans up event listeners
+   * @param {Object} options - Close options
+   * @returns {Promise<any>} Result of the parent close method
+   */
+  async close(options) {
+    this._cleanupListeners();
+    return super.close(options);
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * @file Wallet store conversion
+ * @description Moves every character's balances between module wallets and character sheet coins when the currency mode changes
+ */
+
+import CurrencyManager, { WALLET_STORES, makeChange } from './currency.js';
+
+/** @type {boolean} Set while a conversion is being undone, so switching the mode back doesn't prompt again */
+let restoring = false;
+
+/**
+ * Checks whether a conversion is being undone
+ * @returns {boolean} True while restoreWalletConversion runs
+ */
+export function isRestoringWalletConversion() {
+  return restoring;
+}
+
+/**
+ * Gets the characters whose money is converted
+ * @returns {Array<Actor>} Player-owned characters
+ */
+function getConvertedActors() {
+  return game.actors.filter(actor => actor.type === 'character' && actor.hasPlayerOwner);
+}
+
+/**
+ * Works out the conversion without changing anything (dry run)
+ * @param {CurrencyManager} currencyManager - The currency manager
+ * @param {string} fromStore - Store the money moves out of, one of {@link WALLET_STORES}
+ * @param {string} toStore - Store the money moves into, one of {@link WALLET_STORES}
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Replace the balances already in the target store instead of adding to them
+ * @returns {Promise<Array<Object>>} One row per character and currency whose balances change: actorId, currencyId,
+ *   and sourceMinor, targetMinor, targetAfterMinor, sourceAfterMinor and unpayableMinor in that currency's minor units
+ */
+export async function planWalletConversion(currencyManager, fromStore, toStore, { replace = false } = {}) {
+  await currencyManager.characterCurrencyServicePromise;
+
+  const rows = [];
+  for (const actor of getConvertedActors()) {
+    for (const system of currencyManager.getCurrencySystems()) {
+      const currencyId = currencyManager.isBaseCurrency(system.id) ? null : system.id;
+      const sourceMinor = await currencyManager.getActorWalletMinor(actor.id, currencyId, fromStore);
+      const targetMinor = await currencyManager.getActorWalletMinor(actor.id, currencyId, toStore);
+      if (sourceMinor === 0 && (targetMinor === 0 || !replace)) continue;
+
+      let targetAfterMinor = sourceMinor + (replace ? 0 : targetMinor);
+      let unpayableMinor = 0;
+      if (toStore === WALLET_STORES.SHEET) {
+        // Whatever the coins can't make exactly stays where it was
+        unpayableMinor = makeChange(targetAfterMinor, currencyManager.getMinorDenominations(currencyId)).remainder;
+        targetAfterMinor -= unpayableMinor;
+      }
+
+      rows.push({
+        actorId: actor.id,
+        actorName: actor.name,
+        currencyId,
+        currencyName: system.name,
+        sourceMinor,
+        targetMinor,
+        targetAfterMinor,
+        sourceAfterMinor: unpayableMinor,
+        unpayableMinor
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Moves the planned balances (GM only), after backing up both stores of every character involved
+ * @param {string} moduleId - The module identifier
+ * @param {CurrencyManager} currencyManager - The currency manager
+ * @param {string} fromStore - Store the money moves out of, one of {@link WALLET_STORES}
+ * @param {string} toStore - Store the money moves into, one of {@link WALLET_STORES}
+ * @param {Array<Object>} rows - Rows from planWalletConversion
+ * @returns {Promise<number>} Number of balances moved
+ */
+export async function applyWalletConversion(moduleId, currencyManager, fromStore, toStore, rows) {
+  if (!game.user.isGM) return 0;
+
+  await currencyManager.characterCurrencyServicePromise;
+  const service = currencyManager.characterCurrencyService;
+  const coinNames = currencyManager.getCurrencySystems()
+    .flatMap(system => (system.denominations || []).map(denomination => denomination.name));
+
+  const actors = {};
+  for (const actorId of new Set(rows.map(row => row.actorId))) {
+    const actor = game.actors.get(actorId);
+    actors[actorId] = {
+      wallet: actor?.getFlag(moduleId, CurrencyManager.WALLET_FLAG) ?? null,
+      currencyWallets: actor?.getFlag(moduleId, CurrencyManager.CURRENCY_WALLETS_FLAG) ?? null,
+      coins: service?.getCoinEntries(actorId, coinNames) ?? {}
+    };
+  }
+  await game.settings.set(moduleId, 'walletConversionBackup', {
+    takenAt: Date.now(),
+    fromStore,
+    toStore,
+    coinNames,
+    actors
+  });
+
+  let moved = 0;
+  for (const row of rows) {
+    try {
+      // Write the target first so a failure never leaves the money in neither store
+      if (!await currencyManager.setActorWalletMinor(row.actorId, row.targetAfterMinor, row.currencyId, toStore)) {
+        throw new Error('The target wallet could not be written.');
+      }
+      await currencyManager.setActorWalletMinor(row.actorId, row.sourceAfterMinor, row.currencyId, fromStore);
+      moved++;
+    } catch (error) {
+      console.error(`Error converting the ${row.currencyName} of ${row.actorName}:`, error);
+      ui.notifications.error(`Failed to convert the ${row.currencyName} of ${row.actorName}. Check console for details.`);
+    }
+  }
+  return moved;
+}
+
+/**
+ * Checks whether a wallet conversion backup exists
+ * @param {string} moduleId - The module identifier
+ * @returns {boolean} True if the last conversion can be undone
+ */
+export function hasWalletConversionBackup(moduleId) {
+  return !!game.settings.get(moduleId, 'walletConversionBackup')?.takenAt;
+}
+
+/**
+ * Undoes the last conversion (GM only): puts back both stores of every converted character, switches the
+ * currency mode back and discards the backup
+ * @param {string} moduleId - The module identifier
+ * @returns {Promise<boolean>} True if a backup was restored
+ */
+export async function restoreWalletConversion(moduleId) {
+  if (!game.user.isGM) return false;
+
+  const backup = game.settings.get(moduleId, 'walletConversionBackup');
+  if (!backup?.takenAt) return false;
+
+  const currencyManager = game.modules.get(moduleId)?.api?.system.currencyManager;
+  await currencyManager.characterCurrencyServicePromise;
+
+  restoring = true;
+  try {
+    for (const [actorId, saved] of Object.entries(backup.actors || {})) {
+      const actor = game.actors.get(actorId);
+      if (!actor) continue;
+      try {
+        for (const [flag, value] of [[CurrencyManager.WALLET_FLAG, saved.wallet], [CurrencyManager.CURRENCY_WALLETS_FLAG, saved.currencyWallets]]) {
+          await actor.unsetFlag(moduleId, flag);
+          if (value !== null && value !== undefined) await actor.setFlag(moduleId, flag, value);
+        }
+        await currencyManager.characterCurrencyService.restoreCoinEntries(actorId, saved.coins || {}, backup.coinNames || []);
+      } catch (error) {
+        console.error(`Error restoring the wallets of ${actor.name}:`, error);
+        ui.notifications.error(`Failed to restore the wallets of ${actor.name}. Check console for details.`);
+      }
+    }
+
+    await game.settings.set(moduleId, 'useModuleCurrencySystem', backup.fromStore === WALLET_STORES.MODULE);
+    await game.settings.set(moduleId, 'walletConversionBackup', {});
+  } finally {
+    restoring = false;
+  }
+  return true;
+}
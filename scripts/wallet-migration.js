@@ -0,0 +1,103 @@
+/**
+ * @file Wallet storage migration
+ * @description Moves module-currency balances from user flags onto the actors they belong to
+ */
+
+import CurrencyManager from './currency.js';
+
+/** @type {number} Current wallet storage version; bump when wallet storage changes again */
+export const WALLET_STORAGE_VERSION = 1;
+
+/** @type {string} Actor flag listing the users whose old balance the actor has already received */
+const MIGRATED_FLAG = 'migratedWallets';
+
+/**
+ * Gets the actors whose wallet a user's flag used to represent. Before version 1 an actor's wallet was
+ * the balance of its first explicit owner, so these are the actors that listed this user first.
+ * @param {User} user - The user
+ * @returns {Array<Actor>} Actors that displayed the user's balance
+ */
+function getActorsShowingUserWallet(user) {
+  return game.actors.filter(actor => {
+    const firstOwnerId = Object.entries(actor.ownership || {})
+      .find(([userId, level]) => level >= CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER && userId !== 'default')?.[0];
+    return firstOwnerId === user.id;
+  });
+}
+
+/**
+ * Picks the actor that receives a user's old balance: the user's assigned character if it shared the balance,
+ * otherwise the first actor that shared it
+ * @param {User} user - The user
+ * @returns {Actor|null} The target actor, or null if no actor showed the balance
+ */
+function getMigrationTarget(user) {
+  const candidates = getActorsShowingUserWallet(user);
+  return candidates.find(actor => actor.id === user.character?.id) ?? candidates[0] ?? null;
+}
+
+/**
+ * Moves every user's wallet flag onto an actor (GM only). Balances that can't be matched to an actor
+ * are kept as the user's player purse so no money is lost.
+ * @param {string} moduleId - The module identifier
+ * @param {CurrencyManager} currencyManager - Used to read and write stored balances
+ * @returns {Promise<void>}
+ */
+export async function migrateWallets(moduleId, currencyManager) {
+  if (!game.user.isGM) return;
+
+  const storedVersion = Number(game.settings.get(moduleId, 'walletStorageVersion')) || 0;
+  if (storedVersion >= WALLET_STORAGE_VERSION) return;
+
+  const moved = [];
+  const kept = [];
+
+  try {
+    for (const user of game.users) {
+      const stored = user.getFlag(moduleId, CurrencyManager.WALLET_FLAG);
+      if (stored === undefined) continue;
+
+      const minor = currencyManager.readStoredBalance(stored);
+      // An earlier run may have credited the balance and stopped before clearing the user's flag
+      const credited = game.actors.some(actor => actor.getFlag(moduleId, MIGRATED_FLAG)?.[user.id]);
+      const target = minor > 0 && !credited ? getMigrationTarget(user) : null;
+      if (target) {
+        // Credit and mark in one update, so a rerun can't credit the balance twice
+        const existing = currencyManager.readStoredBalance(target.getFlag(moduleId, CurrencyManager.WALLET_FLAG));
+        await target.update({
+          [`flags.${moduleId}.${CurrencyManager.WALLET_FLAG}`]: currencyManager.toStoredBalance(existing + minor),
+          [`flags.${moduleId}.${MIGRATED_FLAG}.${user.id}`]: true
+        });
+        moved.push(`${user.name} → ${target.name}`);
+      } else if (minor > 0 && !credited) {
+        // The purse and the old wallet live on the same user, so one update moves the balance
+        const existing = currencyManager.readStoredBalance(user.getFlag(moduleId, CurrencyManager.PURSE_FLAG));
+        await user.update({
+          [`flags.${moduleId}.${CurrencyManager.PURSE_FLAG}`]: currencyManager.toStoredBalance(existing + minor),
+          [`flags.${moduleId}.-=${CurrencyManager.WALLET_FLAG}`]: null
+        });
+        kept.push(user.name);
+        continue;
+      }
+
+      await user.unsetFlag(moduleId, CurrencyManager.WALLET_FLAG);
+    }
+
+    await game.settings.set(moduleId, 'walletStorageVersion', WALLET_STORAGE_VERSION);
+  } catch (error) {
+    console.error('Error migrating wallets to actors:', error);
+    ui.notifications.error('Failed to move wallets onto characters. Check console for details.');
+    return;
+  }
+
+  if (moved.length > 0) {
+    if (game.modules.get(moduleId)?.api?.system.getDebugMode()) {
+      console.log(`Moved wallets onto characters: ${moved.join(', ')}.`);
+    }
+    ui.notifications.info(`Wallets are now stored per character. Moved ${moved.length} balance${moved.length > 1 ? 's' : ''}: ${moved.join(', ')}.`);
+  }
+  if (kept.length > 0) {
+    console.warn(`No character found for the wallets of ${kept.join(', ')}; balances kept as player purses.`);
+    ui.notifications.warn(`Could not match the wallets of ${kept.join(', ')} to a character; their balances were kept as player purses.`);
+  }
+}